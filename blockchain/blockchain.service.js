@@ -3,7 +3,7 @@ import Web3 from 'web3';
 import TransparenCityGovernanceABI from '../contracts/TransparenCityGovernance.json';
 import IdentityVerificationABI from '../contracts/IdentityVerification.json';
 import TransparentAuditTrailABI from '../contracts/TransparentAuditTrail.json';
-import { GOVERNANCE_CONTRACT_ADDRESS, IDENTITY_CONTRACT_ADDRESS, AUDIT_CONTRACT_ADDRESS } from '../config';
+import { GOVERNANCE_CONTRACT_ADDRESS, IDENTITY_CONTRACT_ADDRESS, AUDIT_CONTRACT_ADDRESS, API_URL } from '../config';
 import { storeData, retrieveData } from './storage.service';
 import ipfs from './ipfs.service';
 
@@ -401,6 +401,131 @@ async getRecentAuditRecords(count = 20) {
   }
 }
 
+// ===== Wallet Account Functions =====
+
+/**
+ * Sign a Sign-In with Ethereum (EIP-4361) message with the current account
+ * @param {string} statement - Human readable statement shown in the wallet
+ * @returns {Object} The signed message and signature
+ */
+async signSiweMessage(statement) {
+  if (!this.initialized) await this.initialize();
+
+  const response = await fetch(`${API_URL}/auth/wallet/nonce`);
+  const { data } = await response.json();
+  const chainId = await this.web3.eth.getChainId();
+
+  const message = [
+    `${data.domain} wants you to sign in with your Ethereum account:`,
+    this.web3.utils.toChecksumAddress(this.account),
+    '',
+    statement,
+    '',
+    `URI: ${API_URL}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${data.nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+    `Expiration Time: ${new Date(data.expiresAt).toISOString()}`
+  ].join('\n');
+
+  const signature = await this.web3.eth.personal.sign(message, this.account, '');
+
+  return { message, signature };
+}
+
+/**
+ * Log in to TransparenCity with the current wallet account
+ * @returns {Object} The auth response (tokens, or a pending two-factor step)
+ */
+async signInWithEthereum() {
+  try {
+    const signed = await this.signSiweMessage('Sign in to TransparenCity.');
+
+    const response = await fetch(`${API_URL}/auth/wallet/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(signed)
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Wallet sign-in failed');
+    }
+
+    if (result.token) {
+      await storeData('authToken', result.token);
+    }
+
+    return result;
+  } catch (error) {
+    console.error("Error signing in with Ethereum:", error);
+    throw error;
+  }
+}
+
+/**
+ * Link the current wallet account to the logged in user
+ * @returns {Object} Result with the user's linked wallets
+ */
+async linkWallet() {
+  try {
+    const signed = await this.signSiweMessage('Link this wallet to my TransparenCity account.');
+    const token = await retrieveData('authToken');
+
+    const response = await fetch(`${API_URL}/auth/wallet/link`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(signed)
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to link wallet');
+    }
+
+    return {
+      success: true,
+      wallets: result.data
+    };
+  } catch (error) {
+    console.error("Error linking wallet:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Check whether an account is linked to the logged in user
+ * @param {string} account - Wallet address to check
+ * @returns {boolean} Whether the account is linked
+ */
+async isAccountLinked(account) {
+  if (!account) return false;
+
+  try {
+    const token = await retrieveData('authToken');
+    if (!token) return false;
+
+    const response = await fetch(`${API_URL}/auth/wallets`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+
+    if (!response.ok) return false;
+
+    const { data } = await response.json();
+    return data.some((wallet) => wallet.address === account.toLowerCase());
+  } catch (error) {
+    console.error("Error checking wallet binding:", error);
+    return false;
+  }
+}
+
 // ===== Helper Functions =====
 
 /**
@@ -460,13 +585,15 @@ getAccount() {
 
 /**
  * Listen for account changes
- * @param {Function} callback - Function to call when account changes
+ * @param {Function} callback - Called with the new account and whether it is
+ * linked to the logged in user
  */
 listenForAccountChanges(callback) {
   if (window.ethereum) {
-    window.ethereum.on('accountsChanged', (accounts) => {
+    window.ethereum.on('accountsChanged', async (accounts) => {
       this.account = accounts[0];
-      callback(accounts[0]);
+      const isLinked = await this.isAccountLinked(accounts[0]);
+      callback(accounts[0], isLinked);
     });
   }
 }
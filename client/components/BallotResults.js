@@ -0,0 +1,101 @@
+// client/components/BallotResults.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { ProgressBar } from 'react-native-paper';
+
+// Results of an approval, ranked-choice or score ballot, from the tabulation returned by getVotes
+const BallotResults = ({ tabulation, options }) => {
+  if (!tabulation) {
+    return null;
+  }
+
+  const optionTitle = (id) => (options.find(option => option._id === id) || {}).title || 'Removed option';
+  const isWinner = (id) => tabulation.winners.includes(id);
+
+  const renderBar = (id, label, progress) => (
+    <View key={id} style={styles.resultContainer}>
+      <View style={styles.labelContainer}>
+        <Text style={[styles.label, isWinner(id) && styles.winner]}>{optionTitle(id)}</Text>
+        <Text style={styles.value}>{label}</Text>
+      </View>
+      <ProgressBar
+        progress={progress}
+        color={isWinner(id) ? '#27ae60' : '#3498db'}
+        style={styles.progressBar}
+      />
+    </View>
+  );
+
+  if (tabulation.type === 'approval') {
+    return tabulation.results.map(result => renderBar(
+      result.option,
+      `${result.approvals} approvals`,
+      tabulation.ballots > 0 ? result.approvals / tabulation.ballots : 0
+    ));
+  }
+
+  if (tabulation.type === 'score') {
+    const maxTotal = Math.max(1, ...tabulation.results.map(result => result.total));
+    return tabulation.results.map(result => renderBar(
+      result.option,
+      `${result.total} pts (avg ${result.average.toFixed(1)})`,
+      result.total / maxTotal
+    ));
+  }
+
+  // Ranked choice: final round as bars, then how each round went
+  const finalRound = tabulation.rounds[tabulation.rounds.length - 1];
+
+  return (
+    <View>
+      {finalRound && finalRound.counts.map(({ option, votes }) => renderBar(
+        option,
+        `${votes} votes`,
+        finalRound.active > 0 ? votes / finalRound.active : 0
+      ))}
+      {tabulation.rounds.map(round => (
+        <Text key={round.round} style={styles.roundText}>
+          Round {round.round}: {round.counts.map(({ option, votes }) => `${optionTitle(option)} ${votes}`).join(', ')}
+          {round.exhausted > 0 ? ` (${round.exhausted} exhausted)` : ''}
+          {round.eliminated.length > 0 ? ` - ${round.eliminated.map(optionTitle).join(', ')} eliminated` : ''}
+        </Text>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  resultContainer: {
+    marginBottom: 15,
+  },
+  labelContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 5,
+  },
+  label: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  winner: {
+    fontWeight: 'bold',
+    color: '#27ae60',
+  },
+  value: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 10,
+  },
+  progressBar: {
+    height: 10,
+    borderRadius: 5,
+  },
+  roundText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 5,
+  },
+});
+
+export default BallotResults;
@@ -0,0 +1,84 @@
+// client/components/LocationPicker.js
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+
+const DEFAULT_REGION = {
+  latitude: 40.7128,
+  longitude: -74.006,
+  latitudeDelta: 0.05,
+  longitudeDelta: 0.05
+};
+
+// Pin-drop picker that reports a GeoJSON Point ([longitude, latitude]) or null
+const LocationPicker = ({ value, onChange, initialRegion = DEFAULT_REGION }) => {
+  const coordinate = value && value.type === 'Point'
+    ? { longitude: value.coordinates[0], latitude: value.coordinates[1] }
+    : null;
+
+  const dropPin = ({ latitude, longitude }) => {
+    onChange({ type: 'Point', coordinates: [longitude, latitude] });
+  };
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        style={styles.map}
+        initialRegion={coordinate ? { ...initialRegion, ...coordinate } : initialRegion}
+        onPress={(event) => dropPin(event.nativeEvent.coordinate)}
+      >
+        {coordinate && (
+          <Marker
+            coordinate={coordinate}
+            draggable
+            onDragEnd={(event) => dropPin(event.nativeEvent.coordinate)}
+          />
+        )}
+      </MapView>
+
+      <View style={styles.footer}>
+        <Text style={styles.hint} numberOfLines={1}>
+          {coordinate
+            ? `${coordinate.latitude.toFixed(5)}, ${coordinate.longitude.toFixed(5)}`
+            : 'Tap the map to drop a pin'}
+        </Text>
+        {coordinate && (
+          <TouchableOpacity onPress={() => onChange(null)}>
+            <Text style={styles.clearText}>Clear</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    overflow: 'hidden',
+    backgroundColor: '#fff',
+    marginBottom: 15,
+  },
+  map: {
+    height: 220,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 12,
+  },
+  hint: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+  },
+  clearText: {
+    color: '#e74c3c',
+    fontSize: 14,
+  },
+});
+
+export default LocationPicker;
@@ -0,0 +1,169 @@
+// client/components/MultiOptionBallot.js
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+const INSTRUCTIONS = {
+  approval: 'Select every option you approve of',
+  ranked: 'Tap options in order of preference. Your first choice is at the top.',
+  score: 'Give each option a score'
+};
+
+/**
+ * Ballot input for approval, ranked-choice and score ballots.
+ * value is an array of option ids (approval, ranked) or { [optionId]: score } (score).
+ */
+const MultiOptionBallot = ({ ballotType, options, maxScore = 5, value, onChange, disabled }) => {
+  const toggleSelection = (id) => {
+    onChange(value.includes(id) ? value.filter(selected => selected !== id) : [...value, id]);
+  };
+
+  const moveRank = (index, offset) => {
+    const ranking = [...value];
+    const [moved] = ranking.splice(index, 1);
+    ranking.splice(index + offset, 0, moved);
+    onChange(ranking);
+  };
+
+  const setScore = (id, score) => {
+    onChange({ ...value, [id]: Math.max(0, Math.min(maxScore, score)) });
+  };
+
+  const optionTitle = (id) => (options.find(option => option._id === id) || {}).title;
+
+  const renderApproval = () => options.map(option => {
+    const selected = value.includes(option._id);
+    return (
+      <TouchableOpacity
+        key={option._id}
+        style={[styles.option, selected && styles.selectedOption]}
+        onPress={() => toggleSelection(option._id)}
+        disabled={disabled}
+      >
+        <Icon
+          name={selected ? 'checkbox-marked' : 'checkbox-blank-outline'}
+          size={24}
+          color={selected ? '#fff' : '#3498db'}
+        />
+        <View style={styles.optionInfo}>
+          <Text style={[styles.optionTitle, selected && styles.selectedText]}>{option.title}</Text>
+          {option.description ? (
+            <Text style={[styles.optionDescription, selected && styles.selectedText]}>{option.description}</Text>
+          ) : null}
+        </View>
+      </TouchableOpacity>
+    );
+  });
+
+  const renderRanked = () => (
+    <>
+      {value.map((id, index) => (
+        <View key={id} style={[styles.option, styles.selectedOption]}>
+          <Text style={styles.rankNumber}>{index + 1}</Text>
+          <Text style={[styles.optionTitle, styles.selectedText, styles.optionInfo]}>{optionTitle(id)}</Text>
+          <TouchableOpacity onPress={() => moveRank(index, -1)} disabled={disabled || index === 0}>
+            <Icon name="chevron-up" size={24} color={index === 0 ? '#85c1e9' : '#fff'} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => moveRank(index, 1)} disabled={disabled || index === value.length - 1}>
+            <Icon name="chevron-down" size={24} color={index === value.length - 1 ? '#85c1e9' : '#fff'} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => toggleSelection(id)} disabled={disabled}>
+            <Icon name="close" size={22} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      ))}
+      {options.filter(option => !value.includes(option._id)).map(option => (
+        <TouchableOpacity
+          key={option._id}
+          style={styles.option}
+          onPress={() => toggleSelection(option._id)}
+          disabled={disabled}
+        >
+          <Icon name="plus-circle-outline" size={24} color="#3498db" />
+          <Text style={[styles.optionTitle, styles.optionInfo]}>{option.title}</Text>
+        </TouchableOpacity>
+      ))}
+    </>
+  );
+
+  const renderScore = () => options.map(option => {
+    const score = value[option._id] || 0;
+    return (
+      <View key={option._id} style={styles.option}>
+        <Text style={[styles.optionTitle, styles.optionInfo]}>{option.title}</Text>
+        <TouchableOpacity onPress={() => setScore(option._id, score - 1)} disabled={disabled || score === 0}>
+          <Icon name="minus-circle-outline" size={26} color={score === 0 ? '#ccc' : '#3498db'} />
+        </TouchableOpacity>
+        <Text style={styles.scoreValue}>{score}</Text>
+        <TouchableOpacity onPress={() => setScore(option._id, score + 1)} disabled={disabled || score === maxScore}>
+          <Icon name="plus-circle-outline" size={26} color={score === maxScore ? '#ccc' : '#3498db'} />
+        </TouchableOpacity>
+      </View>
+    );
+  });
+
+  return (
+    <View>
+      <Text style={styles.instructions}>
+        {ballotType === 'score' ? `${INSTRUCTIONS.score} from 0 to ${maxScore}` : INSTRUCTIONS[ballotType]}
+      </Text>
+      {ballotType === 'approval' && renderApproval()}
+      {ballotType === 'ranked' && renderRanked()}
+      {ballotType === 'score' && renderScore()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  instructions: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+  },
+  selectedOption: {
+    backgroundColor: '#3498db',
+    borderColor: '#3498db',
+  },
+  optionInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  optionTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  optionDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  selectedText: {
+    color: '#fff',
+  },
+  rankNumber: {
+    width: 24,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+  },
+  scoreValue: {
+    width: 32,
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    color: '#333',
+  },
+});
+
+export default MultiOptionBallot;
@@ -22,12 +22,14 @@ import { Editor } from '@tinymce/tinymce-react';
 import FileUpload from '../common/FileUpload';
 import { getProposal } from '../../services/proposalService';
 import { createOfficialResponse, updateOfficialResponse } from '../../services/responseService';
+import { uploadFile } from '../../services/uploadService';
 
 const OfficialResponseForm = ({ existingResponse = null }) => {
   const { proposalId } = useParams();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [submitting, setSubmitting] = useState(false);
+  const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [proposal, setProposal] = useState(null);
@@ -76,14 +78,27 @@ const OfficialResponseForm = ({ existingResponse = null }) => {
     }));
   };
 
-  const handleAttachmentUpload = (files) => {
-    const newAttachments = Array.from(files).map(file => ({
-      title: file.name,
-      fileUrl: URL.createObjectURL(file),
-      fileType: file.type
-    }));
-    
-    setAttachments((prev) => [...prev, ...newAttachments]);
+  const handleAttachmentUpload = async (files) => {
+    setUploading(true);
+    setError(null);
+
+    try {
+      // Upload each file so the server can check it and record its SHA-256 hash
+      const uploads = await Promise.all(Array.from(files).map(file => uploadFile(file)));
+      const newAttachments = uploads.map(upload => ({
+        title: upload.originalName,
+        fileUrl: upload.url,
+        fileType: upload.mimeType,
+        sha256: upload.sha256,
+        upload: upload._id
+      }));
+
+      setAttachments((prev) => [...prev, ...newAttachments]);
+    } catch (err) {
+      setError(err.message || 'Error uploading attachment');
+    } finally {
+      setUploading(false);
+    }
   };
 
   const handleRemoveAttachment = (index) => {
@@ -323,7 +338,7 @@ const OfficialResponseForm = ({ existingResponse = null }) => {
                 type="submit" 
                 variant="contained" 
                 color="primary"
-                disabled={submitting}
+                disabled={submitting || uploading}
               >
                 {submitting ? (
                   <>
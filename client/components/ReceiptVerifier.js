@@ -0,0 +1,175 @@
+// client/components/ReceiptVerifier.js
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import * as Crypto from 'expo-crypto';
+import voteService from '../services/voteService';
+
+const sha256 = (text) => Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, text);
+
+// Must match hashBallot in server/services/receipts.js field for field
+const hashBallot = (vote, salt) =>
+  sha256(JSON.stringify({
+    proposal: String(vote.proposal),
+    vote: vote.vote || null,
+    selections: (vote.selections || []).map(String),
+    ranking: (vote.ranking || []).map(String),
+    scores: (vote.scores || []).map(({ option, score }) => ({ option: String(option), score })),
+    salt
+  }));
+
+// Walk an inclusion proof from the leaf up to the root (server/utils/merkle.js)
+const rootFromProof = async (ballotHash, proof) => {
+  let hash = await sha256(`0${ballotHash}`);
+
+  for (const step of proof) {
+    hash = step.position === 'left'
+      ? await sha256(`1${step.hash}${hash}`)
+      : await sha256(`1${hash}${step.hash}`);
+  }
+
+  return hash;
+};
+
+const shorten = (hash) => (hash ? `${hash.slice(0, 10)}…${hash.slice(-6)}` : '');
+
+// Checks the user's vote receipt on this device: the ballot hash, its place in
+// the proposal's ballot tree, the server signature and the on-chain anchor
+const ReceiptVerifier = ({ proposalId, vote }) => {
+  const [checks, setChecks] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  if (!vote || !vote.receipt) {
+    return null;
+  }
+
+  const { receipt } = vote;
+
+  const verify = async () => {
+    const results = [];
+
+    try {
+      setVerifying(true);
+
+      const ballotHash = await hashBallot(vote, receipt.salt);
+      results.push({
+        label: 'Receipt matches your ballot',
+        passed: ballotHash === receipt.ballotHash
+      });
+
+      const { validSignature } = await voteService.verifyReceipt(proposalId, receipt);
+      results.push({ label: 'Receipt signed by the server', passed: validSignature });
+
+      try {
+        const inclusion = await voteService.getInclusionProof(proposalId, receipt.ballotHash);
+        const root = await rootFromProof(receipt.ballotHash, inclusion.proof);
+        results.push({
+          label: `Included in the ballot tree of ${inclusion.size} entries`,
+          passed: root === inclusion.root
+        });
+
+        // A changed vote's earlier receipt stays in the tree, cancelled by a later record
+        if (inclusion.supersededAt !== null && inclusion.supersededAt !== undefined) {
+          results.push({ label: `Replaced by a later ballot (entry #${inclusion.supersededAt + 1}) and no longer counted`, passed: null });
+        }
+
+        if (inclusion.anchor) {
+          results.push({
+            label: `Tree root anchored on-chain (tx ${shorten(inclusion.anchor.transactionHash)})`,
+            passed: inclusion.anchor.root === root
+          });
+        } else {
+          results.push({ label: 'Tree root is anchored on-chain when voting closes', passed: null });
+        }
+      } catch (error) {
+        // Secret ballots join the tree, in shuffled order, only when voting closes
+        results.push(receipt.leafIndex === null
+          ? { label: 'Added to the ballot tree when voting closes', passed: null }
+          : { label: 'Included in the ballot tree', passed: false });
+      }
+    } catch (error) {
+      results.push({ label: error.message || 'Could not verify the receipt', passed: false });
+    }
+
+    setChecks(results);
+    setVerifying(false);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Your Vote Receipt</Text>
+      <Text style={styles.detail}>Ballot hash: {shorten(receipt.ballotHash)}</Text>
+      <Text style={styles.detail}>
+        {receipt.leafIndex === null
+          ? 'Secret ballot: its place in the tree is set when voting closes'
+          : `Ballot #${receipt.leafIndex + 1}, issued ${new Date(receipt.issuedAt).toLocaleString()}`}
+      </Text>
+
+      {checks && checks.map(check => (
+        <View key={check.label} style={styles.checkRow}>
+          <Icon
+            name={check.passed === null ? 'clock-outline' : check.passed ? 'check-circle' : 'close-circle'}
+            size={18}
+            color={check.passed === null ? '#95a5a6' : check.passed ? '#27ae60' : '#e74c3c'}
+          />
+          <Text style={styles.checkText}>{check.label}</Text>
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.button} onPress={verify} disabled={verifying}>
+        {verifying ? (
+          <ActivityIndicator size="small" color="#3498db" />
+        ) : (
+          <Text style={styles.buttonText}>{checks ? 'Verify Again' : 'Verify My Ballot Was Counted'}</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 10,
+    padding: 15,
+    marginTop: 15,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 6,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginBottom: 2,
+  },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  checkText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+  },
+  button: {
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 8,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  buttonText: {
+    color: '#3498db',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default ReceiptVerifier;
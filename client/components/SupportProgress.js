@@ -0,0 +1,146 @@
+// client/components/SupportProgress.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { ProgressBar } from 'react-native-paper';
+import proposalService from '../services/proposalService';
+
+// Signature progress towards review, with a button to sign or withdraw
+const SupportProgress = ({ proposalId, onStatusChange }) => {
+  const [support, setSupport] = useState(null);
+  const [supported, setSupported] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchSupport();
+  }, [proposalId]);
+
+  const fetchSupport = async () => {
+    try {
+      setSupport(await proposalService.getSupport(proposalId));
+
+      try {
+        const userSupport = await proposalService.getUserSupport(proposalId);
+        setSupported(userSupport.supported);
+      } catch (error) {
+        // Not signed in, so nothing to show
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to load support for this proposal');
+    }
+  };
+
+  const toggleSupport = async () => {
+    try {
+      setSubmitting(true);
+      const data = supported
+        ? await proposalService.withdrawSupport(proposalId)
+        : await proposalService.supportProposal(proposalId);
+
+      setSupported(!supported);
+      setSupport(data);
+      setSubmitting(false);
+
+      if (onStatusChange && data.status !== support.status) {
+        onStatusChange(data.status);
+      }
+    } catch (error) {
+      setSubmitting(false);
+      Alert.alert('Error', error.message || 'Failed to update your support');
+    }
+  };
+
+  if (!support) {
+    return null;
+  }
+
+  // Signatures can be withdrawn only until the proposal reaches review
+  const canToggle = support.status === 'submitted' || (support.status === 'under_review' && !supported);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.labelContainer}>
+        <Text style={styles.label}>Supporters</Text>
+        <Text style={styles.count}>
+          {support.count} of {support.threshold}
+        </Text>
+      </View>
+      <ProgressBar
+        progress={support.progress}
+        color={support.thresholdReached ? '#27ae60' : '#3498db'}
+        style={styles.progressBar}
+      />
+      <Text style={styles.hint}>
+        {support.status !== 'submitted'
+          ? 'This proposal has moved to review'
+          : `${support.threshold - support.count} more verified supporters needed for review`}
+      </Text>
+
+      {canToggle && (
+        <TouchableOpacity
+          style={[styles.button, supported && styles.withdrawButton]}
+          onPress={toggleSupport}
+          disabled={submitting}
+        >
+          <Text style={[styles.buttonText, supported && styles.withdrawButtonText]}>
+            {submitting ? 'Saving...' : supported ? 'Withdraw Support' : 'Support This Proposal'}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  labelContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 5,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  count: {
+    fontSize: 14,
+    color: '#666',
+  },
+  progressBar: {
+    height: 10,
+    borderRadius: 5,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#3498db',
+    height: 44,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  withdrawButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e74c3c',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  withdrawButtonText: {
+    color: '#e74c3c',
+  },
+});
+
+export default SupportProgress;
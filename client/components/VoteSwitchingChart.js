@@ -0,0 +1,154 @@
+// client/components/VoteSwitchingChart.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, ScrollView, StyleSheet } from 'react-native';
+import { format } from 'date-fns';
+import voteService from '../services/voteService';
+
+const CHART_HEIGHT = 120;
+
+// Bars are coloured by the choice voters switched to
+const CHOICE_COLORS = {
+  yes: '#27ae60',
+  no: '#e74c3c',
+  abstain: '#95a5a6',
+  options: '#3498db'
+};
+
+const CHOICE_LABELS = {
+  yes: 'Yes',
+  no: 'No',
+  abstain: 'Abstain',
+  options: 'Changed options'
+};
+
+// Label every few bars so the axis stays readable
+const LABEL_EVERY = { hour: 6, day: 7 };
+
+const targetOf = (transition) => transition.split('->')[1];
+
+// Vote changes per hour or day, from the timeline returned by getVoteSwitching.
+// Sudden bursts of switching can point to a persuasion campaign or bot accounts.
+const VoteSwitchingChart = ({ proposalId }) => {
+  const [timeline, setTimeline] = useState(null);
+
+  useEffect(() => {
+    voteService.getVoteSwitching(proposalId)
+      .then(setTimeline)
+      .catch(() => setTimeline(null));
+  }, [proposalId]);
+
+  if (!timeline || timeline.totals.changes === 0) {
+    return null;
+  }
+
+  const { buckets, totals, interval } = timeline;
+  const maxChanges = Math.max(1, ...buckets.map(bucket => bucket.changes));
+  const targets = [...new Set(buckets.flatMap(bucket => Object.keys(bucket.transitions).map(targetOf)))];
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Vote Changes Over Time</Text>
+      <Text style={styles.summary}>
+        {totals.voters} of {totals.cast} voters changed their vote ({totals.changes} changes in all)
+      </Text>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <View style={styles.chart}>
+          {buckets.map((bucket, index) => (
+            <View key={bucket.start} style={styles.column}>
+              <View style={styles.bar}>
+                {Object.entries(bucket.transitions).map(([transition, count]) => (
+                  <View
+                    key={transition}
+                    style={{
+                      height: (count / maxChanges) * CHART_HEIGHT,
+                      backgroundColor: CHOICE_COLORS[targetOf(transition)] || CHOICE_COLORS.options
+                    }}
+                  />
+                ))}
+              </View>
+              <Text style={styles.axisLabel}>
+                {index % LABEL_EVERY[interval] === 0
+                  ? format(new Date(bucket.start), interval === 'day' ? 'MMM d' : 'MMM d HH:mm')
+                  : ''}
+              </Text>
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+
+      <View style={styles.legend}>
+        {targets.map(target => (
+          <View key={target} style={styles.legendItem}>
+            <View style={[styles.swatch, { backgroundColor: CHOICE_COLORS[target] || CHOICE_COLORS.options }]} />
+            <Text style={styles.legendText}>To {CHOICE_LABELS[target] || target}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 10,
+    padding: 15,
+    marginTop: 15,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 6,
+  },
+  summary: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginBottom: 10,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  column: {
+    width: 14,
+    marginRight: 3,
+    alignItems: 'flex-start',
+  },
+  bar: {
+    height: CHART_HEIGHT,
+    width: '100%',
+    justifyContent: 'flex-end',
+  },
+  axisLabel: {
+    width: 80,
+    fontSize: 10,
+    color: '#7f8c8d',
+    marginTop: 4,
+    height: 14,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 15,
+    marginBottom: 4,
+  },
+  swatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 2,
+    marginRight: 5,
+  },
+  legendText: {
+    fontSize: 13,
+    color: '#333',
+  },
+});
+
+export default VoteSwitchingChart;
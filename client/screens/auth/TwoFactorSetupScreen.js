@@ -0,0 +1,238 @@
+// client/screens/auth/TwoFactorSetupScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Linking
+} from 'react-native';
+import authService from '../../services/authService';
+
+const TwoFactorSetupScreen = ({ route, navigation }) => {
+  // Present when enrollment is required to finish logging in
+  const twoFactorToken = route.params?.twoFactorToken;
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    startSetup();
+  }, []);
+
+  const startSetup = async () => {
+    try {
+      setLoading(true);
+      const data = await authService.setupTwoFactor(twoFactorToken);
+      setSetup(data);
+      setLoading(false);
+    } catch (error) {
+      setLoading(false);
+      Alert.alert('Error', error.message || 'Could not start two-factor setup');
+      navigation.goBack();
+    }
+  };
+
+  const openAuthenticator = async () => {
+    try {
+      await Linking.openURL(setup.otpauthUrl);
+    } catch (error) {
+      Alert.alert('No authenticator app found', 'Enter the setup key manually in your authenticator app');
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!/^\d{6}$/.test(code)) {
+      return Alert.alert('Error', 'Please enter the 6-digit code from your authenticator app');
+    }
+
+    try {
+      setSubmitting(true);
+      const data = await authService.enableTwoFactor(code, twoFactorToken);
+      setRecoveryCodes(data.recoveryCodes);
+      setSubmitting(false);
+    } catch (error) {
+      setSubmitting(false);
+      Alert.alert('Verification Failed', error.message || 'Invalid code');
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3498db" />
+      </View>
+    );
+  }
+
+  if (recoveryCodes) {
+    return (
+      <ScrollView style={styles.container}>
+        <View style={styles.formContainer}>
+          <Text style={styles.title}>Save Your Recovery Codes</Text>
+          <Text style={styles.subtitle}>
+            Each code can be used once to sign in if you lose access to your authenticator app.
+            They will not be shown again.
+          </Text>
+
+          <View style={styles.codesContainer}>
+            {recoveryCodes.map(recoveryCode => (
+              <Text key={recoveryCode} style={styles.recoveryCode}>{recoveryCode}</Text>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => navigation.navigate('HomeTab')}
+          >
+            <Text style={styles.buttonText}>I've Saved These Codes</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.formContainer}>
+        <Text style={styles.title}>Set Up Two-Factor Authentication</Text>
+        <Text style={styles.subtitle}>
+          {twoFactorToken
+            ? 'Your role requires two-factor authentication. Add TransparenCity to your authenticator app to continue.'
+            : 'Protect your account with a code from your authenticator app.'}
+        </Text>
+
+        <TouchableOpacity style={styles.secondaryButton} onPress={openAuthenticator}>
+          <Text style={styles.secondaryButtonText}>Open Authenticator App</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.label}>Or enter this setup key manually</Text>
+        <Text style={styles.secret} selectable>{setup.secret}</Text>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Verification Code</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="6-digit code"
+            keyboardType="number-pad"
+            maxLength={6}
+            value={code}
+            onChangeText={setCode}
+          />
+        </View>
+
+        <TouchableOpacity
+          style={styles.button}
+          onPress={handleSubmit}
+          disabled={submitting}
+        >
+          <Text style={styles.buttonText}>
+            {submitting ? 'Verifying...' : 'Enable Two-Factor'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  formContainer: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 20,
+  },
+  inputGroup: {
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 5,
+    color: '#444',
+  },
+  input: {
+    backgroundColor: '#fff',
+    height: 50,
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    fontSize: 20,
+    letterSpacing: 6,
+  },
+  secret: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 15,
+    marginBottom: 20,
+    fontFamily: 'monospace',
+    color: '#333',
+  },
+  codesContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    padding: 15,
+  },
+  recoveryCode: {
+    fontFamily: 'monospace',
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 4,
+  },
+  button: {
+    backgroundColor: '#3498db',
+    height: 50,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 10,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  secondaryButtonText: {
+    color: '#3498db',
+    fontSize: 16,
+  },
+});
+
+export default TwoFactorSetupScreen;
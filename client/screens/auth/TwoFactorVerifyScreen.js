@@ -0,0 +1,144 @@
+// client/screens/auth/TwoFactorVerifyScreen.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import authService from '../../services/authService';
+
+const TwoFactorVerifyScreen = ({ route, navigation }) => {
+  const { twoFactorToken } = route.params;
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    if (useRecoveryCode ? !code.trim() : !/^\d{6}$/.test(code)) {
+      return Alert.alert(
+        'Error',
+        useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code from your authenticator app'
+      );
+    }
+
+    try {
+      setLoading(true);
+      await authService.verifyTwoFactor(
+        twoFactorToken,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code }
+      );
+      setLoading(false);
+      navigation.navigate('HomeTab');
+    } catch (error) {
+      setLoading(false);
+      Alert.alert('Verification Failed', error.message || 'Invalid code');
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.formContainer}>
+        <Text style={styles.title}>Two-Factor Verification</Text>
+        <Text style={styles.subtitle}>
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when enabling two-factor authentication'
+            : 'Enter the code from your authenticator app to finish signing in'}
+        </Text>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{useRecoveryCode ? 'Recovery Code' : 'Verification Code'}</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={useRecoveryCode ? 'Recovery code' : '6-digit code'}
+            keyboardType={useRecoveryCode ? 'default' : 'number-pad'}
+            autoCapitalize="none"
+            maxLength={useRecoveryCode ? 10 : 6}
+            value={code}
+            onChangeText={setCode}
+          />
+        </View>
+
+        <TouchableOpacity
+          style={styles.button}
+          onPress={handleSubmit}
+          disabled={loading}
+        >
+          <Text style={styles.buttonText}>
+            {loading ? 'Verifying...' : 'Verify'}
+          </Text>
+        </TouchableOpacity>
+
+        <View style={styles.togglePrompt}>
+          <TouchableOpacity onPress={toggleRecoveryCode}>
+            <Text style={styles.toggleLink}>
+              {useRecoveryCode ? 'Use authenticator code instead' : 'Lost your device? Use a recovery code'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  formContainer: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 20,
+  },
+  inputGroup: {
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 5,
+    color: '#444',
+  },
+  input: {
+    backgroundColor: '#fff',
+    height: 50,
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    fontSize: 18,
+  },
+  button: {
+    backgroundColor: '#3498db',
+    height: 50,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  togglePrompt: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 20,
+  },
+  toggleLink: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+});
+
+export default TwoFactorVerifyScreen;
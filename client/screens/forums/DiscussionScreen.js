@@ -1,4 +1,4 @@
-/ client/screens/forums/DiscussionScreen.js
+// client/screens/forums/DiscussionScreen.js
 import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
@@ -18,27 +18,71 @@ import { format, formatDistance } from 'date-fns';
 import commentService from '../../services/commentService';
 import { useAuth } from '../../contexts/AuthContext'; // Assume we have an auth context
 
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'most_liked', label: 'Most liked' },
+  { value: 'controversial', label: 'Controversial' }
+];
+
+// Comments arrive a page at a time: top-level comments as the list scrolls, and each
+// comment's replies when they are opened. With a threadId the screen shows one deep
+// thread on its own, reached through a "Continue this thread" link.
 const DiscussionScreen = ({ route, navigation }) => {
-  const { proposalId, proposalTitle } = route.params;
+  const { proposalId, proposalTitle, threadId } = route.params;
   const { user } = useAuth();
-  const [comments, setComments] = useState([]);
+  // Comments by id, the ids at the top of the list, and loaded replies by parent id
+  const [commentsById, setCommentsById] = useState({});
+  const [topIds, setTopIds] = useState([]);
+  const [replies, setReplies] = useState({});
+  const [nextCursor, setNextCursor] = useState(null);
+  const [sort, setSort] = useState(threadId ? 'oldest' : 'newest');
   const [replyToId, setReplyToId] = useState(null);
   const [replyToUser, setReplyToUser] = useState(null);
   const [commentText, setCommentText] = useState('');
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [editingComment, setEditingComment] = useState(null);
   const commentInputRef = useRef(null);
 
   useEffect(() => {
     fetchComments();
-  }, [proposalId]);
+  }, [proposalId, threadId, sort]);
+
+  const addComments = (comments) => {
+    setCommentsById(prev => ({
+      ...prev,
+      ...Object.fromEntries(comments.map(comment => [comment._id, comment]))
+    }));
+  };
+
+  const updateComment = (id, changes) => {
+    setCommentsById(prev => (prev[id] ? { ...prev, [id]: { ...prev[id], ...changes } } : prev));
+  };
+
+  // Load one page: top-level comments, or the replies of the thread being continued
+  const fetchPage = (cursor) => {
+    if (threadId) {
+      return cursor
+        ? commentService.getReplies(threadId, { sort, cursor })
+        : commentService.getThread(threadId, { sort });
+    }
+
+    return commentService.getComments(proposalId, { sort, cursor });
+  };
 
   const fetchComments = async () => {
     try {
       setLoading(true);
-      const data = await commentService.getCommentsForProposal(proposalId);
-      setComments(data);
+      const { data, pagination } = await fetchPage(null);
+      const comments = threadId ? data.replies : data;
+
+      setCommentsById(Object.fromEntries(comments.map(comment => [comment._id, comment])));
+      if (threadId) addComments([data.comment]);
+      setTopIds(comments.map(comment => comment._id));
+      setReplies({});
+      setNextCursor(pagination.next ? pagination.next.cursor : null);
       setLoading(false);
     } catch (error) {
       setLoading(false);
@@ -46,6 +90,64 @@ const DiscussionScreen = ({ route, navigation }) => {
     }
   };
 
+  // Infinite scroll: fetch the next page as the end of the list comes into view
+  const loadMoreComments = async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+
+    try {
+      setLoadingMore(true);
+      const { data, pagination } = await fetchPage(nextCursor);
+
+      addComments(data);
+      setTopIds(prev => [...prev, ...data.map(comment => comment._id).filter(id => !prev.includes(id))]);
+      setNextCursor(pagination.next ? pagination.next.cursor : null);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to load more comments');
+    }
+
+    setLoadingMore(false);
+  };
+
+  const loadReplies = async (commentId) => {
+    const loaded = replies[commentId];
+
+    if (loaded && loaded.loading) {
+      return;
+    }
+
+    try {
+      setReplies(prev => ({ ...prev, [commentId]: { ids: [], next: null, ...prev[commentId], loading: true } }));
+      const { data, pagination } = await commentService.getReplies(commentId, {
+        cursor: loaded ? loaded.next : undefined
+      });
+
+      addComments(data);
+      setReplies(prev => {
+        const ids = prev[commentId].ids;
+        return {
+          ...prev,
+          [commentId]: {
+            ids: [...ids, ...data.map(reply => reply._id).filter(id => !ids.includes(id))],
+            next: pagination.next ? pagination.next.cursor : null,
+            loading: false
+          }
+        };
+      });
+    } catch (error) {
+      setReplies(prev => ({ ...prev, [commentId]: { ...prev[commentId], loading: false } }));
+      Alert.alert('Error', 'Failed to load replies');
+    }
+  };
+
+  const hideReplies = (commentId) => {
+    setReplies(prev => {
+      const { [commentId]: hidden, ...rest } = prev;
+      return rest;
+    });
+  };
+
   const handleSubmitComment = async () => {
     if (commentText.trim() === '') {
       return;
@@ -61,48 +163,41 @@ const DiscussionScreen = ({ route, navigation }) => {
           text: commentText
         });
 
-        // Update comment in the list
-        setComments(prevComments => 
-          prevComments.map(comment => 
-            comment._id === newComment._id ? newComment : 
-            {
-              ...comment,
-              replies: comment.replies?.map(reply => 
-                reply._id === newComment._id ? newComment : reply
-              )
-            }
-          )
-        );
-
+        updateComment(newComment._id, newComment);
         setEditingComment(null);
-      } else if (replyToId) {
-        // Submit a reply
+      } else {
+        // A comment written in a continued thread replies to the comment the thread starts from
+        const parentId = replyToId || threadId || null;
+
         newComment = await commentService.addComment(proposalId, {
           text: commentText,
-          parentComment: replyToId
+          parentComment: parentId
         });
 
-        // Add reply to the parent comment
-        setComments(prevComments => 
-          prevComments.map(comment => 
-            comment._id === replyToId ? 
-            {
-              ...comment,
-              replies: [...(comment.replies || []), newComment]
-            } : comment
-          )
-        );
+        addComments([newComment]);
+
+        if (parentId && parentId !== threadId) {
+          // Show the reply under its parent, opening the parent's replies if needed
+          updateComment(parentId, { replyCount: (commentsById[parentId].replyCount || 0) + 1 });
+          setReplies(prev => ({
+            ...prev,
+            [parentId]: {
+              next: null,
+              loading: false,
+              ...prev[parentId],
+              ids: [...(prev[parentId] ? prev[parentId].ids : []), newComment._id]
+            }
+          }));
+        } else {
+          // A new top-level comment, or a reply to the thread being continued
+          if (threadId) {
+            updateComment(threadId, { replyCount: (commentsById[threadId].replyCount || 0) + 1 });
+          }
+          setTopIds(prev => (threadId ? [...prev, newComment._id] : [newComment._id, ...prev]));
+        }
 
         setReplyToId(null);
         setReplyToUser(null);
-      } else {
-        // Submit a new top-level comment
-        newComment = await commentService.addComment(proposalId, {
-          text: commentText
-        });
-
-        // Add new comment to the list
-        setComments(prevComments => [newComment, ...prevComments]);
       }
 
       setCommentText('');
@@ -113,7 +208,6 @@ const DiscussionScreen = ({ route, navigation }) => {
     }
   };
 
-  // client/screens/forums/DiscussionScreen.js (continued)
   const handleReply = (commentId, userName) => {
     setReplyToId(commentId);
     setReplyToUser(userName);
@@ -131,7 +225,7 @@ const DiscussionScreen = ({ route, navigation }) => {
     }
   };
 
-  const handleDeleteComment = async (commentId) => {
+  const handleDeleteComment = async (comment) => {
     Alert.alert(
       'Delete Comment',
       'Are you sure you want to delete this comment?',
@@ -142,23 +236,22 @@ const DiscussionScreen = ({ route, navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await commentService.deleteComment(commentId);
-              
-              // Remove the comment from the list
-              setComments(prevComments => 
-                prevComments.filter(comment => {
-                  // Filter out the comment if it's a top level comment
-                  if (comment._id === commentId) return false;
-                  
-                  // Filter out the comment from replies if it's a reply
-                  if (comment.replies) {
-                    comment.replies = comment.replies.filter(reply => reply._id !== commentId);
-                  }
-                  
-                  return true;
-                })
-              );
-              
+              await commentService.deleteComment(comment._id);
+
+              // Remove the comment from wherever it is shown
+              const parentId = comment.parentComment;
+              setTopIds(prev => prev.filter(id => id !== comment._id));
+
+              if (parentId && replies[parentId]) {
+                setReplies(prev => ({
+                  ...prev,
+                  [parentId]: { ...prev[parentId], ids: prev[parentId].ids.filter(id => id !== comment._id) }
+                }));
+              }
+
+              if (parentId && commentsById[parentId]) {
+                updateComment(parentId, { replyCount: Math.max(0, commentsById[parentId].replyCount - 1) });
+              }
             } catch (error) {
               Alert.alert('Error', error.message || 'Failed to delete comment');
             }
@@ -175,6 +268,10 @@ const DiscussionScreen = ({ route, navigation }) => {
     setReplyToUser(null);
   };
 
+  const continueThread = (comment) => {
+    navigation.push('Discussion', { proposalId, proposalTitle, threadId: comment._id });
+  };
+
   const renderCommentActions = (comment) => {
     if (comment.author._id !== user.id) {
       return (
@@ -200,7 +297,7 @@ const DiscussionScreen = ({ route, navigation }) => {
         
         <TouchableOpacity 
           style={styles.actionButton}
-          onPress={() => handleDeleteComment(comment._id)}
+          onPress={() => handleDeleteComment(comment)}
         >
           <Icon name="delete" size={16} color="#e74c3c" />
           <Text style={[styles.actionText, { color: '#e74c3c' }]}>Delete</Text>
@@ -209,73 +306,130 @@ const DiscussionScreen = ({ route, navigation }) => {
     );
   };
 
-  const renderComment = ({ item }) => {
+  // Replies stay collapsed until opened; a thread too deep to show inline continues on its own screen
+  const renderReplies = (comment) => {
+    if (!comment.replyCount) {
+      return null;
+    }
+
+    if (comment.continueThread) {
+      return (
+        <TouchableOpacity style={styles.actionButton} onPress={() => continueThread(comment)}>
+          <Icon name="arrow-right" size={16} color="#3498db" />
+          <Text style={styles.actionText}>Continue this thread</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    const loaded = replies[comment._id];
+
+    if (!loaded || (loaded.ids.length === 0 && loaded.loading)) {
+      return (
+        <TouchableOpacity style={styles.actionButton} onPress={() => loadReplies(comment._id)}>
+          {loaded ? (
+            <ActivityIndicator size="small" color="#3498db" />
+          ) : (
+            <Icon name="chevron-down" size={16} color="#3498db" />
+          )}
+          <Text style={styles.actionText}>
+            View {comment.replyCount} {comment.replyCount === 1 ? 'reply' : 'replies'}
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
     return (
-      <View style={styles.commentContainer}>
-        <View style={styles.commentHeader}>
-          <View style={styles.authorInfo}>
-            <Image 
-              source={
-                item.author.profilePicture 
-                  ? { uri: item.author.profilePicture } 
-                  : require('../../assets/default-avatar.png')
-              } 
-              style={styles.avatar}
-            />
-            <View>
-              <Text style={styles.authorName}>{item.author.fullName}</Text>
-              <Text style={styles.commentDate}>
-                {formatDistance(new Date(item.createdAt), new Date(), { addSuffix: true })}
-              </Text>
-            </View>
-          </View>
-          {item.author._id === user.id && (
-            <View style={styles.commentBadge}>
-              <Text style={styles.commentBadgeText}>Author</Text>
-            </View>
+      <View style={styles.repliesContainer}>
+        {loaded.ids.filter(id => commentsById[id]).map(id => renderCommentBody(commentsById[id], true))}
+
+        <View style={styles.actionsContainer}>
+          {loaded.next && (
+            <TouchableOpacity style={styles.actionButton} onPress={() => loadReplies(comment._id)}>
+              {loaded.loading ? (
+                <ActivityIndicator size="small" color="#3498db" />
+              ) : (
+                <Icon name="chevron-down" size={16} color="#3498db" />
+              )}
+              <Text style={styles.actionText}>More replies</Text>
+            </TouchableOpacity>
           )}
+          <TouchableOpacity style={styles.actionButton} onPress={() => hideReplies(comment._id)}>
+            <Icon name="chevron-up" size={16} color="#3498db" />
+            <Text style={styles.actionText}>Hide replies</Text>
+          </TouchableOpacity>
         </View>
-        
-        <Text style={styles.commentText}>{item.text}</Text>
-        
-        <View style={styles.actionsContainer}>
-          {renderCommentActions(item)}
+      </View>
+    );
+  };
+
+  const renderCommentBody = (comment, isReply) => (
+    <View key={comment._id} style={isReply ? styles.replyContainer : styles.commentContainer}>
+      <View style={styles.commentHeader}>
+        <View style={styles.authorInfo}>
+          <Image 
+            source={
+              comment.author.profilePicture 
+                ? { uri: comment.author.profilePicture } 
+                : require('../../assets/default-avatar.png')
+            } 
+            style={isReply ? styles.replyAvatar : styles.avatar}
+          />
+          <View>
+            <Text style={isReply ? styles.replyAuthorName : styles.authorName}>{comment.author.fullName}</Text>
+            <Text style={styles.commentDate}>
+              {formatDistance(new Date(comment.createdAt), new Date(), { addSuffix: true })}
+            </Text>
+          </View>
         </View>
-        
-        {/* Render replies */}
-        {item.replies && item.replies.length > 0 && (
-          <View style={styles.repliesContainer}>
-            {item.replies.map(reply => (
-              <View key={reply._id} style={styles.replyContainer}>
-                <View style={styles.commentHeader}>
-                  <View style={styles.authorInfo}>
-                    <Image 
-                      source={
-                        reply.author.profilePicture 
-                          ? { uri: reply.author.profilePicture } 
-                          : require('../../assets/default-avatar.png')
-                      } 
-                      style={styles.replyAvatar}
-                    />
-                    <View>
-                      <Text style={styles.replyAuthorName}>{reply.author.fullName}</Text>
-                      <Text style={styles.commentDate}>
-                        {formatDistance(new Date(reply.createdAt), new Date(), { addSuffix: true })}
-                      </Text>
-                    </View>
-                  </View>
-                </View>
-                
-                <Text style={styles.replyText}>{reply.text}</Text>
-                
-                <View style={styles.actionsContainer}>
-                  {renderCommentActions(reply)}
-                </View>
-              </View>
-            ))}
+        {!isReply && comment.author._id === user.id && (
+          <View style={styles.commentBadge}>
+            <Text style={styles.commentBadgeText}>Author</Text>
           </View>
         )}
       </View>
+
+      <Text style={isReply ? styles.replyText : styles.commentText}>{comment.text}</Text>
+
+      <View style={styles.actionsContainer}>
+        {renderCommentActions(comment)}
+      </View>
+
+      {renderReplies(comment)}
+    </View>
+  );
+
+  const renderComment = ({ item }) => {
+    const comment = commentsById[item];
+    return comment ? renderCommentBody(comment, Boolean(threadId)) : null;
+  };
+
+  const renderListHeader = () => {
+    if (threadId) {
+      const root = commentsById[threadId];
+
+      return root ? (
+        <View style={[styles.commentContainer, styles.threadRoot]}>
+          <Text style={styles.authorName}>{root.author.fullName}</Text>
+          <Text style={styles.commentDate}>{format(new Date(root.createdAt), 'PPp')}</Text>
+          <Text style={[styles.commentText, { marginTop: 10 }]}>{root.text}</Text>
+        </View>
+      ) : null;
+    }
+
+    return (
+      <View style={styles.sortBar}>
+        {SORT_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.sortChip, sort === option.value && styles.sortChipActive]}
+            onPress={() => setSort(option.value)}
+          >
+            <Text style={[styles.sortChipText, sort === option.value && styles.sortChipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
     );
   };
 
@@ -305,20 +459,29 @@ const DiscussionScreen = ({ route, navigation }) => {
       <View style={styles.container}>
         <View style={styles.headerContainer}>
           <Text style={styles.proposalTitle}>{proposalTitle}</Text>
-          <Text style={styles.discussionTitle}>Discussion</Text>
+          <Text style={styles.discussionTitle}>{threadId ? 'Continued thread' : 'Discussion'}</Text>
         </View>
         
         {loading ? (
           <ActivityIndicator size="large" color="#3498db" style={styles.loader} />
         ) : (
           <FlatList
-            data={comments}
+            data={topIds}
             renderItem={renderComment}
-            keyExtractor={item => item._id}
+            keyExtractor={item => item}
+            extraData={[commentsById, replies]}
             contentContainerStyle={styles.commentsList}
+            ListHeaderComponent={renderListHeader()}
+            onEndReached={loadMoreComments}
+            onEndReachedThreshold={0.5}
+            ListFooterComponent={
+              loadingMore ? <ActivityIndicator size="small" color="#3498db" style={styles.footerLoader} /> : null
+            }
             ListEmptyComponent={
               <View style={styles.emptyContainer}>
-                <Text style={styles.emptyText}>No comments yet. Be the first to start the discussion.</Text>
+                <Text style={styles.emptyText}>
+                  {threadId ? 'No replies in this thread yet.' : 'No comments yet. Be the first to start the discussion.'}
+                </Text>
               </View>
             }
           />
@@ -388,6 +551,36 @@ const styles = StyleSheet.create({
   commentsList: {
     padding: 15,
   },
+  footerLoader: {
+    marginVertical: 15,
+  },
+  sortBar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  sortChip: {
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 5,
+    marginRight: 8,
+    marginBottom: 5,
+  },
+  sortChipActive: {
+    backgroundColor: '#3498db',
+  },
+  sortChipText: {
+    color: '#3498db',
+    fontSize: 13,
+  },
+  sortChipTextActive: {
+    color: '#fff',
+  },
+  threadRoot: {
+    borderColor: '#3498db',
+  },
   emptyContainer: {
     padding: 20,
     alignItems: 'center',
@@ -1,5 +1,5 @@
 // client/screens/proposals/CreateProposalScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -9,27 +9,245 @@ import {
   StyleSheet,
   Alert,
   Platform,
-  KeyboardAvoidingView
+  KeyboardAvoidingView,
+  ActivityIndicator
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
 import * as DocumentPicker from 'expo-document-picker';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
 import proposalService from '../../services/proposalService';
+import LocationPicker from '../../components/LocationPicker';
 
-const CreateProposalScreen = ({ navigation }) => {
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    category: '',
-    location: {
-      city: '',
-      region: '',
-      country: ''
-    },
-    documents: []
-  });
+const AUTOSAVE_DELAY = 2000;
+const SIMILAR_DELAY = 800;
+// Don't look for similar proposals until there is enough text to compare
+const SIMILAR_MIN_LENGTH = 10;
+
+// Local copy of unsynced edits, keyed by draft id ('new' before the first server save)
+const localDraftKey = (draftId) => `proposalDraft:${draftId || 'new'}`;
+
+const emptyForm = {
+  title: '',
+  description: '',
+  category: '',
+  location: {
+    city: '',
+    region: '',
+    country: '',
+    geometry: null
+  },
+  documents: []
+};
+
+// Map a proposal from the server back into form state
+const toFormData = (proposal) => ({
+  title: proposal.title || '',
+  description: proposal.description || '',
+  category: proposal.category || '',
+  location: {
+    city: proposal.location?.city || '',
+    region: proposal.location?.region || '',
+    country: proposal.location?.country || '',
+    geometry: proposal.location?.geometry?.type ? proposal.location.geometry : null
+  },
+  documents: proposal.documents || []
+});
+
+// Leave out the map pin if none was dropped
+const toProposalData = (formData) => {
+  const { geometry, ...place } = formData.location;
+  return {
+    ...formData,
+    location: geometry ? { ...place, geometry } : place
+  };
+};
+
+const CreateProposalScreen = ({ route, navigation }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [draftId, setDraftId] = useState(route?.params?.draftId || null);
   const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [restoring, setRestoring] = useState(true);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [similar, setSimilar] = useState([]);
+  // Server updatedAt the current edits are based on, for conflict detection
+  const baseUpdatedAt = useRef(null);
+  // Whether there are edits that have not reached the server yet
+  const dirty = useRef(false);
+
+  useEffect(() => {
+    restoreDraft();
+  }, []);
+
+  // Debounce-save after every edit
+  useEffect(() => {
+    if (restoring || !dirty.current) return;
+
+    const timer = setTimeout(() => saveDraft(), AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [formData, restoring]);
+
+  // Look for similar proposals while the user types
+  useEffect(() => {
+    if (restoring) return;
+
+    const text = `${formData.title} ${formData.description}`.trim();
+    if (text.length < SIMILAR_MIN_LENGTH) {
+      setSimilar([]);
+      return;
+    }
+
+    const timer = setTimeout(() => findSimilar(), SIMILAR_DELAY);
+    return () => clearTimeout(timer);
+  }, [formData.title, formData.description, formData.category, formData.location.city, restoring]);
+
+  // Flush edits saved on the device once connectivity returns
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener((state) => {
+      if (state.isConnected && dirty.current && !restoring) {
+        saveDraft();
+      }
+    });
+    return unsubscribe;
+  }, [formData, draftId, restoring]);
+
+  const restoreDraft = async () => {
+    try {
+      const stored = await AsyncStorage.getItem(localDraftKey(draftId));
+      const localDraft = stored ? JSON.parse(stored) : null;
+
+      if (draftId) {
+        try {
+          const serverDraft = await proposalService.getProposal(draftId);
+          baseUpdatedAt.current = serverDraft.updatedAt;
+
+          // Prefer offline edits made after the last server save
+          if (localDraft && new Date(localDraft.savedAt) > new Date(serverDraft.updatedAt)) {
+            setFormData(localDraft.formData);
+            dirty.current = true;
+          } else {
+            setFormData(toFormData(serverDraft));
+          }
+        } catch (error) {
+          if (localDraft) {
+            setFormData(localDraft.formData);
+            dirty.current = true;
+          }
+        }
+      } else if (localDraft) {
+        setFormData(localDraft.formData);
+        dirty.current = true;
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to restore your draft');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const saveDraft = async () => {
+    const data = formData;
+
+    try {
+      setSaveStatus('saving');
+      let saved;
+
+      if (draftId) {
+        saved = await proposalService.saveDraft(draftId, {
+          ...toProposalData(data),
+          baseUpdatedAt: baseUpdatedAt.current
+        });
+      } else {
+        saved = await proposalService.createProposal({ ...toProposalData(data), status: 'draft' });
+        await AsyncStorage.removeItem(localDraftKey(null));
+        setDraftId(saved._id);
+      }
+
+      baseUpdatedAt.current = saved.updatedAt;
+      await AsyncStorage.removeItem(localDraftKey(saved._id));
+      dirty.current = false;
+      setSaveStatus('saved');
+      return saved;
+    } catch (error) {
+      if (error.status === 409) {
+        setSaveStatus(null);
+        resolveConflict(error.data);
+        return null;
+      }
+
+      // Keep the edits on the device until the server can be reached again
+      await AsyncStorage.setItem(
+        localDraftKey(draftId),
+        JSON.stringify({ formData: data, savedAt: new Date().toISOString() })
+      );
+      setSaveStatus('offline');
+      return null;
+    }
+  };
+
+  const findSimilar = async () => {
+    try {
+      const matches = await proposalService.getSimilarProposals({
+        title: formData.title,
+        description: formData.description,
+        category: formData.category,
+        city: formData.location.city,
+        exclude: draftId
+      });
+      setSimilar(matches);
+    } catch (error) {
+      // Suggestions are optional; keep whatever was shown before
+    }
+  };
+
+  const supportInstead = (match) => {
+    Alert.alert(
+      'Support Existing Proposal',
+      `Add your support to "${match.title}" instead? Your draft stays in My Drafts.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Support',
+          onPress: async () => {
+            try {
+              await proposalService.supportProposal(match._id);
+              navigation.navigate('Vote', { proposalId: match._id });
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to support proposal');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const resolveConflict = (serverDraft) => {
+    Alert.alert(
+      'Draft Changed Elsewhere',
+      'This draft was edited on another device. Which version do you want to keep?',
+      [
+        {
+          text: 'Load Latest',
+          onPress: () => {
+            baseUpdatedAt.current = serverDraft.updatedAt;
+            dirty.current = false;
+            setFormData(toFormData(serverDraft));
+          }
+        },
+        {
+          text: 'Keep Mine',
+          onPress: () => {
+            baseUpdatedAt.current = serverDraft.updatedAt;
+            saveDraft();
+          }
+        }
+      ]
+    );
+  };
 
   const handleChange = (name, value) => {
+    dirty.current = true;
     if (name.includes('.')) {
       const [parent, child] = name.split('.');
       setFormData({
@@ -55,25 +273,39 @@ const CreateProposalScreen = ({ navigation }) => {
       });
       
       if (result.type === 'success') {
+        setUploading(true);
+        // The server checks type and size, stores the file and returns its SHA-256 hash
+        const upload = await proposalService.uploadDocument({
+          uri: result.uri,
+          name: result.name,
+          mimeType: result.mimeType
+        });
+        setUploading(false);
+
         const newDocument = {
           title: result.name,
-          fileUrl: result.uri, // In a real app, you'd upload this to your server
-          fileType: result.mimeType
+          fileUrl: upload.url,
+          fileType: upload.mimeType,
+          sha256: upload.sha256,
+          upload: upload._id
         };
         
+        dirty.current = true;
         setFormData({
           ...formData,
           documents: [...formData.documents, newDocument]
         });
       }
     } catch (error) {
-      Alert.alert('Error', 'Failed to select document');
+      setUploading(false);
+      Alert.alert('Upload Failed', error.message || 'Failed to upload document');
     }
   };
 
   const removeDocument = (index) => {
     const updatedDocs = [...formData.documents];
     updatedDocs.splice(index, 1);
+    dirty.current = true;
     setFormData({
       ...formData,
       documents: updatedDocs
@@ -88,8 +320,19 @@ const CreateProposalScreen = ({ navigation }) => {
 
     try {
       setLoading(true);
-      // In a real app, you would upload documents first, then create the proposal with the file URLs
-      await proposalService.createProposal(formData);
+
+      if (draftId) {
+        // Make sure the latest edits are on the server before submitting the draft
+        if (dirty.current && !(await saveDraft())) {
+          throw new Error('You appear to be offline. Your draft is saved on this device.');
+        }
+        await proposalService.submitDraft(draftId);
+      } else {
+        await proposalService.createProposal(toProposalData(formData));
+      }
+
+      dirty.current = false;
+      await AsyncStorage.removeItem(localDraftKey(draftId));
       setLoading(false);
       Alert.alert(
         'Success',
@@ -115,6 +358,14 @@ const CreateProposalScreen = ({ navigation }) => {
     'Other'
   ];
 
+  if (restoring) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3498db" />
+      </View>
+    );
+  }
+
   return (
     <KeyboardAvoidingView
       style={{ flex: 1 }}
@@ -124,6 +375,15 @@ const CreateProposalScreen = ({ navigation }) => {
         <View style={styles.formContainer}>
           <Text style={styles.title}>Create New Proposal</Text>
           <Text style={styles.subtitle}>Share your ideas to improve your community</Text>
+          {saveStatus && (
+            <Text style={[styles.saveStatus, saveStatus === 'offline' && styles.saveStatusOffline]}>
+              {saveStatus === 'saving'
+                ? 'Saving draft...'
+                : saveStatus === 'saved'
+                  ? 'Draft saved'
+                  : 'Offline - draft saved on this device'}
+            </Text>
+          )}
           
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Title</Text>
@@ -164,6 +424,30 @@ const CreateProposalScreen = ({ navigation }) => {
               maxLength={5000}
             />
           </View>
+
+          {similar.length > 0 && (
+            <View style={styles.similarContainer}>
+              <Text style={styles.similarTitle}>Similar proposals</Text>
+              <Text style={styles.similarHint}>
+                Someone may already have proposed this. Supporting an existing proposal helps it reach review sooner.
+              </Text>
+              {similar.map((match) => (
+                <View key={match._id} style={styles.similarItem}>
+                  <View style={styles.similarInfo}>
+                    <Text style={styles.similarItemTitle} numberOfLines={2}>{match.title}</Text>
+                    <Text style={styles.similarMeta}>
+                      {Math.round(match.score * 100)}% match · {match.supporterCount} supporters
+                    </Text>
+                  </View>
+                  {match.status === 'submitted' || match.status === 'under_review' ? (
+                    <TouchableOpacity onPress={() => supportInstead(match)}>
+                      <Text style={styles.supportText}>Support</Text>
+                    </TouchableOpacity>
+                  ) : null}
+                </View>
+              ))}
+            </View>
+          )}
           
           <Text style={styles.sectionTitle}>Location</Text>
           
@@ -196,11 +480,21 @@ const CreateProposalScreen = ({ navigation }) => {
               onChangeText={(value) => handleChange('location.country', value)}
             />
           </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Pin on Map (Optional)</Text>
+            <LocationPicker
+              value={formData.location.geometry}
+              onChange={(geometry) => handleChange('location.geometry', geometry)}
+            />
+          </View>
           
           <Text style={styles.sectionTitle}>Supporting Documents</Text>
           
-          <TouchableOpacity style={styles.uploadButton} onPress={pickDocument}>
-            <Text style={styles.uploadButtonText}>+ Add Document</Text>
+          <TouchableOpacity style={styles.uploadButton} onPress={pickDocument} disabled={uploading}>
+            <Text style={styles.uploadButtonText}>
+              {uploading ? 'Uploading...' : '+ Add Document'}
+            </Text>
           </TouchableOpacity>
           
           {formData.documents.length > 0 && (
@@ -221,7 +515,7 @@ const CreateProposalScreen = ({ navigation }) => {
           <TouchableOpacity 
             style={styles.submitButton}
             onPress={handleSubmit}
-            disabled={loading}
+            disabled={loading || uploading}
           >
             <Text style={styles.submitButtonText}>
               {loading ? 'Submitting...' : 'Submit Proposal'}
@@ -238,6 +532,11 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f5f5f5',
   },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   formContainer: {
     padding: 20,
   },
@@ -252,6 +551,15 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 20,
   },
+  saveStatus: {
+    fontSize: 13,
+    color: '#27ae60',
+    marginTop: -10,
+    marginBottom: 15,
+  },
+  saveStatusOffline: {
+    color: '#e67e22',
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -295,6 +603,50 @@ const styles = StyleSheet.create({
     height: 200,
     textAlignVertical: 'top',
   },
+  similarContainer: {
+    backgroundColor: '#fef9e7',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#f5d76e',
+    padding: 15,
+    marginBottom: 15,
+  },
+  similarTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  similarHint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 10,
+  },
+  similarItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f5d76e',
+  },
+  similarInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  similarItemTitle: {
+    fontSize: 14,
+    color: '#333',
+  },
+  similarMeta: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  supportText: {
+    color: '#3498db',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   uploadButton: {
     backgroundColor: '#fff',
     borderWidth: 1,
@@ -0,0 +1,148 @@
+// client/screens/proposals/MyDraftsScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { formatDistance } from 'date-fns';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import proposalService from '../../services/proposalService';
+
+const MyDraftsScreen = ({ navigation }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    // Refresh whenever the user comes back from editing a draft
+    const unsubscribe = navigation.addListener('focus', fetchDrafts);
+    return unsubscribe;
+  }, [navigation]);
+
+  const fetchDrafts = async () => {
+    try {
+      setLoading(true);
+      const data = await proposalService.getMyDrafts();
+      setDrafts(data);
+      setLoading(false);
+    } catch (error) {
+      setLoading(false);
+      Alert.alert('Error', 'Failed to load your drafts');
+    }
+  };
+
+  const renderDraft = ({ item }) => (
+    <TouchableOpacity
+      style={styles.draftContainer}
+      onPress={() => navigation.navigate('CreateProposal', { draftId: item._id })}
+    >
+      <View style={styles.draftInfo}>
+        <Text style={styles.draftTitle} numberOfLines={1}>
+          {item.title || 'Untitled draft'}
+        </Text>
+        {item.category ? <Text style={styles.draftCategory}>{item.category}</Text> : null}
+        <Text style={styles.draftDate}>
+          Saved {formatDistance(new Date(item.draftSavedAt || item.updatedAt), new Date(), { addSuffix: true })}
+        </Text>
+      </View>
+      <Icon name="chevron-right" size={24} color="#999" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {loading ? (
+        <ActivityIndicator size="large" color="#3498db" style={styles.loader} />
+      ) : (
+        <FlatList
+          data={drafts}
+          renderItem={renderDraft}
+          keyExtractor={item => item._id}
+          contentContainerStyle={styles.draftsList}
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Text style={styles.emptyText}>You have no drafts. Proposals you start are saved here automatically.</Text>
+            </View>
+          }
+        />
+      )}
+
+      <TouchableOpacity
+        style={styles.newButton}
+        onPress={() => navigation.navigate('CreateProposal')}
+      >
+        <Text style={styles.newButtonText}>+ New Proposal</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loader: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  draftsList: {
+    padding: 15,
+  },
+  draftContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  draftInfo: {
+    flex: 1,
+  },
+  draftTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  draftCategory: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginBottom: 5,
+  },
+  draftDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  emptyContainer: {
+    padding: 20,
+    alignItems: 'center',
+  },
+  emptyText: {
+    color: '#777',
+    textAlign: 'center',
+  },
+  newButton: {
+    backgroundColor: '#3498db',
+    height: 50,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    margin: 15,
+  },
+  newButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default MyDraftsScreen;
@@ -0,0 +1,355 @@
+// client/screens/voting/BudgetVoteScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { ProgressBar } from 'react-native-paper';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import voteService from '../../services/voteService';
+
+const formatMoney = (amount, currency) =>
+  `${Number(amount).toLocaleString(undefined, { maximumFractionDigits: 0 })} ${currency}`;
+
+// Participatory budgeting variant of VoteScreen: pick projects up to the cycle budget
+const BudgetVoteScreen = ({ route, navigation }) => {
+  const { budgetCycleId } = route.params;
+  const [cycle, setCycle] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [results, setResults] = useState(null);
+  const [hasVoted, setHasVoted] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, [budgetCycleId]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const cycleData = await voteService.getBudgetCycle(budgetCycleId);
+      setCycle(cycleData);
+
+      if (cycleData.status === 'closed') {
+        const resultsData = await voteService.getBudgetResults(budgetCycleId);
+        setResults(resultsData);
+      }
+
+      try {
+        const allocation = await voteService.getMyAllocation(budgetCycleId);
+        if (allocation) {
+          setSelected(allocation.allocation);
+          setHasVoted(true);
+        }
+      } catch (error) {
+        // User might not have voted yet, that's okay
+      }
+
+      setLoading(false);
+    } catch (error) {
+      setLoading(false);
+      Alert.alert('Error', 'Failed to load budget cycle');
+      navigation.goBack();
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3498db" />
+        <Text style={styles.loadingText}>Loading budget cycle...</Text>
+      </View>
+    );
+  }
+
+  const costOf = (id) => (cycle.proposals.find(proposal => proposal._id === id) || {}).estimatedCost || 0;
+  const spent = selected.reduce((sum, id) => sum + costOf(id), 0);
+  const remaining = cycle.budget - spent;
+  const isOpen = cycle.status === 'voting';
+  const fundedIds = results ? results.funded.map(project => project.proposal._id) : [];
+
+  const toggleProject = (proposal) => {
+    if (selected.includes(proposal._id)) {
+      setSelected(selected.filter(id => id !== proposal._id));
+    } else if (proposal.estimatedCost > remaining) {
+      Alert.alert(
+        'Over Budget',
+        `This project costs ${formatMoney(proposal.estimatedCost, cycle.currency)} but only ${formatMoney(remaining, cycle.currency)} is left. Remove another project first.`
+      );
+    } else {
+      setSelected([...selected, proposal._id]);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (selected.length === 0) {
+      return Alert.alert('Error', 'Please choose at least one project');
+    }
+
+    try {
+      setSubmitting(true);
+      await voteService.submitAllocation(budgetCycleId, { allocation: selected });
+      setSubmitting(false);
+      setHasVoted(true);
+      Alert.alert('Success', 'Your budget allocation has been recorded');
+    } catch (error) {
+      setSubmitting(false);
+      Alert.alert('Error', error.message || 'Failed to submit your allocation');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{cycle.title}</Text>
+        {cycle.description ? <Text style={styles.description}>{cycle.description}</Text> : null}
+      </View>
+
+      <View style={styles.budgetContainer}>
+        <View style={styles.budgetRow}>
+          <Text style={styles.budgetLabel}>Remaining budget</Text>
+          <Text style={[styles.budgetValue, remaining === 0 && styles.budgetSpent]}>
+            {formatMoney(remaining, cycle.currency)}
+          </Text>
+        </View>
+        <ProgressBar
+          progress={cycle.budget > 0 ? spent / cycle.budget : 0}
+          color={remaining === 0 ? '#e67e22' : '#27ae60'}
+          style={styles.progressBar}
+        />
+        <Text style={styles.budgetHint}>
+          {formatMoney(spent, cycle.currency)} of {formatMoney(cycle.budget, cycle.currency)} allocated
+        </Text>
+      </View>
+
+      {results && (
+        <View style={styles.resultsContainer}>
+          <Text style={styles.resultsTitle}>Results</Text>
+          <Text style={styles.resultsText}>
+            {results.funded.length} projects funded from {results.ballots} ballots, {formatMoney(results.spent, cycle.currency)} spent
+            ({results.method === 'equal_shares' ? 'Method of Equal Shares' : 'greedy'} counting)
+          </Text>
+        </View>
+      )}
+
+      <ScrollView style={styles.projectList}>
+        {cycle.proposals.map(proposal => {
+          const isSelected = selected.includes(proposal._id);
+          const fits = isSelected || proposal.estimatedCost <= remaining;
+
+          return (
+            <TouchableOpacity
+              key={proposal._id}
+              style={[styles.project, isSelected && styles.selectedProject, !fits && styles.unaffordable]}
+              onPress={() => toggleProject(proposal)}
+              disabled={!isOpen || submitting}
+            >
+              <Icon
+                name={isSelected ? 'checkbox-marked' : 'checkbox-blank-outline'}
+                size={24}
+                color={isSelected ? '#fff' : '#3498db'}
+              />
+              <View style={styles.projectInfo}>
+                <Text style={[styles.projectTitle, isSelected && styles.selectedText]}>{proposal.title}</Text>
+                <Text style={[styles.projectCategory, isSelected && styles.selectedText]}>{proposal.category}</Text>
+              </View>
+              <View style={styles.projectMeta}>
+                <Text style={[styles.projectCost, isSelected && styles.selectedText]}>
+                  {formatMoney(proposal.estimatedCost, cycle.currency)}
+                </Text>
+                {fundedIds.includes(proposal._id) && (
+                  <Text style={[styles.fundedLabel, isSelected && styles.selectedText]}>Funded</Text>
+                )}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      {isOpen ? (
+        <TouchableOpacity
+          style={styles.submitButton}
+          onPress={handleSubmit}
+          disabled={submitting || selected.length === 0}
+        >
+          <Text style={styles.submitButtonText}>
+            {submitting ? 'Submitting...' : hasVoted ? 'Update Allocation' : 'Submit Allocation'}
+          </Text>
+        </TouchableOpacity>
+      ) : (
+        <View style={styles.votingClosed}>
+          <Icon name="lock" size={24} color="#95a5a6" />
+          <Text style={styles.votingClosedText}>
+            Voting is {cycle.status === 'upcoming' ? 'not yet open' : 'now closed'} for this budget cycle
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  description: {
+    fontSize: 15,
+    color: '#666',
+    marginTop: 8,
+  },
+  budgetContainer: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  budgetRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  budgetLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  budgetValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#27ae60',
+  },
+  budgetSpent: {
+    color: '#e67e22',
+  },
+  progressBar: {
+    height: 10,
+    borderRadius: 5,
+  },
+  budgetHint: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 8,
+  },
+  projectList: {
+    flex: 1,
+    padding: 15,
+  },
+  project: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+  },
+  selectedProject: {
+    backgroundColor: '#3498db',
+    borderColor: '#3498db',
+  },
+  unaffordable: {
+    opacity: 0.5,
+  },
+  projectInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  projectTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  projectCategory: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  projectMeta: {
+    alignItems: 'flex-end',
+  },
+  projectCost: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  fundedLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#27ae60',
+    marginTop: 2,
+  },
+  resultsContainer: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  resultsTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 6,
+  },
+  resultsText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  selectedText: {
+    color: '#fff',
+  },
+  submitButton: {
+    backgroundColor: '#3498db',
+    height: 50,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    margin: 15,
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  votingClosed: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  votingClosedText: {
+    marginLeft: 10,
+    fontSize: 16,
+    color: '#7f8c8d',
+  },
+});
+
+export default BudgetVoteScreen;
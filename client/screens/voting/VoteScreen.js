@@ -12,38 +12,131 @@ import {
 } from 'react-native';
 import { ProgressBar } from 'react-native-paper';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import voteService from '../../services/voteService';
 import proposalService from '../../services/proposalService';
+import SupportProgress from '../../components/SupportProgress';
+import MultiOptionBallot from '../../components/MultiOptionBallot';
+import BallotResults from '../../components/BallotResults';
+import ReceiptVerifier from '../../components/ReceiptVerifier';
+import VoteSwitchingChart from '../../components/VoteSwitchingChart';
+import { createToken, blind, unblind } from '../../services/blindSignature';
+
+// Format a duration as "2d 03:14:05"
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const pad = (value) => String(value).padStart(2, '0');
+  const clock = `${pad(Math.floor(totalSeconds / 3600) % 24)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
+
+// Secret ballots are not linked to the voter on the server, so the token and the
+// cast ballot with its receipt are kept on this device only
+const secretBallotKey = (proposalId) => `secretBallot:${proposalId}`;
+
+// A secret ballot is sent a random while after its token is issued, so the server
+// cannot pair the ballot with the signed-in request that came just before it
+const MIN_CAST_DELAY = 60 * 1000;
+const MAX_CAST_DELAY = 3 * 60 * 60 * 1000;
+// Leave time to send the ballot before voting closes
+const CLOSE_MARGIN = 10 * 60 * 1000;
+
+const pickCastTime = (votingEndsAt) => {
+  const untilClose = votingEndsAt
+    ? new Date(votingEndsAt).getTime() - CLOSE_MARGIN - Date.now()
+    : MAX_CAST_DELAY;
+  const latest = Math.max(0, Math.min(MAX_CAST_DELAY, untilClose));
+  const earliest = Math.min(MIN_CAST_DELAY, latest);
+
+  return Date.now() + earliest + Math.floor(Math.random() * (latest - earliest));
+};
 
 const VoteScreen = ({ route, navigation }) => {
   const { proposalId } = route.params;
   const [proposal, setProposal] = useState(null);
   const [voteCounts, setVoteCounts] = useState(null);
   const [userVote, setUserVote] = useState(null);
+  // Secret ballots: the ballot and receipt this device cast
+  const [secretBallot, setSecretBallot] = useState(null);
+  // Secret ballots: when this device will send the ballot it has queued
+  const [queuedCastAt, setQueuedCastAt] = useState(null);
+  const [eligibility, setEligibility] = useState(null);
   const [selectedVote, setSelectedVote] = useState(null);
+  // Multi-option ballots: option ids (approval, ranked) or { [optionId]: score }
+  const [choices, setChoices] = useState([]);
   const [reason, setReason] = useState('');
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
+  const [now, setNow] = useState(Date.now());
 
   useEffect(() => {
     fetchData();
   }, [proposalId]);
 
+  // Tick the countdown while the ballot is scheduled or open
+  useEffect(() => {
+    if (!proposal || !proposal.votingEndsAt) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [proposal]);
+
+  // Send a queued secret ballot when its time comes; if the screen is closed
+  // before then, it is sent the next time the proposal is opened
+  useEffect(() => {
+    if (!queuedCastAt) return;
+
+    const timeout = setTimeout(sendQueuedBallot, Math.max(0, queuedCastAt - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [queuedCastAt]);
+
+  // Time until the voting window opens and closes
+  const opensIn = proposal && proposal.votingStartsAt ? new Date(proposal.votingStartsAt) - now : null;
+  const closesIn = proposal && proposal.votingEndsAt ? new Date(proposal.votingEndsAt) - now : null;
+  const beforeWindow = opensIn !== null && opensIn > 0;
+  const windowOpen = !beforeWindow && closesIn !== null && closesIn > 0;
+
   const fetchData = async () => {
     try {
       setLoading(true);
       const proposalData = await proposalService.getProposal(proposalId);
       setProposal(proposalData);
+      setChoices(proposalData.ballotType === 'score' ? {} : []);
 
       const votesData = await voteService.getVotesForProposal(proposalId);
       setVoteCounts(votesData);
 
+      try {
+        setEligibility(await voteService.getEligibility(proposalId));
+      } catch (error) {
+        // Not signed in; the ballot itself will ask them to sign in
+      }
+
+      if (proposalData.secretBallot) {
+        const stored = JSON.parse(await AsyncStorage.getItem(secretBallotKey(proposalId)) || 'null');
+        setSecretBallot(stored && stored.ballot ? stored.ballot : null);
+        setQueuedCastAt(stored && stored.queued ? stored.castAt : null);
+      }
+
       try {
         const userVoteData = await voteService.getUserVote(proposalId);
-        if (userVoteData) {
+        if (userVoteData && userVoteData.secretBallot) {
+          // Only the fact that they took part is known to the server
+          setUserVote(userVoteData);
+        } else if (userVoteData) {
           setUserVote(userVoteData);
           setSelectedVote(userVoteData.vote);
           setReason(userVoteData.reason || '');
+
+          if (proposalData.ballotType === 'approval') {
+            setChoices(userVoteData.selections);
+          } else if (proposalData.ballotType === 'ranked') {
+            setChoices(userVoteData.ranking);
+          } else if (proposalData.ballotType === 'score') {
+            setChoices(Object.fromEntries(userVoteData.scores.map(({ option, score }) => [option, score])));
+          }
         }
       } catch (error) {
         // User might not have voted yet, that's okay
@@ -57,8 +150,75 @@ const VoteScreen = ({ route, navigation }) => {
     }
   };
 
+  // Build the ballot fields for the proposal's ballot type
+  const buildBallot = () => {
+    if (selectedVote === 'abstain') {
+      return { vote: 'abstain' };
+    }
+
+    switch (proposal.ballotType) {
+      case 'approval':
+        return choices.length > 0 ? { selections: choices } : null;
+      case 'ranked':
+        return choices.length > 0 ? { ranking: choices } : null;
+      case 'score': {
+        const scores = Object.entries(choices).map(([option, score]) => ({ option, score }));
+        return scores.length > 0 ? { scores } : null;
+      }
+      default:
+        return selectedVote ? { vote: selectedVote } : null;
+    }
+  };
+
+  // Get a blind-signed token while signed in, then queue the ballot to be cast
+  // with the token alone, later, so the server cannot tell whose ballot it is
+  const castSecretBallot = async (ballot) => {
+    const storageKey = secretBallotKey(proposalId);
+
+    // Reuse the token from an earlier attempt that failed before the ballot was cast
+    let pending = JSON.parse(await AsyncStorage.getItem(storageKey) || 'null');
+
+    if (!pending || !pending.signature) {
+      const key = await voteService.getBallotKey(proposalId);
+      const token = createToken();
+      const { blinded, r } = await blind(token, key);
+      const { blindSignature } = await voteService.requestBallotToken(proposalId, { blinded });
+
+      pending = { token, signature: unblind(blindSignature, r, key) };
+    }
+
+    const castAt = pickCastTime(proposal.votingEndsAt);
+    await AsyncStorage.setItem(storageKey, JSON.stringify({ ...pending, queued: ballot, castAt }));
+    setQueuedCastAt(castAt);
+
+    return castAt;
+  };
+
+  const sendQueuedBallot = async () => {
+    const storageKey = secretBallotKey(proposalId);
+    const pending = JSON.parse(await AsyncStorage.getItem(storageKey) || 'null');
+
+    if (!pending || !pending.queued) return;
+
+    try {
+      const cast = await voteService.castSecretBallot(proposalId, {
+        ...pending.queued,
+        token: pending.token,
+        signature: pending.signature
+      });
+      await AsyncStorage.setItem(storageKey, JSON.stringify({ ballot: cast }));
+      setSecretBallot(cast);
+      setQueuedCastAt(null);
+    } catch (error) {
+      // Stays queued and is retried the next time the proposal is opened
+      Alert.alert('Error', error.message || 'Failed to send your secret ballot');
+    }
+  };
+
   const handleVote = async () => {
-    if (!selectedVote) {
+    const ballot = buildBallot();
+
+    if (!ballot) {
       return Alert.alert('Error', 'Please select your vote');
     }
 
@@ -66,11 +226,21 @@ const VoteScreen = ({ route, navigation }) => {
       setSubmitting(true);
       
       const voteData = {
-        vote: selectedVote,
+        ...ballot,
         reason: reason
       };
       
-      if (userVote) {
+      if (proposal.secretBallot) {
+        // Reasons would identify the voter, so secret ballots carry none
+        const castAt = await castSecretBallot(ballot);
+        setSubmitting(false);
+        return Alert.alert(
+          'Ballot queued',
+          `Your ballot will be sent anonymously around ${new Date(castAt).toLocaleTimeString()}. ` +
+            'Keep this screen open, or open this proposal again before voting closes.',
+          [{ text: 'OK', onPress: () => fetchData() }]
+        );
+      } else if (userVote) {
         // Update existing vote
         await voteService.updateVote(userVote._id, voteData);
       } else {
@@ -99,14 +269,31 @@ const VoteScreen = ({ route, navigation }) => {
     );
   }
 
+  const votingOpen = proposal.status === 'voting' && !beforeWindow && (closesIn === null || windowOpen);
+  // Changing a cast vote follows the proposal's re-vote policy; secret ballots cannot be changed
+  const revotePolicy = proposal.revotePolicy || { mode: 'unlimited' };
+  const changesCloseAt = revotePolicy.mode === 'until_cutoff' && proposal.votingEndsAt
+    ? new Date(new Date(proposal.votingEndsAt).getTime() - revotePolicy.cutoffHours * 60 * 60 * 1000)
+    : null;
+  const canChange = !proposal.secretBallot && revotePolicy.mode !== 'none' &&
+    (!changesCloseAt || now < changesCloseAt.getTime());
+  const canVote = userVote ? canChange : !eligibility || eligibility.eligible;
+
   // Calculate percentages for progress bars
   const calculatePercentage = (count, total) => {
     if (total === 0) return 0;
     return count / total;
   };
 
-  const totalVotes = voteCounts ? 
-    voteCounts.yes + voteCounts.no + voteCounts.abstain : 0;
+  const totalVotes = voteCounts ? voteCounts.total : 0;
+
+  const isBinary = proposal.ballotType === 'binary';
+
+  // Choosing options on a multi-option ballot replaces a blank ballot
+  const changeChoices = (value) => {
+    setChoices(value);
+    setSelectedVote(null);
+  };
 
   return (
     <ScrollView style={styles.container}>
@@ -129,136 +316,266 @@ const VoteScreen = ({ route, navigation }) => {
       <View style={styles.proposalContent}>
         <Text style={styles.description}>{proposal.description}</Text>
       </View>
+
+      {['submitted', 'under_review'].includes(proposal.status) && (
+        <SupportProgress
+          proposalId={proposalId}
+          onStatusChange={(status) => setProposal({ ...proposal, status })}
+        />
+      )}
       
+      {closesIn !== null && (
+        <View style={styles.countdownContainer}>
+          <Icon name="timer-outline" size={20} color="#3498db" />
+          <Text style={styles.countdownText}>
+            {beforeWindow
+              ? `Voting opens in ${formatCountdown(opensIn)}`
+              : windowOpen
+                ? `Voting closes in ${formatCountdown(closesIn)}`
+                : `Voting ended ${new Date(proposal.votingEndsAt).toLocaleString()}`}
+          </Text>
+        </View>
+      )}
+
       <View style={styles.voteSection}>
         <Text style={styles.sectionTitle}>Current Votes</Text>
-        {voteCounts && (
+        {voteCounts && voteCounts.sealed && (
+          <Text style={styles.rulesText}>
+            Secret ballot results are sealed until voting closes
+          </Text>
+        )}
+
+        {voteCounts && !voteCounts.sealed && (
           <View style={styles.voteCounts}>
-            <View style={styles.voteProgressContainer}>
-              <View style={styles.progressLabelContainer}>
-                <Text style={styles.progressLabel}>Yes</Text>
-                <Text style={styles.voteCountText}>{voteCounts.yes}</Text>
-              </View>
-              <ProgressBar 
-                progress={calculatePercentage(voteCounts.yes, totalVotes)} 
-                color="#27ae60"
-                style={styles.progressBar}
-              />
-            </View>
+            {isBinary ? (
+              <>
+                <View style={styles.voteProgressContainer}>
+                  <View style={styles.progressLabelContainer}>
+                    <Text style={styles.progressLabel}>Yes</Text>
+                    <Text style={styles.voteCountText}>{voteCounts.yes}</Text>
+                  </View>
+                  <ProgressBar 
+                    progress={calculatePercentage(voteCounts.yes, totalVotes)} 
+                    color="#27ae60"
+                    style={styles.progressBar}
+                  />
+                </View>
             
-            <View style={styles.voteProgressContainer}>
-              <View style={styles.progressLabelContainer}>
-                <Text style={styles.progressLabel}>No</Text>
-                <Text style={styles.voteCountText}>{voteCounts.no}</Text>
-              </View>
-              <ProgressBar 
-                progress={calculatePercentage(voteCounts.no, totalVotes)} 
-                color="#e74c3c"
-                style={styles.progressBar}
-              />
-            </View>
+                <View style={styles.voteProgressContainer}>
+                  <View style={styles.progressLabelContainer}>
+                    <Text style={styles.progressLabel}>No</Text>
+                    <Text style={styles.voteCountText}>{voteCounts.no}</Text>
+                  </View>
+                  <ProgressBar 
+                    progress={calculatePercentage(voteCounts.no, totalVotes)} 
+                    color="#e74c3c"
+                    style={styles.progressBar}
+                  />
+                </View>
             
-            <View style={styles.voteProgressContainer}>
-              <View style={styles.progressLabelContainer}>
-                <Text style={styles.progressLabel}>Abstain</Text>
-                <Text style={styles.voteCountText}>{voteCounts.abstain}</Text>
-              </View>
-              <ProgressBar 
-                progress={calculatePercentage(voteCounts.abstain, totalVotes)} 
-                color="#95a5a6"
-                style={styles.progressBar}
-              />
-            </View>
+                <View style={styles.voteProgressContainer}>
+                  <View style={styles.progressLabelContainer}>
+                    <Text style={styles.progressLabel}>Abstain</Text>
+                    <Text style={styles.voteCountText}>{voteCounts.abstain}</Text>
+                  </View>
+                  <ProgressBar 
+                    progress={calculatePercentage(voteCounts.abstain, totalVotes)} 
+                    color="#95a5a6"
+                    style={styles.progressBar}
+                  />
+                </View>
+              </>
+            ) : (
+              <BallotResults tabulation={voteCounts.tabulation} options={proposal.ballotOptions} />
+            )}
             
             <Text style={styles.totalVotes}>
               Total votes: {totalVotes}
             </Text>
+
+            {voteCounts.delegated && voteCounts.delegated.total > 0 && (
+              <Text style={styles.rulesText}>
+                {voteCounts.direct.total} cast directly, {voteCounts.delegated.total} delegated
+              </Text>
+            )}
+
+            {voteCounts.quorum && voteCounts.quorum.required > 0 && (
+              <View style={styles.voteProgressContainer}>
+                <View style={styles.progressLabelContainer}>
+                  <Text style={styles.progressLabel}>Quorum</Text>
+                  <Text style={styles.voteCountText}>
+                    {voteCounts.quorum.counted} of {voteCounts.quorum.required}
+                  </Text>
+                </View>
+                <ProgressBar
+                  progress={voteCounts.quorum.progress}
+                  color={voteCounts.quorum.reached ? '#27ae60' : '#f39c12'}
+                  style={styles.progressBar}
+                />
+              </View>
+            )}
+
+            {voteCounts.rules && (
+              <Text style={styles.rulesText}>
+                {!isBinary
+                  ? proposal.ballotType === 'ranked'
+                    ? 'Options are eliminated round by round until one has a majority'
+                    : 'The option with the most support wins'
+                  : voteCounts.rules.majority === 'supermajority'
+                    ? `Needs ${Math.round(voteCounts.requiredRatio * 100)}% yes of yes/no votes`
+                    : 'Needs more yes than no votes'}
+                {voteCounts.rules.abstentionsCountTowardQuorum ? '' : '; abstentions do not count toward quorum'}
+              </Text>
+            )}
+
+            {voteCounts.outcome && (
+              <Text style={styles.outcomeText}>
+                Result: {voteCounts.outcome.verdict === 'passed'
+                  ? 'Passed'
+                  : voteCounts.outcome.verdict === 'no_quorum'
+                    ? 'Quorum not reached'
+                    : 'Did not pass'}
+              </Text>
+            )}
+          </View>
+        )}
+
+        {votingOpen && eligibility && eligibility.reasons.length > 0 && (
+          <View style={[styles.eligibility, !eligibility.eligible && styles.ineligible]}>
+            {eligibility.reasons.map(reason => (
+              <View key={reason.rule} style={styles.eligibilityRow}>
+                <Icon
+                  name={reason.passed ? 'check-circle' : 'close-circle'}
+                  size={18}
+                  color={reason.passed ? '#27ae60' : '#e74c3c'}
+                />
+                <Text style={styles.eligibilityText}>{reason.message}</Text>
+              </View>
+            ))}
           </View>
         )}
 
-        {proposal.status === 'voting' ? (
+        {votingOpen && canVote ? (
           <>
             <Text style={[styles.sectionTitle, { marginTop: 20 }]}>Cast Your Vote</Text>
+
+            {proposal.secretBallot ? (
+              <Text style={styles.rulesText}>
+                This is a secret ballot: your vote is recorded without your name and cannot be changed once cast
+              </Text>
+            ) : revotePolicy.mode === 'none' ? (
+              <Text style={styles.rulesText}>Votes on this proposal cannot be changed once cast</Text>
+            ) : changesCloseAt ? (
+              <Text style={styles.rulesText}>
+                You can change your vote until {changesCloseAt.toLocaleString()}
+              </Text>
+            ) : null}
             
-            <View style={styles.voteOptions}>
-              <TouchableOpacity 
-                style={[
-                  styles.voteOption, 
-                  selectedVote === 'yes' && styles.selectedYes
-                ]}
-                onPress={() => setSelectedVote('yes')}
-              >
-                <Icon 
-                  name="thumb-up" 
-                  size={24} 
-                  color={selectedVote === 'yes' ? '#fff' : '#27ae60'} 
-                />
-                <Text style={[
-                  styles.voteOptionText,
-                  selectedVote === 'yes' && styles.selectedOptionText
-                ]}>
-                  Yes
-                </Text>
-              </TouchableOpacity>
+            {isBinary ? (
+              <View style={styles.voteOptions}>
+                <TouchableOpacity 
+                  style={[
+                    styles.voteOption, 
+                    selectedVote === 'yes' && styles.selectedYes
+                  ]}
+                  onPress={() => setSelectedVote('yes')}
+                >
+                  <Icon 
+                    name="thumb-up" 
+                    size={24} 
+                    color={selectedVote === 'yes' ? '#fff' : '#27ae60'} 
+                  />
+                  <Text style={[
+                    styles.voteOptionText,
+                    selectedVote === 'yes' && styles.selectedOptionText
+                  ]}>
+                    Yes
+                  </Text>
+                </TouchableOpacity>
               
-              <TouchableOpacity 
-                style={[
-                  styles.voteOption, 
-                  selectedVote === 'no' && styles.selectedNo
-                ]}
-                onPress={() => setSelectedVote('no')}
-              >
-                <Icon 
-                  name="thumb-down" 
-                  size={24} 
-                  color={selectedVote === 'no' ? '#fff' : '#e74c3c'} 
-                />
-                <Text style={[
-                  styles.voteOptionText,
-                  selectedVote === 'no' && styles.selectedOptionText
-                ]}>
-                  No
-                </Text>
-              </TouchableOpacity>
+                <TouchableOpacity 
+                  style={[
+                    styles.voteOption, 
+                    selectedVote === 'no' && styles.selectedNo
+                  ]}
+                  onPress={() => setSelectedVote('no')}
+                >
+                  <Icon 
+                    name="thumb-down" 
+                    size={24} 
+                    color={selectedVote === 'no' ? '#fff' : '#e74c3c'} 
+                  />
+                  <Text style={[
+                    styles.voteOptionText,
+                    selectedVote === 'no' && styles.selectedOptionText
+                  ]}>
+                    No
+                  </Text>
+                </TouchableOpacity>
               
-              <TouchableOpacity 
-                style={[
-                  styles.voteOption, 
-                  selectedVote === 'abstain' && styles.selectedAbstain
-                ]}
-                onPress={() => setSelectedVote('abstain')}
-              >
-                <Icon 
-                  name="hand-okay" 
-                  size={24} 
-                  color={selectedVote === 'abstain' ? '#fff' : '#95a5a6'} 
+                <TouchableOpacity 
+                  style={[
+                    styles.voteOption, 
+                    selectedVote === 'abstain' && styles.selectedAbstain
+                  ]}
+                  onPress={() => setSelectedVote('abstain')}
+                >
+                  <Icon 
+                    name="hand-okay" 
+                    size={24} 
+                    color={selectedVote === 'abstain' ? '#fff' : '#95a5a6'} 
+                  />
+                  <Text style={[
+                    styles.voteOptionText,
+                    selectedVote === 'abstain' && styles.selectedOptionText
+                  ]}>
+                    Abstain
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <>
+                <MultiOptionBallot
+                  ballotType={proposal.ballotType}
+                  options={proposal.ballotOptions}
+                  maxScore={proposal.maxScore}
+                  value={choices}
+                  onChange={changeChoices}
+                  disabled={submitting}
                 />
-                <Text style={[
-                  styles.voteOptionText,
-                  selectedVote === 'abstain' && styles.selectedOptionText
-                ]}>
-                  Abstain
-                </Text>
-              </TouchableOpacity>
-            </View>
+                <TouchableOpacity
+                  style={[styles.blankBallot, selectedVote === 'abstain' && styles.selectedAbstain]}
+                  onPress={() => setSelectedVote(selectedVote === 'abstain' ? null : 'abstain')}
+                >
+                  <Text style={[
+                    styles.voteOptionText,
+                    selectedVote === 'abstain' && styles.selectedOptionText
+                  ]}>
+                    Submit a blank ballot (abstain)
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )}
             
-            <View style={styles.inputGroup}>
-              <Text style={styles.label}>Reason (Optional)</Text>
-              <TextInput
-                style={styles.reasonInput}
-                placeholder="Share why you voted this way..."
-                multiline
-                numberOfLines={4}
-                value={reason}
-                onChangeText={setReason}
-                maxLength={500}
-              />
-            </View>
+            {!proposal.secretBallot && (
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Reason (Optional)</Text>
+                <TextInput
+                  style={styles.reasonInput}
+                  placeholder="Share why you voted this way..."
+                  multiline
+                  numberOfLines={4}
+                  value={reason}
+                  onChangeText={setReason}
+                  maxLength={500}
+                />
+              </View>
+            )}
             
             <TouchableOpacity 
               style={styles.submitButton}
               onPress={handleVote}
-              disabled={submitting || !selectedVote}
+              disabled={submitting || (isBinary && !selectedVote)}
             >
               <Text style={styles.submitButtonText}>
                 {submitting ? 'Submitting...' : userVote ? 'Update Vote' : 'Submit Vote'}
@@ -269,10 +586,22 @@ const VoteScreen = ({ route, navigation }) => {
           <View style={styles.votingClosed}>
             <Icon name="lock" size={24} color="#95a5a6" />
             <Text style={styles.votingClosedText}>
-              Voting is {proposal.status === 'submitted' ? 'not yet open' : 'now closed'} for this proposal
+              {!votingOpen
+                ? `Voting is ${['submitted', 'under_review'].includes(proposal.status) || beforeWindow ? 'not yet open' : 'now closed'} for this proposal`
+                : proposal.secretBallot && queuedCastAt
+                  ? `Your secret ballot will be sent around ${new Date(queuedCastAt).toLocaleTimeString()}`
+                  : proposal.secretBallot && userVote
+                    ? 'You have cast your secret ballot'
+                    : userVote
+                      ? 'You have voted; votes on this proposal can no longer be changed'
+                      : 'You are not eligible to vote on this proposal'}
             </Text>
           </View>
         )}
+
+        <ReceiptVerifier proposalId={proposalId} vote={proposal.secretBallot ? secretBallot : userVote} />
+
+        {!proposal.secretBallot && <VoteSwitchingChart proposalId={proposalId} />}
       </View>
     </ScrollView>
   );
@@ -289,6 +618,57 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 20,
   },
+  blankBallot: {
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#95a5a6',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 20,
+  },
+  eligibility: {
+    backgroundColor: '#eafaf1',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 20,
+  },
+  ineligible: {
+    backgroundColor: '#fdedec',
+  },
+  eligibilityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 3,
+  },
+  eligibilityText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+  },
+  rulesText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 10,
+  },
+  outcomeText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+  },
+  countdownContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#eaf4fc',
+    padding: 15,
+  },
+  countdownText: {
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
   loadingText: {
     marginTop: 10,
     fontSize: 16,
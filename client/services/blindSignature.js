@@ -0,0 +1,102 @@
+// client/services/blindSignature.js
+// Client half of the secret ballot token exchange (server/utils/blindSignature.js).
+// The token's hash is blinded with a random factor before the server signs it,
+// so the server never sees the token it later accepts as a ballot credential.
+import * as Crypto from 'expo-crypto';
+
+const toBigInt = (hex) => BigInt(`0x${hex}`);
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const HASH_BYTES = 32;
+// Must match EXTRA_BYTES on the server
+const EXTRA_BYTES = 16;
+
+// MGF1 with SHA-256, as in server/utils/blindSignature.js
+const mgf1 = async (seed, length) => {
+  const output = new Uint8Array(length);
+
+  for (let counter = 0, offset = 0; offset < length; counter++, offset += HASH_BYTES) {
+    const input = new Uint8Array(seed.length + 4);
+    input.set(seed);
+    new DataView(input.buffer).setUint32(seed.length, counter);
+
+    const block = new Uint8Array(await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, input));
+    output.set(block.subarray(0, Math.min(HASH_BYTES, length - offset)), offset);
+  }
+
+  return output;
+};
+
+// Full-domain hash of a token: MGF1 output as wide as the modulus plus
+// EXTRA_BYTES, reduced mod n
+const hashToken = async (token, modulus) => {
+  const width = Math.ceil(modulus.toString(16).length / 2) + EXTRA_BYTES;
+  return toBigInt(toHex(await mgf1(new TextEncoder().encode(token), width))) % modulus;
+};
+
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+
+  return result;
+};
+
+// Inverse of a modulo m, or null if they share a factor
+const modInverse = (a, m) => {
+  let [oldR, r] = [a % m, m];
+  let [oldS, s] = [1n, 0n];
+
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+
+  return oldR === 1n ? ((oldS % m) + m) % m : null;
+};
+
+/**
+ * Create a random ballot token
+ * @returns {string} 32 random bytes, hex
+ */
+export const createToken = () => toHex(Crypto.getRandomBytes(32));
+
+/**
+ * Blind a token's hash for signing
+ * @param {string} token - Ballot token
+ * @param {Object} key - Ballot key { n, e }, hex
+ * @returns {Promise<Object>} { blinded, r } where r is needed to unblind, both hex
+ */
+export const blind = async (token, { n, e }) => {
+  const modulus = toBigInt(n);
+  const hash = await hashToken(token, modulus);
+
+  let r;
+  do {
+    r = toBigInt(toHex(Crypto.getRandomBytes(256))) % modulus;
+  } while (r <= 1n || modInverse(r, modulus) === null);
+
+  return {
+    blinded: ((hash * modPow(r, toBigInt(e), modulus)) % modulus).toString(16),
+    r: r.toString(16)
+  };
+};
+
+/**
+ * Remove the blinding factor from the server's signature
+ * @param {string} blindSignature - Signature on the blinded value, hex
+ * @param {string} r - Blinding factor from blind(), hex
+ * @param {Object} key - Ballot key { n }, hex
+ * @returns {string} Signature on the token, hex
+ */
+export const unblind = (blindSignature, r, { n }) => {
+  const modulus = toBigInt(n);
+  return ((toBigInt(blindSignature) * modInverse(toBigInt(r), modulus)) % modulus).toString(16);
+};
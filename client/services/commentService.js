@@ -1,12 +1,48 @@
 const mockComments = [
-    { _id: '1', text: 'Great proposal!', author: { _id: 'userId', fullName: 'Test User' }, createdAt: new Date() }
+    { _id: '1', text: 'Great proposal!', author: { _id: 'userId', fullName: 'Test User' }, parentComment: null, replyCount: 0, likes: 0, createdAt: new Date() }
   ];
-  
+
+  const PAGE_SIZE = 20;
+
+  const SORTS = {
+    newest: (a, b) => b.createdAt - a.createdAt,
+    oldest: (a, b) => a.createdAt - b.createdAt,
+    most_liked: (a, b) => (b.likes || 0) - (a.likes || 0),
+    controversial: (a, b) => (b.replyCount || 0) / ((b.likes || 0) + 1) - (a.replyCount || 0) / ((a.likes || 0) + 1)
+  };
+
+  // One page in the API's shape: { data, pagination: { next: { cursor, limit } } }
+  const paginate = (comments, { sort = 'newest', cursor, limit = PAGE_SIZE } = {}) => {
+    const start = cursor ? parseInt(cursor, 10) : 0;
+    const end = start + limit;
+    const ordered = [...comments].sort(SORTS[sort] || SORTS.newest);
+
+    return {
+      data: ordered.slice(start, end),
+      pagination: end < ordered.length ? { next: { cursor: String(end), limit } } : {}
+    };
+  };
+
+  const repliesTo = (commentId) => mockComments.filter(c => c.parentComment === commentId);
+
   export default {
     getCommentsForProposal: async () => mockComments,
+    getComments: async (proposalId, options) =>
+      paginate(mockComments.filter(c => !c.parentComment), options),
+    getReplies: async (commentId, options) =>
+      paginate(repliesTo(commentId), { sort: 'oldest', ...options }),
+    getThread: async (commentId, options) => {
+      const comment = mockComments.find(c => c._id === commentId);
+      if (!comment) throw new Error('Comment not found');
+
+      const { data, pagination } = paginate(repliesTo(commentId), { sort: 'oldest', ...options });
+      return { data: { comment, replies: data }, pagination };
+    },
     addComment: async (proposalId, comment) => {
-      const newComment = { _id: Date.now().toString(), ...comment, author: { _id: 'userId', fullName: 'Test User' }, createdAt: new Date() };
+      const newComment = { _id: Date.now().toString(), parentComment: null, replyCount: 0, likes: 0, ...comment, author: { _id: 'userId', fullName: 'Test User' }, createdAt: new Date() };
       mockComments.push(newComment);
+      const parent = mockComments.find(c => c._id === newComment.parentComment);
+      if (parent) parent.replyCount += 1;
       return newComment;
     },
     updateComment: async (commentId, updates) => {
@@ -1,7 +1,13 @@
 // server/controllers/auth.js
+const crypto = require('crypto');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const WalletNonce = require('../models/WalletNonce');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const mailService = require('../services/mailService');
+const totp = require('../utils/totp');
+const siwe = require('../utils/siwe');
 
 // @desc    Register user
 // @route   POST /api/v1/auth/register
@@ -17,7 +23,14 @@ exports.register = asyncHandler(async (req, res, next) => {
     location
   });
 
-  sendTokenResponse(user, 200, res);
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (err) {
+    console.error('Verification email failed:', err);
+    // Continue, the user can request a new verification email
+  }
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Login user
@@ -45,35 +58,660 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  await completeLogin(user, req, res);
+});
+
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+exports.refresh = asyncHandler(async (req, res, next) => {
+  const token = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+
+  if (!token) {
+    return next(new ErrorResponse('Please provide a refresh token', 400));
+  }
+
+  const tokenHash = RefreshToken.hashToken(token);
+
+  // Claim the token in one step so two requests replaying it cannot both rotate it
+  const refreshToken = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!refreshToken) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (!existing) {
+      return next(new ErrorResponse('Invalid refresh token', 401));
+    }
+
+    // A token that was already rotated or revoked is being replayed, so the
+    // whole family is considered compromised
+    if (existing.usedAt || existing.revokedAt) {
+      await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+      return next(new ErrorResponse('Refresh token reuse detected, please log in again', 401));
+    }
+
+    return next(new ErrorResponse('Refresh token has expired', 401));
+  }
+
+  const user = await User.findById(refreshToken.user);
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid refresh token', 401));
+  }
+
+  await sendTokenResponse(user, 200, req, res, refreshToken.family);
+});
+
+// @desc    Log user out and revoke the current session
+// @route   POST /api/v1/auth/logout
+// @access  Private
+exports.logout = asyncHandler(async (req, res, next) => {
+  if (req.sessionId) {
+    await RefreshToken.revokeFamily(req.sessionId, 'logout');
+  }
+
+  res
+    .status(200)
+    .clearCookie('token')
+    .clearCookie('refreshToken', { path: '/api/v1/auth' })
+    .json({
+      success: true,
+      data: {}
+    });
+});
+
+// @desc    List active sessions (devices) for the logged in user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  // The newest unused token of each family describes that device
+  const tokens = await RefreshToken.find({
+    user: req.user.id,
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort('-createdAt');
+
+  const sessions = tokens.map(token => ({
+    id: token.family,
+    userAgent: token.userAgent,
+    ipAddress: token.ipAddress,
+    lastActiveAt: token.createdAt,
+    expiresAt: token.expiresAt,
+    current: token.family === req.sessionId
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+});
+
+// @desc    Revoke a session (device)
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await RefreshToken.findOne({
+    user: req.user.id,
+    family: req.params.id
+  });
+
+  if (!session) {
+    return next(new ErrorResponse(`No session with the id of ${req.params.id}`, 404));
+  }
+
+  await RefreshToken.revokeFamily(req.params.id, 'revoked');
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Forgot password
+// @route   POST /api/v1/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  if (!req.body.email) {
+    return next(new ErrorResponse('Please provide an email', 400));
+  }
+
+  const user = await User.findOne({ email: req.body.email });
+
+  // Respond the same way whether or not the account exists
+  if (user) {
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/resetpassword/${resetToken}`;
+
+    try {
+      await mailService.sendEmail({
+        to: user.email,
+        subject: 'TransparenCity password reset',
+        text: `You are receiving this email because a password reset was requested for your account. ` +
+          `Make a PUT request with your new password to:\n\n${resetUrl}\n\n` +
+          `This link expires in 10 minutes. If you did not request it, you can ignore this email.`
+      });
+    } catch (err) {
+      console.error('Password reset email failed:', err);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return next(new ErrorResponse('Email could not be sent', 500));
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: 'If an account exists for that email, a reset link has been sent'
+  });
+});
+
+// @desc    Reset password
+// @route   PUT /api/v1/auth/resetpassword/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired reset token', 400));
+  }
+
+  if (!req.body.password) {
+    return next(new ErrorResponse('Please provide a new password', 400));
+  }
+
+  // Set new password and consume the token
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // Log out every existing device
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'revoked' }
+  );
+
+  await completeLogin(user, req, res);
+});
+
+// @desc    Verify email address
+// @route   GET /api/v1/auth/verifyemail/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const verifyEmailToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    verifyEmailToken,
+    verifyEmailExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired verification token', 400));
+  }
+
+  user.verified = true;
+  user.verifyEmailToken = undefined;
+  user.verifyEmailExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: 'Email verified'
+  });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/v1/auth/resendverification
+// @access  Private
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.verified) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (err) {
+    console.error('Verification email failed:', err);
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: 'Verification email sent'
+  });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private (or pending login that requires enrollment)
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl: totp.getProvisioningUri(secret, user.email)
+    }
+  });
+});
+
+// @desc    Confirm enrollment with a code and enable two-factor authentication
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private (or pending login that requires enrollment)
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new ErrorResponse('Please start two-factor setup first', 400));
+  }
+
+  const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+  if (step === null) {
+    return next(new ErrorResponse('Invalid two-factor code', 400));
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  // Enrollment was the last step of a mandatory-2FA login
+  if (req.pendingLogin) {
+    return sendTokenResponse(user, 200, req, res, undefined, { recoveryCodes });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
+// @desc    Complete login with a two-factor or recovery code
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Pending login
+exports.verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  if (req.pendingLogin !== '2fa') {
+    return next(new ErrorResponse('Please provide a two-factor login token', 400));
+  }
+
+  const user = await User.findById(req.user.id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!(await checkTwoFactorCode(user, req.body))) {
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id)
+    .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (user.isTwoFactorRequired()) {
+    return next(new ErrorResponse(`Two-factor authentication is mandatory for the ${user.role} role`, 403));
+  }
+
+  if (!user.twoFactor.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!req.body.password || !(await user.matchPassword(req.body.password))) {
+    return next(new ErrorResponse('Invalid credentials', 401));
+  }
+
+  if (!(await checkTwoFactorCode(user, req.body))) {
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user.twoFactor.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!(await checkTwoFactorCode(user, { code: req.body.code }))) {
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
+// @desc    Get a nonce for a Sign-In with Ethereum message
+// @route   GET /api/v1/auth/wallet/nonce
+// @access  Public
+exports.getWalletNonce = asyncHandler(async (req, res, next) => {
+  const { nonce, expiresAt } = await WalletNonce.generate();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      nonce,
+      expiresAt,
+      domain: getSiweDomain(req)
+    }
+  });
+});
+
+// @desc    Log in with a signed Sign-In with Ethereum message
+// @route   POST /api/v1/auth/wallet/login
+// @access  Public
+exports.walletLogin = asyncHandler(async (req, res, next) => {
+  const { address, error } = await verifyWalletSignature(req);
+
+  if (error) {
+    return next(new ErrorResponse(error, 401));
+  }
+
+  const user = await User.findOne({ 'wallets.address': address });
+
+  if (!user) {
+    return next(new ErrorResponse('This wallet is not linked to an account', 401));
+  }
+
+  await completeLogin(user, req, res);
 });
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// @desc    Link a wallet to the logged in user
+// @route   POST /api/v1/auth/wallet/link
+// @access  Private
+exports.linkWallet = asyncHandler(async (req, res, next) => {
+  const { address, fields, error } = await verifyWalletSignature(req);
+
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const owner = await User.findOne({ 'wallets.address': address });
+
+  if (owner && owner.id !== req.user.id) {
+    return next(new ErrorResponse('This wallet is already linked to another account', 400));
+  }
+
+  let user = req.user;
+
+  if (!owner) {
+    user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $push: { wallets: { address, chainId: fields.chainId } } },
+      { new: true, runValidators: true }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user.wallets
+  });
+});
+
+// @desc    Get wallets linked to the logged in user
+// @route   GET /api/v1/auth/wallets
+// @access  Private
+exports.getWallets = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    count: req.user.wallets.length,
+    data: req.user.wallets
+  });
+});
+
+// @desc    Unlink a wallet from the logged in user
+// @route   DELETE /api/v1/auth/wallets/:address
+// @access  Private
+exports.unlinkWallet = asyncHandler(async (req, res, next) => {
+  const address = req.params.address.toLowerCase();
+
+  if (!req.user.wallets.some(wallet => wallet.address === address)) {
+    return next(new ErrorResponse(`Wallet ${req.params.address} is not linked to this account`, 404));
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { $pull: { wallets: { address } } },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: user.wallets
+  });
+});
+
+// Domain a Sign-In with Ethereum message must be bound to
+const getSiweDomain = (req) => process.env.SIWE_DOMAIN || req.get('host');
+
+// Verify the SIWE message and signature in req.body and consume its nonce
+const verifyWalletSignature = async (req) => {
+  const { message, signature } = req.body;
+
+  if (!message || !signature) {
+    return { error: 'Please provide a message and signature' };
+  }
+
+  let verified;
+  try {
+    verified = siwe.verifyMessage(message, signature, { domain: getSiweDomain(req) });
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const nonce = await WalletNonce.consume(verified.fields.nonce);
+
+  if (!nonce) {
+    return { error: 'Sign-in nonce is invalid or has already been used' };
+  }
+
+  return verified;
+};
+
+// Invalid two-factor codes allowed before logins are locked, and for how long
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000;
+
+const twoFactorLockedError = () =>
+  new ErrorResponse('Too many invalid two-factor codes, please try again later', 429);
+
+// Count an invalid code atomically, so parallel guesses cannot slip past the
+// limit, and lock two-factor logins once it is reached
+const recordTwoFactorFailure = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('+twoFactor.failedAttempts');
+
+  if (updated.twoFactor.failedAttempts < MAX_TWO_FACTOR_ATTEMPTS) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      'twoFactor.failedAttempts': 0,
+      'twoFactor.lockedUntil': new Date(Date.now() + TWO_FACTOR_LOCK_MS)
+    }
+  );
+
+  throw twoFactorLockedError();
+};
+
+// Check a TOTP code (or a recovery code) and persist replay protection.
+// Invalid codes count towards the lockout; a valid one resets the count
+const checkTwoFactorCode = async (user, { code, recoveryCode }) => {
+  if (user.isTwoFactorLocked()) {
+    throw twoFactorLockedError();
+  }
+
+  if (recoveryCode) {
+    if (!user.useRecoveryCode(recoveryCode)) {
+      await recordTwoFactorFailure(user);
+      return false;
+    }
+
+    user.twoFactor.failedAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+    return true;
+  }
+
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    await recordTwoFactorFailure(user);
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.failedAttempts = 0;
+  await user.save({ validateBeforeSave: false });
+  return true;
+};
+
+// Issue tokens, or ask for the second factor when the user has or needs 2FA
+const completeLogin = async (user, req, res) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    // The password alone must not mint fresh tokens to keep guessing with
+    if (user.isTwoFactorLocked()) {
+      throw twoFactorLockedError();
+    }
+
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      twoFactorToken: user.getPendingLoginToken('2fa')
+    });
+  }
+
+  if (user.isTwoFactorRequired()) {
+    return res.status(200).json({
+      success: true,
+      twoFactorSetupRequired: true,
+      twoFactorToken: user.getPendingLoginToken('2fa_setup')
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+};
+
+// Create a verification token and email the link to the user
+const sendVerificationEmail = async (user, req) => {
+  const verifyToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/verifyemail/${verifyToken}`;
+
+  await mailService.sendEmail({
+    to: user.email,
+    subject: 'Verify your TransparenCity email',
+    text: `Welcome to TransparenCity, ${user.fullName}. Please confirm your email address by opening:\n\n` +
+      `${verifyUrl}\n\nThis link expires in 24 hours.`
+  });
+};
+
+// Issue access and refresh tokens, create cookies and send response
+const sendTokenResponse = async (user, statusCode, req, res, family, extra = {}) => {
+  // Create refresh token (a new family per login, the same family when rotating)
+  const { token: refreshToken, refreshToken: stored } = await RefreshToken.issue({
+    user: user._id,
+    family,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+
+  // Create short-lived access token bound to the session
+  const token = user.getSignedJwtToken(stored.family);
 
   const options = {
     expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000),
     httpOnly: true
   };
 
+  const refreshOptions = {
+    expires: stored.expiresAt,
+    httpOnly: true,
+    path: '/api/v1/auth'
+  };
+
   if (process.env.NODE_ENV === 'production') {
     options.secure = true;
+    refreshOptions.secure = true;
   }
 
   res
     .status(statusCode)
     .cookie('token', token, options)
+    .cookie('refreshToken', refreshToken, refreshOptions)
     .json({
       success: true,
+      ...extra,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.fullName,
         email: user.email,
         verified: user.verified,
+        role: user.role,
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+        wallets: (user.wallets || []).map(wallet => wallet.address),
         location: user.location
       }
     });
-};
\ No newline at end of file
+};
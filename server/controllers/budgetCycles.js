@@ -0,0 +1,301 @@
+// server/controllers/budgetCycles.js
+const BudgetCycle = require('../models/BudgetCycle');
+const Proposal = require('../models/Proposal');
+const Vote = require('../models/Vote');
+const budgeting = require('../services/budgeting');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+
+// Proposals that have been vetted enough to compete for funding
+const CANDIDATE_STATUSES = ['under_review', 'approved'];
+
+// Fields staff may set on a cycle before voting opens
+const CYCLE_FIELDS = ['title', 'description', 'budget', 'currency', 'location', 'method', 'votingStartsAt', 'votingEndsAt'];
+
+const pickCycleFields = (body) => {
+  const fields = {};
+  CYCLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Load a cycle or pass a 404 to next; resolves to null when not found
+const findCycle = async (id, next) => {
+  const cycle = await BudgetCycle.findById(id);
+
+  if (!cycle) {
+    next(new ErrorResponse(`No budget cycle with the id of ${id}`, 404));
+    return null;
+  }
+
+  return cycle;
+};
+
+// @desc    Get budget cycles
+// @route   GET /api/v1/budget-cycles
+// @access  Public
+exports.getBudgetCycles = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+
+  const cycles = await BudgetCycle.find(filter).sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: cycles.length,
+    data: cycles
+  });
+});
+
+// @desc    Get a budget cycle with its candidate proposals
+// @route   GET /api/v1/budget-cycles/:id
+// @access  Public
+exports.getBudgetCycle = asyncHandler(async (req, res, next) => {
+  const cycle = await BudgetCycle.findById(req.params.id).populate({
+    path: 'proposals',
+    select: 'title description category estimatedCost status location'
+  });
+
+  if (!cycle) {
+    return next(new ErrorResponse(`No budget cycle with the id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: cycle
+  });
+});
+
+// @desc    Create a budget cycle
+// @route   POST /api/v1/budget-cycles
+// @access  Private (official, department_admin, admin)
+exports.createBudgetCycle = asyncHandler(async (req, res, next) => {
+  const cycle = await BudgetCycle.create({
+    ...pickCycleFields(req.body),
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: cycle
+  });
+});
+
+// @desc    Update a budget cycle before voting opens
+// @route   PUT /api/v1/budget-cycles/:id
+// @access  Private (official, department_admin, admin)
+exports.updateBudgetCycle = asyncHandler(async (req, res, next) => {
+  const cycle = await findCycle(req.params.id, next);
+  if (!cycle) return;
+
+  if (cycle.status !== 'upcoming') {
+    return next(new ErrorResponse(`Budget cycle can no longer be changed once it is ${cycle.status}`, 400));
+  }
+
+  cycle.set(pickCycleFields(req.body));
+  await cycle.save();
+
+  res.status(200).json({
+    success: true,
+    data: cycle
+  });
+});
+
+// @desc    Add a proposal to a budget cycle
+// @route   PUT /api/v1/budget-cycles/:id/proposals/:proposalId
+// @access  Private (official, department_admin, admin)
+exports.addCandidate = asyncHandler(async (req, res, next) => {
+  const cycle = await findCycle(req.params.id, next);
+  if (!cycle) return;
+
+  if (cycle.status !== 'upcoming') {
+    return next(new ErrorResponse(`Candidates can only be added before voting opens`, 400));
+  }
+
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404));
+  }
+
+  if (!CANDIDATE_STATUSES.includes(proposal.status)) {
+    return next(new ErrorResponse(`A proposal that is ${proposal.status} cannot compete for funding`, 400));
+  }
+
+  if (!(proposal.estimatedCost > 0)) {
+    return next(new ErrorResponse(`Proposal needs an estimated cost before it can compete for funding`, 400));
+  }
+
+  if (proposal.estimatedCost > cycle.budget) {
+    return next(new ErrorResponse(`Proposal costs more than the whole cycle budget`, 400));
+  }
+
+  if (proposal.budgetCycle && !proposal.budgetCycle.equals(cycle._id)) {
+    return next(new ErrorResponse(`Proposal is already in another budget cycle`, 400));
+  }
+
+  const updated = await Proposal.findByIdAndUpdate(
+    proposal._id,
+    { budgetCycle: cycle._id },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: updated
+  });
+});
+
+// @desc    Remove a proposal from a budget cycle
+// @route   DELETE /api/v1/budget-cycles/:id/proposals/:proposalId
+// @access  Private (official, department_admin, admin)
+exports.removeCandidate = asyncHandler(async (req, res, next) => {
+  const cycle = await findCycle(req.params.id, next);
+  if (!cycle) return;
+
+  if (cycle.status !== 'upcoming') {
+    return next(new ErrorResponse(`Candidates can only be removed before voting opens`, 400));
+  }
+
+  const proposal = await Proposal.findOneAndUpdate(
+    { _id: req.params.proposalId, budgetCycle: cycle._id },
+    { $unset: { budgetCycle: 1 } },
+    { new: true }
+  );
+
+  if (!proposal) {
+    return next(new ErrorResponse(`Proposal is not a candidate in this budget cycle`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    Open voting on a budget cycle
+// @route   PUT /api/v1/budget-cycles/:id/open
+// @access  Private (official, department_admin, admin)
+exports.openBudgetCycle = asyncHandler(async (req, res, next) => {
+  const cycle = await findCycle(req.params.id, next);
+  if (!cycle) return;
+
+  if (cycle.status !== 'upcoming') {
+    return next(new ErrorResponse(`Budget cycle is already ${cycle.status}`, 400));
+  }
+
+  await budgeting.openCycle(cycle);
+
+  res.status(200).json({
+    success: true,
+    data: cycle
+  });
+});
+
+// @desc    Close voting on a budget cycle and compute the funded projects
+// @route   PUT /api/v1/budget-cycles/:id/close
+// @access  Private (official, department_admin, admin)
+exports.closeBudgetCycle = asyncHandler(async (req, res, next) => {
+  const cycle = await findCycle(req.params.id, next);
+  if (!cycle) return;
+
+  if (cycle.status !== 'voting') {
+    return next(new ErrorResponse(`Budget cycle is not open for voting`, 400));
+  }
+
+  await budgeting.closeCycle(cycle);
+
+  res.status(200).json({
+    success: true,
+    data: cycle
+  });
+});
+
+// @desc    Get the results of a closed budget cycle
+// @route   GET /api/v1/budget-cycles/:id/results
+// @access  Public
+exports.getBudgetResults = asyncHandler(async (req, res, next) => {
+  const cycle = await BudgetCycle.findById(req.params.id).populate({
+    path: 'results.funded.proposal',
+    select: 'title category estimatedCost'
+  });
+
+  if (!cycle) {
+    return next(new ErrorResponse(`No budget cycle with the id of ${req.params.id}`, 404));
+  }
+
+  // Results stay hidden while voting so they cannot sway the remaining voters
+  if (cycle.status !== 'closed') {
+    return next(new ErrorResponse(`Results are published when the budget cycle closes`, 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: cycle.results
+  });
+});
+
+// @desc    Submit or replace an allocation ballot
+// @route   POST /api/v1/budget-cycles/:id/votes
+// @access  Private
+exports.submitAllocation = asyncHandler(async (req, res, next) => {
+  const cycle = await findCycle(req.params.id, next);
+  if (!cycle) return;
+
+  const now = new Date();
+  if (cycle.status !== 'voting' || (cycle.votingEndsAt && now >= cycle.votingEndsAt)) {
+    return next(new ErrorResponse(`Budget cycle is not currently open for voting`, 400));
+  }
+
+  const allocation = req.body.allocation;
+
+  if (!Array.isArray(allocation) || allocation.length === 0) {
+    return next(new ErrorResponse(`Please choose at least one project`, 400));
+  }
+
+  if (new Set(allocation.map(String)).size !== allocation.length) {
+    return next(new ErrorResponse(`allocation lists the same project more than once`, 400));
+  }
+
+  const chosen = await Proposal.find({ _id: { $in: allocation }, budgetCycle: cycle._id }).select('estimatedCost');
+
+  if (chosen.length !== allocation.length) {
+    return next(new ErrorResponse(`allocation contains a project that is not in this budget cycle`, 400));
+  }
+
+  // Knapsack ballot: the chosen projects must fit within the budget
+  const total = chosen.reduce((sum, proposal) => sum + proposal.estimatedCost, 0);
+  if (total > cycle.budget) {
+    return next(
+      new ErrorResponse(`Chosen projects cost ${total} ${cycle.currency}, over the ${cycle.budget} ${cycle.currency} budget`, 400)
+    );
+  }
+
+  const vote = await Vote.findOneAndUpdate(
+    { budgetCycle: cycle._id, user: req.user.id },
+    { allocation, reason: req.body.reason },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      vote,
+      spent: total,
+      remaining: cycle.budget - total
+    }
+  });
+});
+
+// @desc    Get the current user's allocation ballot
+// @route   GET /api/v1/budget-cycles/:id/votes/me
+// @access  Private
+exports.getMyAllocation = asyncHandler(async (req, res, next) => {
+  const vote = await Vote.findOne({ budgetCycle: req.params.id, user: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: vote
+  });
+});
@@ -1,35 +1,145 @@
 // server/controllers/comments.js
+const mongoose = require('mongoose');
 const Comment = require('../models/Comment');
 const Proposal = require('../models/Proposal');
+const threads = require('../services/commentThreads');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 
-// @desc    Get comments for a proposal
-// @route   GET /api/v1/proposals/:proposalId/comments
-// @access  Public
+// Read sort, cursor and limit from the query string, or pass a 400 to next and
+// resolve to null when they are invalid
+const pageOptions = (query, defaultSort, next) => {
+  const sort = query.sort || defaultSort;
+
+  if (!threads.SORTS.includes(sort)) {
+    next(new ErrorResponse(`sort must be one of ${threads.SORTS.join(', ')}`, 400));
+    return null;
+  }
+
+  const cursor = query.cursor ? threads.decodeCursor(query.cursor) : null;
+
+  if (query.cursor && !cursor) {
+    next(new ErrorResponse(`Invalid cursor`, 400));
+    return null;
+  }
+
+  return { sort, cursor, limit: query.limit };
+};
+
+const paginationFor = (page) => (page.next ? { next: { cursor: page.next, limit: page.limit } } : {});
+
+// Load a visible comment or pass a 404 to next; resolves to null when not found.
+// Comments posted before moderation existed have no isHidden field, hence $ne
+const findVisibleComment = async (id, next) => {
+  const comment = mongoose.Types.ObjectId.isValid(id) &&
+    await Comment.findOne({ _id: id, isHidden: { $ne: true } });
+
+  if (!comment) {
+    next(new ErrorResponse(`No comment with the id of ${id}`, 404));
+    return null;
+  }
+
+  return comment;
+};
+
+// Comments on a draft are as private as the draft itself
+const isProposalVisible = async (id, user) => {
+  const proposal = await Proposal.findById(id).select('status author');
+  return Boolean(proposal) && proposal.isVisibleTo(user);
+};
+
+// Keep a parent's count of visible replies, and its controversy, in step when a
+// reply appears or disappears
+const countReply = async (comment, change) => {
+  if (!comment.parentComment) return;
+
+  const parent = await Comment.findByIdAndUpdate(
+    comment.parentComment,
+    { $inc: { replyCount: change } },
+    { new: true }
+  ).select('replyCount likes');
+
+  await threads.refreshControversy(parent);
+};
+
+// @desc    Get a page of top-level comments for a proposal
+// @route   GET /api/v1/proposals/:proposalId/comments?sort=&cursor=&limit=
+// @access  Public (drafts: author, admin)
 exports.getComments = asyncHandler(async (req, res, next) => {
-  // Only get top-level comments (those without a parentComment)
-  const comments = await Comment.find({
-    proposal: req.params.proposalId,
-    parentComment: null
-  })
-    .populate({
-      path: 'user',
-      select: 'fullName profilePicture'
-    })
-    .populate({
-      path: 'replies',
-      populate: {
-        path: 'user',
-        select: 'fullName profilePicture'
-      }
-    })
-    .sort('-createdAt');
-  
+  const proposal = mongoose.Types.ObjectId.isValid(req.params.proposalId) &&
+    await Proposal.findById(req.params.proposalId).select('status author');
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404));
+  }
+
+  const options = pageOptions(req.query, 'newest', next);
+  if (!options) return;
+
+  // Replies are loaded per comment through getReplies
+  const page = await threads.listComments(
+    { proposal: proposal._id, parentComment: null },
+    options
+  );
+
   res.status(200).json({
     success: true,
-    count: comments.length,
-    data: comments
+    count: page.comments.length,
+    pagination: paginationFor(page),
+    data: page.comments
+  });
+});
+
+// @desc    Get a page of replies to a comment
+// @route   GET /api/v1/comments/:id/replies?sort=&cursor=&limit=
+// @access  Public (drafts: author, admin)
+exports.getReplies = asyncHandler(async (req, res, next) => {
+  const comment = await findVisibleComment(req.params.id, next);
+  if (!comment) return;
+
+  if (!(await isProposalVisible(comment.proposal, req.user))) {
+    return next(new ErrorResponse(`No comment with the id of ${req.params.id}`, 404));
+  }
+
+  // Replies read as a conversation, oldest first, unless asked otherwise
+  const options = pageOptions(req.query, 'oldest', next);
+  if (!options) return;
+
+  const page = await threads.listComments({ proposal: comment.proposal, parentComment: comment._id }, options);
+
+  res.status(200).json({
+    success: true,
+    count: page.comments.length,
+    pagination: paginationFor(page),
+    data: page.comments
+  });
+});
+
+// @desc    Continue a deep thread: a comment and the first page of its replies
+// @route   GET /api/v1/comments/:id/thread?sort=&limit=
+// @access  Public (drafts: author, admin)
+exports.getThread = asyncHandler(async (req, res, next) => {
+  const comment = await findVisibleComment(req.params.id, next);
+  if (!comment) return;
+
+  if (!(await isProposalVisible(comment.proposal, req.user))) {
+    return next(new ErrorResponse(`No comment with the id of ${req.params.id}`, 404));
+  }
+
+  const options = pageOptions(req.query, 'oldest', next);
+  if (!options) return;
+
+  await comment.populate({ path: 'user', select: 'fullName profilePicture' }).execPopulate();
+
+  const page = await threads.listComments({ proposal: comment.proposal, parentComment: comment._id }, options);
+
+  res.status(200).json({
+    success: true,
+    pagination: paginationFor(page),
+    data: {
+      comment,
+      replies: page.comments
+    }
   });
 });
 
@@ -37,19 +147,35 @@ exports.getComments = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/proposals/:proposalId/comments
 // @access  Private
 exports.addComment = asyncHandler(async (req, res, next) => {
-  // Add user and proposal to req.body
-  req.body.user = req.user.id;
-  req.body.proposal = req.params.proposalId;
-
   const proposal = await Proposal.findById(req.params.proposalId);
 
-  if (!proposal) {
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
     return next(
       new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
     );
   }
 
-  const comment = await Comment.create(req.body);
+  let parent = null;
+
+  if (req.body.parentComment) {
+    parent = await findVisibleComment(req.body.parentComment, next);
+    if (!parent) return;
+
+    if (!parent.proposal.equals(proposal._id)) {
+      return next(new ErrorResponse(`You can only reply to comments on the same proposal`, 400));
+    }
+  }
+
+  // Counters and moderation fields are never taken from the request
+  const comment = await Comment.create({
+    text: req.body.text,
+    user: req.user.id,
+    proposal: proposal._id,
+    parentComment: parent ? parent._id : null,
+    depth: parent ? parent.depth + 1 : 0
+  });
+
+  await countReply(comment, 1);
 
   // Populate the user data for the response
   await comment.populate({
@@ -82,12 +208,16 @@ exports.updateComment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Mark as edited if the text is being changed
+  // Only the text can be edited; mark the comment as edited if it changed
+  const update = {};
+  if (req.body.text !== undefined) {
+    update.text = req.body.text;
+  }
   if (req.body.text && req.body.text !== comment.text) {
-    req.body.isEdited = true;
+    update.isEdited = true;
   }
 
-  comment = await Comment.findByIdAndUpdate(req.params.id, req.body, {
+  comment = await Comment.findByIdAndUpdate(req.params.id, update, {
     new: true,
     runValidators: true
   }).populate({
@@ -113,8 +243,11 @@ exports.deleteComment = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure comment belongs to user
-  if (comment.user.toString() !== req.user.id) {
+  // Make sure comment belongs to user, unless a moderator is removing it
+  if (
+    comment.user.toString() !== req.user.id &&
+    !['moderator', 'admin'].includes(req.user.role)
+  ) {
     return next(
       new ErrorResponse(`User ${req.user.id} is not authorized to delete this comment`, 401)
     );
@@ -122,12 +255,60 @@ exports.deleteComment = asyncHandler(async (req, res, next) => {
 
   await comment.remove();
 
+  if (!comment.isHidden) {
+    await countReply(comment, -1);
+  }
+
   res.status(200).json({
     success: true,
     data: {}
   });
 });
 
+// @desc    Hide or restore a comment
+// @route   PUT /api/v1/comments/:id/moderate
+// @access  Private (moderator, admin)
+exports.moderateComment = asyncHandler(async (req, res, next) => {
+  let comment = await Comment.findById(req.params.id);
+
+  if (!comment) {
+    return next(
+      new ErrorResponse(`No comment with the id of ${req.params.id}`, 404)
+    );
+  }
+
+  const isHidden = req.body.isHidden !== undefined ? Boolean(req.body.isHidden) : true;
+
+  if (isHidden && !req.body.reason) {
+    return next(new ErrorResponse('Please provide a reason for hiding this comment', 400));
+  }
+
+  if (isHidden !== comment.isHidden) {
+    await countReply(comment, isHidden ? -1 : 1);
+  }
+
+  comment = await Comment.findByIdAndUpdate(
+    req.params.id,
+    {
+      isHidden,
+      moderation: {
+        moderatedBy: req.user.id,
+        reason: req.body.reason,
+        moderatedAt: new Date()
+      }
+    },
+    { new: true, runValidators: true }
+  ).populate({
+    path: 'user',
+    select: 'fullName profilePicture'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: comment
+  });
+});
+
 // @desc    Like a comment
 // @route   PUT /api/v1/comments/:id/like
 // @access  Private
@@ -171,6 +352,8 @@ exports.likeComment = asyncHandler(async (req, res, next) => {
     });
   }
 
+  await threads.refreshControversy(comment);
+
   res.status(200).json({
     success: true,
     data: comment
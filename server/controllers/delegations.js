@@ -0,0 +1,150 @@
+// server/controllers/delegations.js
+const Delegation = require('../models/Delegation');
+const Proposal = require('../models/Proposal');
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const delegation = require('../services/delegation');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+
+// @desc    Get the delegations the current user has made and received
+// @route   GET /api/v1/delegations
+// @access  Private
+exports.getDelegations = asyncHandler(async (req, res, next) => {
+  const given = await Delegation.find({ delegator: req.user.id }).populate('delegate', 'fullName');
+  const received = await Delegation.find({ delegate: req.user.id }).populate('delegator', 'fullName');
+
+  res.status(200).json({
+    success: true,
+    data: { given, received }
+  });
+});
+
+// @desc    Delegate the current user's vote, globally or for one category
+// @route   POST /api/v1/delegations
+// @access  Private
+exports.setDelegation = asyncHandler(async (req, res, next) => {
+  const category = req.body.category || null;
+
+  if (!req.body.delegate || req.body.delegate === req.user.id) {
+    return next(new ErrorResponse(`Please choose another user to delegate your vote to`, 400));
+  }
+
+  const delegate = await User.findById(req.body.delegate);
+
+  if (!delegate) {
+    return next(new ErrorResponse(`No user with the id of ${req.body.delegate}`, 404));
+  }
+
+  const cycle = await delegation.findCycle({ delegator: req.user.id, delegate: delegate._id, category });
+
+  if (cycle) {
+    return next(
+      new ErrorResponse(`Delegating to ${delegate.fullName} would create a delegation loop in ${cycle.category}`, 400)
+    );
+  }
+
+  // Replaces any existing delegation for the same category
+  let record = await Delegation.findOne({ delegator: req.user.id, category });
+
+  if (record) {
+    record.delegate = delegate._id;
+    record.createdAt = Date.now();
+    await record.save();
+  } else {
+    record = await Delegation.create({ delegator: req.user.id, delegate: delegate._id, category });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: record
+  });
+});
+
+// @desc    Remove a delegation
+// @route   DELETE /api/v1/delegations/:id
+// @access  Private
+exports.removeDelegation = asyncHandler(async (req, res, next) => {
+  const record = await Delegation.findById(req.params.id);
+
+  if (!record) {
+    return next(new ErrorResponse(`No delegation with the id of ${req.params.id}`, 404));
+  }
+
+  // Make sure user owns the delegation
+  if (record.delegator.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Not authorized to remove this delegation`, 401));
+  }
+
+  await record.remove();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// Roles that may see who is in a delegation graph; everyone else gets it anonymised
+const GRAPH_STAFF_ROLES = ['official', 'department_admin', 'admin'];
+
+// Replace user ids with aliases that mean nothing outside this response, keeping
+// the caller's own id so they can find themselves
+const anonymiseGraph = (graph, userId) => {
+  const aliases = new Map();
+  const alias = (id) => {
+    if (!id || id === userId) return id;
+    if (!aliases.has(id)) aliases.set(id, `user-${aliases.size + 1}`);
+    return aliases.get(id);
+  };
+
+  return {
+    nodes: graph.nodes.map(node => ({
+      ...node,
+      user: alias(node.user),
+      delegatedTo: alias(node.delegatedTo),
+      carriedBy: alias(node.carriedBy)
+    })),
+    edges: graph.edges.map(edge => ({ from: alias(edge.from), to: alias(edge.to) }))
+  };
+};
+
+// @desc    Get how delegated votes resolve on a proposal
+// @route   GET /api/v1/proposals/:id/delegation-graph
+// @access  Private (names for officials and admins, anonymised for everyone else)
+exports.getDelegationGraph = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.id);
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(new ErrorResponse(`No proposal with the id of ${req.params.id}`, 404));
+  }
+
+  // Delegation does not apply to secret ballots (see services/ballots.js)
+  if (proposal.secretBallot) {
+    return res.status(200).json({
+      success: true,
+      data: { category: proposal.category, secretBallot: true, nodes: [], edges: [] }
+    });
+  }
+
+  const voters = await Vote.find({ proposal: proposal._id }).distinct('user');
+  const graph = await delegation.graph(proposal, voters);
+
+  if (!GRAPH_STAFF_ROLES.includes(req.user.role)) {
+    return res.status(200).json({
+      success: true,
+      data: { category: proposal.category, anonymised: true, ...anonymiseGraph(graph, req.user.id) }
+    });
+  }
+
+  const users = await User.find({ _id: { $in: graph.nodes.map(node => node.user) } }).select('fullName');
+  const names = new Map(users.map(user => [user.id, user.fullName]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      category: proposal.category,
+      nodes: graph.nodes.map(node => ({ ...node, fullName: names.get(node.user) })),
+      edges: graph.edges
+    }
+  });
+});
@@ -5,10 +5,12 @@ const Proposal = require('../models/Proposal');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const blockchainService = require('../services/blockchainService');
+const lifecycle = require('../services/proposalLifecycle');
+const { resolveDocuments } = require('../utils/documents');
 
 // @desc    Create implementation plan for approved proposal
 // @route   POST /api/v1/proposals/:proposalId/implementation
-// @access  Private (Government Officials)
+// @access  Private (official, department_admin, admin)
 exports.createImplementation = asyncHandler(async (req, res, next) => {
   const { proposalId } = req.params;
 
@@ -19,7 +21,7 @@ exports.createImplementation = asyncHandler(async (req, res, next) => {
   }
 
   // Check if proposal is approved
-  if (proposal.status !== 'approved' && proposal.status !== 'partially_approved') {
+  if (proposal.status !== 'approved') {
     return next(new ErrorResponse('Cannot create implementation for non-approved proposal', 400));
   }
 
@@ -29,6 +31,8 @@ exports.createImplementation = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Implementation plan already exists for this proposal', 400));
   }
 
+  req.body.documents = await resolveDocuments(req.body.documents, req.user.id);
+
   // Create implementation
   const implementation = await Implementation.create({
     ...req.body,
@@ -84,7 +88,7 @@ exports.createImplementation = asyncHandler(async (req, res, next) => {
 
 // @desc    Update implementation status
 // @route   PUT /api/v1/implementations/:id
-// @access  Private (Government Officials)
+// @access  Private (official, department_admin, admin)
 exports.updateImplementation = asyncHandler(async (req, res, next) => {
   let implementation = await Implementation.findById(req.params.id);
 
@@ -92,9 +96,8 @@ exports.updateImplementation = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`No implementation found with id ${req.params.id}`, 404));
   }
 
-  // Check if user is authorized
-  if (!req.user.isGovernmentOfficial) {
-    return next(new ErrorResponse('Not authorized to update implementation', 403));
+  if (req.body.documents !== undefined) {
+    req.body.documents = await resolveDocuments(req.body.documents, req.user.id, implementation.documents);
   }
 
   // If a status update is included and it changes
@@ -144,6 +147,18 @@ exports.updateImplementation = asyncHandler(async (req, res, next) => {
     runValidators: true
   });
 
+  // A completed implementation completes the proposal lifecycle
+  if (implementation.status === 'completed') {
+    const proposal = await Proposal.findById(implementation.proposal);
+
+    if (proposal && proposal.status === 'approved') {
+      await lifecycle.transition(proposal, 'implemented', {
+        actor: req.user,
+        reason: implementation.completionSummary || 'Implementation completed'
+      });
+    }
+  }
+
   res.status(200).json({
     success: true,
     data: implementation
@@ -152,7 +167,7 @@ exports.updateImplementation = asyncHandler(async (req, res, next) => {
 
 // @desc    Add progress update
 // @route   POST /api/v1/implementations/:id/progress
-// @access  Private (Government Officials)
+// @access  Private (official, department_admin, admin)
 exports.addProgressUpdate = asyncHandler(async (req, res, next) => {
     const { update } = req.body;
   
@@ -167,11 +182,6 @@ exports.addProgressUpdate = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse(`No implementation found with id ${req.params.id}`, 404));
     }
   
-    // Check if user is authorized (assumes req.user is set by auth middleware)
-    if (!req.user.isGovernmentOfficial) {
-      return next(new ErrorResponse('Not authorized to update implementation', 403));
-    }
-  
     // Create new progress update
     const newUpdate = {
       date: new Date(),
@@ -4,10 +4,47 @@ const Proposal = require('../models/Proposal');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const blockchainService = require('../services/blockchainService');
+const lifecycle = require('../services/proposalLifecycle');
+const { resolveDocuments } = require('../utils/documents');
+
+// Proposal status an official response moves the proposal towards
+const RESPONSE_TARGET_STATUS = {
+  under_review: 'under_review',
+  approved: 'approved',
+  partially_approved: 'approved',
+  rejected: 'rejected'
+};
+
+// Why a response cannot be applied to the proposal in its current status, if it cannot.
+// An approval during review is accepted and takes effect when the vote closes.
+const checkResponseApplies = (proposal, responseStatus) => {
+  const target = RESPONSE_TARGET_STATUS[responseStatus];
+
+  if (!target || proposal.status === target || lifecycle.isTransitionAllowed(proposal.status, target)) {
+    return null;
+  }
+
+  if (target === 'approved' && proposal.status === 'under_review') {
+    return null;
+  }
+
+  return `A ${responseStatus.replace('_', ' ')} response cannot be given on a proposal that is ${proposal.status}`;
+};
+
+// Apply the response to the proposal when the lifecycle allows it from the
+// current status; approvals during review take effect when the vote closes
+const applyResponseToProposal = async (proposalId, responseStatus, user, reason) => {
+  const proposal = await Proposal.findById(proposalId);
+  const target = RESPONSE_TARGET_STATUS[responseStatus];
+
+  if (proposal && target && lifecycle.isTransitionAllowed(proposal.status, target)) {
+    await lifecycle.transition(proposal, target, { actor: user, reason });
+  }
+};
 
 // @desc    Create official response to a proposal
 // @route   POST /api/v1/proposals/:proposalId/official-response
-// @access  Private (Government Officials)
+// @access  Private (official, department_admin, admin)
 exports.createOfficialResponse = asyncHandler(async (req, res, next) => {
   const { proposalId } = req.params;
 
@@ -17,17 +54,19 @@ exports.createOfficialResponse = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`No proposal found with id ${proposalId}`, 404));
   }
 
-  // Check if user is authorized (government official)
-  if (!req.user.isGovernmentOfficial) {
-    return next(new ErrorResponse('Not authorized to provide official responses', 403));
-  }
-
   // Check if a response already exists
   const existingResponse = await OfficialResponse.findOne({ proposal: proposalId });
   if (existingResponse) {
     return next(new ErrorResponse('An official response already exists for this proposal', 400));
   }
 
+  const responseError = checkResponseApplies(proposal, req.body.status);
+  if (responseError) {
+    return next(new ErrorResponse(responseError, 400));
+  }
+
+  req.body.attachments = await resolveDocuments(req.body.attachments, req.user.id);
+
   // Create the response
   const responseData = {
     ...req.body,
@@ -55,11 +94,12 @@ exports.createOfficialResponse = asyncHandler(async (req, res, next) => {
   const officialResponse = await OfficialResponse.create(responseData);
 
   // Update proposal status based on the response
-  await Proposal.findByIdAndUpdate(proposalId, {
-    status: req.body.status === 'approved' ? 'approved' : 
-            req.body.status === 'rejected' ? 'rejected' : 
-            req.body.status === 'partially_approved' ? 'partially_approved' : 'under_review'
-  });
+  await applyResponseToProposal(
+    proposalId,
+    officialResponse.status,
+    req.user,
+    officialResponse.rationale || officialResponse.response
+  );
 
   res.status(201).json({
     success: true,
@@ -91,7 +131,7 @@ exports.getOfficialResponse = asyncHandler(async (req, res, next) => {
 
 // @desc    Update official response
 // @route   PUT /api/v1/official-responses/:id
-// @access  Private (Government Officials)
+// @access  Private (official, department_admin, admin)
 exports.updateOfficialResponse = asyncHandler(async (req, res, next) => {
   let response = await OfficialResponse.findById(req.params.id);
 
@@ -99,11 +139,27 @@ exports.updateOfficialResponse = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`No response found with id ${req.params.id}`, 404));
   }
 
-  // Make sure user is response owner or admin
-  if (response.respondent.toString() !== req.user.id && !req.user.isAdmin) {
+  // Make sure user is response owner, an admin of the responding department, or a system admin
+  const isOwner = response.respondent.toString() === req.user.id;
+  const isDepartmentAdmin =
+    req.user.role === 'department_admin' && req.user.department === response.department;
+
+  if (!isOwner && !isDepartmentAdmin && req.user.role !== 'admin') {
     return next(new ErrorResponse('Not authorized to update this response', 403));
   }
 
+  if (req.body.status && req.body.status !== response.status) {
+    const proposal = await Proposal.findById(response.proposal);
+    const responseError = proposal && checkResponseApplies(proposal, req.body.status);
+    if (responseError) {
+      return next(new ErrorResponse(responseError, 400));
+    }
+  }
+
+  if (req.body.attachments !== undefined) {
+    req.body.attachments = await resolveDocuments(req.body.attachments, req.user.id, response.attachments);
+  }
+
   // If status is changing and verification is requested, add new proof
   if (req.body.status && req.body.status !== response.status && req.body.isVerified) {
     const verificationData = {
@@ -121,18 +177,21 @@ exports.updateOfficialResponse = asyncHandler(async (req, res, next) => {
     }
   }
 
+  const statusChanged = req.body.status && req.body.status !== response.status;
+
   response = await OfficialResponse.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
   });
 
   // If status changed, update the proposal status as well
-  if (req.body.status && req.body.status !== response.status) {
-    await Proposal.findByIdAndUpdate(response.proposal, {
-      status: req.body.status === 'approved' ? 'approved' : 
-              req.body.status === 'rejected' ? 'rejected' : 
-              req.body.status === 'partially_approved' ? 'partially_approved' : 'under_review'
-    });
+  if (statusChanged) {
+    await applyResponseToProposal(
+      response.proposal,
+      response.status,
+      req.user,
+      response.rationale || response.response
+    );
   }
 
   res.status(200).json({
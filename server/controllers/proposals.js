@@ -1,21 +1,229 @@
 // server/controllers/proposals.js
 const Proposal = require('../models/Proposal');
+const ProposalRevision = require('../models/ProposalRevision');
+const BudgetCycle = require('../models/BudgetCycle');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const lifecycle = require('../services/proposalLifecycle');
+const duplicates = require('../services/duplicateProposals');
+const votingRules = require('../services/votingRules');
+const eligibility = require('../services/eligibility');
+const voteChanges = require('../services/voteChanges');
+const geo = require('../utils/geo');
+const { resolveDocuments } = require('../utils/documents');
+const ipfsService = require('../services/ipfsService');
+
+// Anchor a revision on IPFS when enabled; revisions are still recorded if IPFS is unavailable
+const anchorRevision = async (revision) => {
+  if (process.env.ANCHOR_REVISIONS_TO_IPFS !== 'true') {
+    return undefined;
+  }
+
+  try {
+    const result = await ipfsService.addJSON({
+      proposal: revision.proposal,
+      version: revision.version,
+      contentHash: revision.contentHash
+    });
+    return result.path;
+  } catch (error) {
+    console.error('IPFS revision anchoring failed:', error);
+    // Continue without IPFS anchor
+    return undefined;
+  }
+};
+
+// Check a location's geometry from the request body; passes a 400 to next and
+// returns false when it is invalid
+const checkLocation = (location, next) => {
+  const geometry = location && location.geometry;
+  const error = geometry !== undefined && geometry !== null && geo.validateGeometry(geometry);
+
+  if (error) {
+    next(new ErrorResponse(error, 400));
+    return false;
+  }
+
+  return true;
+};
+
+// Fields that shape the ballot; votes refer to its options, so they freeze once voting nears
+const BALLOT_FIELDS = ['ballotType', 'ballotOptions', 'maxScore'];
+
+// Budget results are tabulated from candidate costs, so a candidate's cost freezes
+// once its cycle opens and, until then, keeps to the rules addCandidate applies.
+// Passes a 400 to next and resolves to false when the cost cannot be set.
+const checkCandidateCost = async (cost, proposal, next) => {
+  if (!proposal.budgetCycle) return true;
+
+  const cycle = await BudgetCycle.findById(proposal.budgetCycle).select('status budget');
+  if (!cycle) return true;
+
+  if (cycle.status !== 'upcoming') {
+    next(new ErrorResponse(`The estimated cost can no longer be changed once its budget cycle is ${cycle.status}`, 400));
+    return false;
+  }
+
+  if (!(cost > 0) || cost > cycle.budget) {
+    next(new ErrorResponse(`A budget cycle candidate must cost more than 0 and no more than the cycle budget`, 400));
+    return false;
+  }
+
+  return true;
+};
+
+// Statuses before any ballot has been opened
+const PRE_VOTING_STATUSES = ['draft', 'submitted', 'under_review'];
+
+// The location freezes once an eligibility policy is set or voting has started,
+// so the electorate cannot move under a ballot
+const locationLocked = (proposal) =>
+  eligibility.hasPolicy(proposal) || !PRE_VOTING_STATUSES.includes(proposal.status);
+
+// Check the ballot a proposal would end up with after applying the request body.
+// findByIdAndUpdate skips the model's pre('validate') checks, so they are repeated
+// here. Passes a 400 to next and returns false when the ballot is invalid.
+const checkBallot = (body, proposal, next) => {
+  const current = proposal || {};
+  const ballotType = body.ballotType !== undefined ? body.ballotType : (current.ballotType || 'binary');
+  const ballotOptions = body.ballotOptions !== undefined ? body.ballotOptions : (current.ballotOptions || []);
+  const status = current.status || body.status;
+  let error;
+
+  if (!Proposal.schema.path('ballotType').enumValues.includes(ballotType)) {
+    error = `Ballot type must be one of ${Proposal.schema.path('ballotType').enumValues.join(', ')}`;
+  } else if (!Array.isArray(ballotOptions)) {
+    error = 'Ballot options must be a list';
+  } else if (ballotOptions.some(option => !option || typeof option.title !== 'string' || !option.title.trim())) {
+    error = 'Please add a title for each ballot option';
+  } else if (ballotType !== 'binary' && status !== 'draft' && ballotOptions.length < 2) {
+    error = 'Multi-option ballots need at least two options';
+  } else if (body.maxScore !== undefined && !(Number.isInteger(body.maxScore) && body.maxScore >= 1)) {
+    error = 'Maximum score must be a whole number of at least 1';
+  }
+
+  if (error) {
+    next(new ErrorResponse(error, 400));
+    return false;
+  }
+
+  return true;
+};
 
 // @desc    Create new proposal
 // @route   POST /api/v1/proposals
 // @access  Private
 exports.createProposal = asyncHandler(async (req, res, next) => {
-  // Add user to req.body
-  req.body.author = req.user.id;
+  // Only copy the fields an author may set, so counts, ballot settings and
+  // eligibility rules are left to their own endpoints
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      fields[field] = req.body[field];
+    }
+  });
+
+  fields.author = req.user.id;
+
+  // New proposals start as a draft or go straight to submitted
+  fields.status = req.body.status || 'submitted';
+
+  if (!['draft', 'submitted'].includes(fields.status)) {
+    return next(new ErrorResponse(`New proposals cannot be created as ${fields.status}`, 400));
+  }
+
+  if (!checkLocation(fields.location, next)) return;
+
+  fields.documents = await resolveDocuments(fields.documents, req.user.id);
+
+  fields.statusHistory = [
+    { from: null, to: fields.status, actor: req.user.id, timestamp: new Date() }
+  ];
+
+  if (fields.status === 'draft') {
+    fields.draftSavedAt = Date.now();
+  }
 
-  const proposal = await Proposal.create(req.body);
+  const proposal = await Proposal.create(fields);
+
+  // Drafts get their first revision when they are submitted
+  if (proposal.status !== 'draft') {
+    await ProposalRevision.record(proposal, req.user.id, anchorRevision);
+  }
+
+  const similar = proposal.status === 'draft'
+    ? []
+    : await duplicates.findSimilar(proposal, { exclude: proposal._id });
 
   res.status(201).json({
     success: true,
-    data: proposal
+    data: proposal,
+    duplicates: similar.map(toDuplicate)
+  });
+});
+
+// Shape a similarity match for the response
+const toDuplicate = ({ proposal, score }) => ({
+  _id: proposal._id,
+  title: proposal.title,
+  category: proposal.category,
+  city: proposal.location && proposal.location.city,
+  status: proposal.status,
+  supporterCount: proposal.supporterCount,
+  score: Math.round(score * 100) / 100
+});
+
+// @desc    Find open proposals similar to a title/description being written
+// @route   GET /api/v1/proposals/similar?title=&description=&category=&city=&exclude=
+// @access  Public
+exports.getSimilarProposals = asyncHandler(async (req, res, next) => {
+  const { title, description, category, city, exclude } = req.query;
+
+  if (!title && !description) {
+    return next(new ErrorResponse('Please provide a title or description to compare', 400));
+  }
+
+  const similar = await duplicates.findSimilar(
+    { title, description, category, location: { city } },
+    { exclude, limit: parseInt(req.query.limit, 10) || 5 }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: similar.length,
+    data: similar.map(toDuplicate)
+  });
+});
+
+// @desc    Merge a duplicate proposal into another one
+// @route   POST /api/v1/proposals/:id/merge
+// @access  Private (moderator, admin)
+exports.mergeProposal = asyncHandler(async (req, res, next) => {
+  if (!req.body.into) {
+    return next(new ErrorResponse('Please provide the proposal to merge into', 400));
+  }
+
+  const source = await Proposal.findById(req.params.id);
+  const target = await Proposal.findById(req.body.into);
+
+  if (!source) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (!target) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.body.into}`, 404)
+    );
+  }
+
+  const result = await duplicates.merge(source, target, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result
   });
 });
 
@@ -29,7 +237,7 @@ exports.getProposals = asyncHandler(async (req, res, next) => {
   const reqQuery = { ...req.query };
 
   // Fields to exclude
-  const removeFields = ['select', 'sort', 'page', 'limit'];
+  const removeFields = ['select', 'sort', 'page', 'limit', 'near', 'radius', 'within', 'format'];
 
   // Loop over removeFields and delete them from reqQuery
   removeFields.forEach(param => delete reqQuery[param]);
@@ -40,8 +248,36 @@ exports.getProposals = asyncHandler(async (req, res, next) => {
   // Create operators ($gt, $gte, etc)
   queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
 
+  // Drafts are private to their author (see getMyDrafts). ANDed on, so no status
+  // filter in the query ($gt, $lte, ...) can bring them back
+  const filter = { $and: [JSON.parse(queryStr), { status: { $ne: 'draft' } }] };
+
+  // Geospatial filters: ?near=lng,lat&radius=meters (nearest first) or ?within=bbox|polygon.
+  // $near cannot be counted, so the total counts the same circle with $geoWithin.
+  let nearFilter = null;
+
+  if (req.query.near) {
+    const point = geo.parsePoint(req.query.near);
+    const radius = parseFloat(req.query.radius) || 1000;
+
+    if (!point || radius <= 0) {
+      return next(new ErrorResponse('near must be "lng,lat" and radius a positive number of meters', 400));
+    }
+
+    filter['location.geometry'] = geo.withinRadius(point, radius);
+    nearFilter = { ...filter, 'location.geometry': geo.nearest(point, radius) };
+  } else if (req.query.within) {
+    const polygon = geo.parseWithin(req.query.within);
+
+    if (!polygon) {
+      return next(new ErrorResponse('within must be "minLng,minLat,maxLng,maxLat" or a JSON array of [lng, lat] points', 400));
+    }
+
+    filter['location.geometry'] = { $geoWithin: { $geometry: polygon } };
+  }
+
   // Finding resource
-  query = Proposal.find(JSON.parse(queryStr)).populate({
+  query = Proposal.find(nearFilter || filter).populate({
     path: 'author',
     select: 'fullName profilePicture'
   });
@@ -56,7 +292,7 @@ exports.getProposals = asyncHandler(async (req, res, next) => {
   if (req.query.sort) {
     const sortBy = req.query.sort.split(',').join(' ');
     query = query.sort(sortBy);
-  } else {
+  } else if (!nearFilter) {
     query = query.sort('-createdAt');
   }
 
@@ -65,7 +301,7 @@ exports.getProposals = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 10;
   const startIndex = (page - 1) * limit;
   const endIndex = page * limit;
-  const total = await Proposal.countDocuments(JSON.parse(queryStr));
+  const total = await Proposal.countDocuments(filter);
 
   query = query.skip(startIndex).limit(limit);
 
@@ -89,6 +325,13 @@ exports.getProposals = asyncHandler(async (req, res, next) => {
     };
   }
 
+  if (req.query.format === 'geojson') {
+    return res.status(200).json({
+      ...geo.toFeatureCollection(proposals),
+      pagination
+    });
+  }
+
   res.status(200).json({
     success: true,
     count: proposals.length,
@@ -99,21 +342,406 @@ exports.getProposals = asyncHandler(async (req, res, next) => {
 
 // @desc    Get single proposal
 // @route   GET /api/v1/proposals/:id
-// @access  Public
+// @access  Public (drafts: author, admin)
 exports.getProposal = asyncHandler(async (req, res, next) => {
   const proposal = await Proposal.findById(req.params.id).populate({
     path: 'author',
     select: 'fullName profilePicture'
   });
 
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// Statuses in which the author may still edit or withdraw a proposal
+const EDITABLE_STATUSES = ['draft', 'submitted'];
+
+// Fields an author may set when creating or editing a proposal
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'location', 'documents', 'implementationDeadline', 'ballotType', 'ballotOptions', 'maxScore', 'estimatedCost'];
+
+// @desc    Update proposal
+// @route   PUT /api/v1/proposals/:id
+// @access  Private (author while draft/submitted, admin)
+exports.updateProposal = asyncHandler(async (req, res, next) => {
+  let proposal = await Proposal.findById(req.params.id);
+
   if (!proposal) {
     return next(
       new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
     );
   }
 
+  const isAdmin = req.user.role === 'admin';
+
+  // Make sure user is proposal author
+  if (proposal.author.toString() !== req.user.id && !isAdmin) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to update this proposal`, 401)
+    );
+  }
+
+  if (!EDITABLE_STATUSES.includes(proposal.status) && !isAdmin) {
+    return next(
+      new ErrorResponse(`Proposal can no longer be edited once it is ${proposal.status}`, 400)
+    );
+  }
+
+  // Not even admins can change the ballot once votes may have been cast against it
+  const changesBallot = BALLOT_FIELDS.some(field => req.body[field] !== undefined);
+  if (changesBallot && !EDITABLE_STATUSES.includes(proposal.status)) {
+    return next(
+      new ErrorResponse(`The ballot can no longer be changed once the proposal is ${proposal.status}`, 400)
+    );
+  }
+
+  // The location decides who may vote under city, region and district rules
+  if (req.body.location !== undefined && locationLocked(proposal)) {
+    return next(
+      new ErrorResponse('The location can no longer be changed once voting rules depend on it or voting has started', 400)
+    );
+  }
+
+  if (!checkLocation(req.body.location, next)) return;
+  if (changesBallot && !checkBallot(req.body, proposal, next)) return;
+  if (req.body.estimatedCost !== undefined && !(await checkCandidateCost(req.body.estimatedCost, proposal, next))) return;
+
+  // Only copy editable fields so status, author and vote counts can't be changed here
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  });
+  if (updates.documents !== undefined) {
+    updates.documents = await resolveDocuments(updates.documents, req.user.id, proposal.documents);
+  }
+  updates.updatedAt = Date.now();
+
+  proposal = await Proposal.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true
+  });
+
+  // Keep an immutable copy of every public edit so voters can see what changed
+  if (proposal.status !== 'draft') {
+    await ProposalRevision.record(proposal, req.user.id, anchorRevision);
+  }
+
   res.status(200).json({
     success: true,
     data: proposal
   });
-});
\ No newline at end of file
+});
+
+// @desc    Get the logged in user's drafts
+// @route   GET /api/v1/proposals/drafts
+// @access  Private
+exports.getMyDrafts = asyncHandler(async (req, res, next) => {
+  const drafts = await Proposal.find({ author: req.user.id, status: 'draft' })
+    .select('title description category location documents draftSavedAt updatedAt createdAt')
+    .sort('-updatedAt');
+
+  res.status(200).json({
+    success: true,
+    count: drafts.length,
+    data: drafts
+  });
+});
+
+// @desc    Autosave a draft
+// @route   PUT /api/v1/proposals/:id/draft
+// @access  Private (author)
+exports.saveDraft = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.id);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user is proposal author
+  if (proposal.author.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to update this draft`, 401)
+    );
+  }
+
+  if (proposal.status !== 'draft') {
+    return next(new ErrorResponse('Only drafts can be autosaved', 400));
+  }
+
+  // Reject stale offline copies that were based on an older server version
+  if (req.body.baseUpdatedAt && new Date(req.body.baseUpdatedAt) < proposal.updatedAt) {
+    return res.status(409).json({
+      success: false,
+      error: 'Draft was changed on another device',
+      data: proposal
+    });
+  }
+
+  if (!checkLocation(req.body.location, next)) return;
+  if (!checkBallot(req.body, proposal, next)) return;
+
+  if (req.body.documents !== undefined) {
+    req.body.documents = await resolveDocuments(req.body.documents, req.user.id, proposal.documents);
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      proposal[field] = req.body[field];
+    }
+  });
+  proposal.draftSavedAt = Date.now();
+
+  await proposal.save();
+
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    Withdraw proposal
+// @route   PUT /api/v1/proposals/:id/withdraw
+// @access  Private (author while draft/submitted, admin)
+exports.withdrawProposal = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.id);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await lifecycle.transition(proposal, 'withdrawn', {
+    actor: req.user,
+    reason: req.body.reason
+  });
+
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    Change proposal status
+// @route   PUT /api/v1/proposals/:id/status
+// @access  Private (depends on the transition)
+exports.updateProposalStatus = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.id);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (!req.body.status) {
+    return next(new ErrorResponse('Please provide a status', 400));
+  }
+
+  // Merging also moves votes, comments and supporters, so it has its own endpoint
+  if (req.body.status === 'merged') {
+    return next(new ErrorResponse('Use the merge endpoint to merge proposals', 400));
+  }
+
+  const previousStatus = proposal.status;
+
+  await lifecycle.transition(proposal, req.body.status, {
+    actor: req.user,
+    reason: req.body.reason
+  });
+
+  // A submitted draft becomes the first public revision
+  if (previousStatus === 'draft') {
+    await ProposalRevision.record(proposal, req.user.id, anchorRevision);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    Schedule the voting window and optionally set the voting rules, eligibility, secret ballot and re-vote policy
+// @route   PUT /api/v1/proposals/:id/voting-window
+// @access  Private (official, department_admin, admin)
+exports.setVotingWindow = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.id);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const startsAt = req.body.votingStartsAt ? new Date(req.body.votingStartsAt) : null;
+  const endsAt = req.body.votingEndsAt ? new Date(req.body.votingEndsAt) : null;
+
+  if (!endsAt || isNaN(endsAt) || (startsAt && isNaN(startsAt))) {
+    return next(new ErrorResponse('Please provide a valid votingEndsAt and optional votingStartsAt', 400));
+  }
+
+  if (endsAt <= new Date()) {
+    return next(new ErrorResponse('Voting must end in the future', 400));
+  }
+
+  if (req.body.votingRules !== undefined) {
+    const rulesError = votingRules.validateRules(req.body.votingRules);
+    if (rulesError) {
+      return next(new ErrorResponse(rulesError, 400));
+    }
+  }
+
+  if (req.body.secretBallot !== undefined && typeof req.body.secretBallot !== 'boolean') {
+    return next(new ErrorResponse('secretBallot must be true or false', 400));
+  }
+
+  // Check the policy against the new window even when the request leaves it
+  // alone, so moving the close (also during voting) cannot put its cutoff
+  // before voting opens
+  const storedPolicy = proposal.revotePolicy && proposal.revotePolicy.mode ? proposal.revotePolicy : undefined;
+  const revotePolicy = req.body.revotePolicy !== undefined ? req.body.revotePolicy : storedPolicy;
+
+  if (revotePolicy !== undefined) {
+    const policyError = voteChanges.validatePolicy(revotePolicy, {
+      startsAt: startsAt || proposal.votingStartsAt || new Date(),
+      endsAt
+    });
+    if (policyError) {
+      return next(new ErrorResponse(policyError, 400));
+    }
+  }
+
+  if (req.body.eligibility !== undefined) {
+    const eligibilityError = await eligibility.validatePolicy(req.body.eligibility, proposal);
+    if (eligibilityError) {
+      return next(new ErrorResponse(eligibilityError, 400));
+    }
+  }
+
+  if (['submitted', 'under_review'].includes(proposal.status)) {
+    proposal.votingStartsAt = startsAt || new Date();
+
+    if (req.body.votingRules !== undefined) {
+      proposal.votingRules = req.body.votingRules;
+    }
+
+    if (req.body.eligibility !== undefined) {
+      proposal.eligibility = req.body.eligibility;
+    }
+
+    if (req.body.secretBallot !== undefined) {
+      proposal.secretBallot = req.body.secretBallot;
+    }
+
+    if (req.body.revotePolicy !== undefined) {
+      proposal.revotePolicy = req.body.revotePolicy;
+    }
+  } else if (proposal.status === 'voting') {
+    // Once the ballot is open only the closing time can move
+    if (startsAt && startsAt.getTime() !== (proposal.votingStartsAt && proposal.votingStartsAt.getTime())) {
+      return next(new ErrorResponse('Voting has already started; only votingEndsAt can be changed', 400));
+    }
+
+    if (req.body.votingRules !== undefined) {
+      return next(new ErrorResponse('Voting rules cannot change once voting has started', 400));
+    }
+
+    if (req.body.eligibility !== undefined) {
+      return next(new ErrorResponse('Eligibility rules cannot change once voting has started', 400));
+    }
+
+    if (req.body.secretBallot !== undefined && req.body.secretBallot !== proposal.secretBallot) {
+      return next(new ErrorResponse('Secret ballot mode cannot change once voting has started', 400));
+    }
+
+    if (req.body.revotePolicy !== undefined) {
+      return next(new ErrorResponse('The re-vote policy cannot change once voting has started', 400));
+    }
+  } else {
+    return next(
+      new ErrorResponse(`Cannot schedule voting for a proposal that is ${proposal.status}`, 400)
+    );
+  }
+
+  proposal.votingEndsAt = endsAt;
+  await proposal.save();
+
+  res.status(200).json({
+    success: true,
+    data: proposal
+  });
+});
+
+// @desc    Get proposal status history and next possible statuses
+// @route   GET /api/v1/proposals/:id/status
+// @access  Public (drafts: author, admin)
+exports.getProposalStatus = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.id)
+    .select('status statusHistory author')
+    .populate({
+      path: 'statusHistory.actor',
+      select: 'fullName role'
+    });
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: proposal.status,
+      nextStatuses: lifecycle.getNextStatuses(proposal.status),
+      history: proposal.statusHistory
+    }
+  });
+});
+
+// @desc    Delete proposal
+// @route   DELETE /api/v1/proposals/:id
+// @access  Private (author while draft/submitted, admin)
+exports.deleteProposal = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.id);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`Proposal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const isAdmin = req.user.role === 'admin';
+
+  // Make sure user is proposal author
+  if (proposal.author.toString() !== req.user.id && !isAdmin) {
+    return next(
+      new ErrorResponse(`User ${req.user.id} is not authorized to delete this proposal`, 401)
+    );
+  }
+
+  if (!EDITABLE_STATUSES.includes(proposal.status) && !isAdmin) {
+    return next(
+      new ErrorResponse(`Proposal can no longer be deleted once it is ${proposal.status}`, 400)
+    );
+  }
+
+  // Triggers the cascade delete of related records
+  await proposal.remove();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
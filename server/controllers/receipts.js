@@ -0,0 +1,80 @@
+// server/controllers/receipts.js
+const Proposal = require('../models/Proposal');
+const receipts = require('../services/receipts');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+
+// @desc    Get a proposal's ballot tree root and the receipt signing key
+// @route   GET /api/v1/proposals/:proposalId/receipts
+// @access  Public
+exports.getBallotTree = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404));
+  }
+
+  const tree = await receipts.treeRoot(proposal._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...tree,
+      ...receipts.signingKey()
+    }
+  });
+});
+
+// @desc    Get a page of a proposal's ballot tree leaves, supersession records included
+// @route   GET /api/v1/proposals/:proposalId/receipts/leaves?from=&limit=
+// @access  Public
+exports.getLeaves = asyncHandler(async (req, res, next) => {
+  const from = Math.max(parseInt(req.query.from, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 1000, 1), 1000);
+
+  const leaves = await receipts.listLeaves(req.params.proposalId, { from, limit });
+  const last = leaves[leaves.length - 1];
+
+  res.status(200).json({
+    success: true,
+    count: leaves.length,
+    pagination: leaves.length === limit ? { next: { from: last.index + 1, limit } } : {},
+    data: leaves
+  });
+});
+
+// @desc    Get the inclusion proof for a ballot hash from a receipt
+// @route   GET /api/v1/proposals/:proposalId/receipts/:ballotHash/proof
+// @access  Public
+exports.getInclusionProof = asyncHandler(async (req, res, next) => {
+  const proof = await receipts.inclusionProof(req.params.proposalId, req.params.ballotHash);
+
+  if (!proof) {
+    return next(new ErrorResponse(`Ballot ${req.params.ballotHash} is not in this proposal's ballot tree`, 404));
+  }
+
+  const { anchor } = await receipts.treeRoot(req.params.proposalId);
+
+  res.status(200).json({
+    success: true,
+    data: { ...proof, anchor }
+  });
+});
+
+// @desc    Check a receipt's server signature
+// @route   POST /api/v1/proposals/:proposalId/receipts/verify
+// @access  Public
+exports.verifyReceipt = asyncHandler(async (req, res, next) => {
+  const { ballotHash, leafIndex, issuedAt, signature } = req.body;
+
+  if (!ballotHash || leafIndex === undefined || !issuedAt || !signature) {
+    return next(new ErrorResponse(`Please provide the ballotHash, leafIndex, issuedAt and signature from the receipt`, 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      validSignature: receipts.verifySignature(req.params.proposalId, { ballotHash, leafIndex, issuedAt, signature })
+    }
+  });
+});
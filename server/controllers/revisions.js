@@ -0,0 +1,93 @@
+// server/controllers/revisions.js
+const ProposalRevision = require('../models/ProposalRevision');
+const Proposal = require('../models/Proposal');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { diffWords } = require('../utils/diff');
+
+// Flatten a location into a single comparable line
+const formatLocation = (location = {}) =>
+  [location.city, location.region, location.country].filter(Boolean).join(', ');
+
+// @desc    Get revision history for a proposal
+// @route   GET /api/v1/proposals/:proposalId/revisions
+// @access  Public (drafts: author, admin)
+exports.getRevisions = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  const revisions = await ProposalRevision.find({ proposal: req.params.proposalId })
+    .populate({
+      path: 'editor',
+      select: 'fullName profilePicture'
+    })
+    .sort('version');
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    data: revisions
+  });
+});
+
+// @desc    Get a word-level diff between two revisions
+// @route   GET /api/v1/proposals/:proposalId/revisions/:a/diff/:b
+// @access  Public (drafts: author, admin)
+exports.getRevisionDiff = asyncHandler(async (req, res, next) => {
+  const versions = [parseInt(req.params.a, 10), parseInt(req.params.b, 10)];
+
+  if (versions.some(isNaN)) {
+    return next(new ErrorResponse('Revision versions must be numbers', 400));
+  }
+
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  const revisions = await ProposalRevision.find({
+    proposal: req.params.proposalId,
+    version: { $in: versions }
+  });
+
+  const from = revisions.find(revision => revision.version === versions[0]);
+  const to = revisions.find(revision => revision.version === versions[1]);
+
+  if (!from || !to) {
+    return next(
+      new ErrorResponse(`Revisions ${req.params.a} and ${req.params.b} not found for this proposal`, 404)
+    );
+  }
+
+  const fromUrls = from.documents.map(doc => doc.fileUrl);
+  const toUrls = to.documents.map(doc => doc.fileUrl);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from: { version: from.version, contentHash: from.contentHash, createdAt: from.createdAt },
+      to: { version: to.version, contentHash: to.contentHash, createdAt: to.createdAt },
+      changes: {
+        title: diffWords(from.title, to.title),
+        description: diffWords(from.description, to.description),
+        category: diffWords(from.category, to.category),
+        location: diffWords(formatLocation(from.location), formatLocation(to.location)),
+        geometryChanged:
+          JSON.stringify(from.location && from.location.geometry) !==
+          JSON.stringify(to.location && to.location.geometry),
+        documents: {
+          added: to.documents.filter(doc => !fromUrls.includes(doc.fileUrl)),
+          removed: from.documents.filter(doc => !toUrls.includes(doc.fileUrl))
+        }
+      }
+    }
+  });
+});
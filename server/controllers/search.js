@@ -0,0 +1,204 @@
+// server/controllers/search.js
+const Proposal = require('../models/Proposal');
+const Comment = require('../models/Comment');
+const OfficialResponse = require('../models/OfficialResponse');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { parseTerms, buildFuzzyRegex, highlight } = require('../utils/search');
+
+// Searchable collections, the text fields they index and what is hidden from search
+const SEARCH_TYPES = {
+  proposals: {
+    model: Proposal,
+    fields: ['title', 'description'],
+    baseFilter: { status: { $ne: 'draft' } },
+    select: 'title description category status location supporterCount createdAt'
+  },
+  comments: {
+    model: Comment,
+    fields: ['text'],
+    baseFilter: { isHidden: { $ne: true } },
+    select: 'text proposal user likes createdAt'
+  },
+  responses: {
+    model: OfficialResponse,
+    fields: ['response', 'rationale'],
+    baseFilter: {},
+    select: 'response rationale status department proposal createdAt'
+  }
+};
+
+// Add highlighted snippets for every field that matched
+const withHighlights = (doc, fields, terms, fuzzy) => {
+  const highlights = {};
+
+  fields.forEach(field => {
+    const snippet = highlight(doc[field], terms, fuzzy);
+    if (snippet) {
+      highlights[field] = snippet;
+    }
+  });
+
+  return { ...doc, highlights, fuzzy };
+};
+
+// Ranked text search, topped up with typo-tolerant matches when there are few exact hits
+const searchCollection = async ({ model, fields, baseFilter, select }, query, terms, filter, skip, limit) => {
+  // AND the caller's filter so it can narrow the base filter but never replace it
+  const scope = { $and: [baseFilter, filter] };
+  const textFilter = { ...scope, $text: { $search: query } };
+
+  const [exact, total] = await Promise.all([
+    model
+      .find(textFilter, { score: { $meta: 'textScore' } })
+      .select(select)
+      .sort({ score: { $meta: 'textScore' } })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    model.countDocuments(textFilter)
+  ]);
+
+  const results = exact.map(doc => withHighlights(doc, fields, terms, false));
+
+  if (total >= limit || skip > 0) {
+    return { total, results };
+  }
+
+  const fuzzyFilter = {
+    ...scope,
+    _id: { $nin: exact.map(doc => doc._id) },
+    $or: fields.flatMap(field =>
+      terms.map(term => ({ [field]: buildFuzzyRegex(term) }))
+    )
+  };
+
+  const fuzzy = await model
+    .find(fuzzyFilter)
+    .select(select)
+    .limit(limit - exact.length)
+    .lean();
+
+  // Rank typo matches by how many terms they contain, below every exact match
+  const fuzzyResults = fuzzy
+    .map(doc => {
+      const text = fields.map(field => doc[field] || '').join(' ');
+      const matched = terms.filter(term => buildFuzzyRegex(term).test(text)).length;
+      return { ...withHighlights(doc, fields, terms, true), score: matched / (terms.length + 1) };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    total: total + fuzzyResults.length,
+    results: [...results, ...fuzzyResults]
+  };
+};
+
+// Facet filters only apply to proposals and only take known string values, so a
+// query like status[$gt]=a cannot smuggle an operator in
+const FACET_VALUES = {
+  category: Proposal.schema.path('category').enumValues,
+  status: Proposal.schema.path('status').enumValues.filter(status => status !== 'draft')
+};
+
+const buildFacetFilter = ({ category, status, city }) => {
+  const filter = {};
+
+  if (category) {
+    if (!FACET_VALUES.category.includes(category)) {
+      throw new Error(`Unknown category ${category}`);
+    }
+    filter.category = category;
+  }
+
+  if (status) {
+    if (!FACET_VALUES.status.includes(status)) {
+      throw new Error(`Unknown status ${status}`);
+    }
+    filter.status = status;
+  }
+
+  if (city) {
+    if (typeof city !== 'string') {
+      throw new Error('City must be a single value');
+    }
+    filter['location.city'] = city;
+  }
+
+  return filter;
+};
+
+// Proposal counts per category, status and city for the query
+const getProposalFacets = async (query) => {
+  const [facets] = await Proposal.aggregate([
+    { $match: { ...SEARCH_TYPES.proposals.baseFilter, $text: { $search: query } } },
+    {
+      $facet: {
+        category: [{ $sortByCount: '$category' }],
+        status: [{ $sortByCount: '$status' }],
+        city: [{ $match: { 'location.city': { $nin: [null, ''] } } }, { $sortByCount: '$location.city' }]
+      }
+    }
+  ]);
+
+  const toCounts = buckets => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+  return {
+    category: toCounts(facets.category),
+    status: toCounts(facets.status),
+    city: toCounts(facets.city)
+  };
+};
+
+// @desc    Search proposals, comments and official responses
+// @route   GET /api/v1/search?q=&type=&category=&status=&city=&page=&limit=
+// @access  Public
+exports.search = asyncHandler(async (req, res, next) => {
+  const query = (req.query.q || '').trim();
+  const terms = parseTerms(query);
+
+  if (terms.length === 0) {
+    return next(new ErrorResponse('Please provide a search query', 400));
+  }
+
+  const type = req.query.type || 'all';
+  const types = type === 'all' ? Object.keys(SEARCH_TYPES) : [type];
+
+  if (!types.every(name => SEARCH_TYPES[name])) {
+    return next(new ErrorResponse(`Unknown search type ${type}`, 400));
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  const skip = (page - 1) * limit;
+
+  let proposalFilter;
+  try {
+    proposalFilter = buildFacetFilter(req.query);
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 400));
+  }
+
+  // Comments on private drafts stay out of search like the drafts themselves
+  const filters = { proposals: proposalFilter, comments: {}, responses: {} };
+  if (types.includes('comments')) {
+    const draftIds = await Proposal.distinct('_id', { status: 'draft' });
+    filters.comments = { proposal: { $nin: draftIds } };
+  }
+
+  const data = {};
+  for (const name of types) {
+    data[name] = await searchCollection(SEARCH_TYPES[name], query, terms, filters[name], skip, limit);
+  }
+
+  const facets = types.includes('proposals') ? await getProposalFacets(query) : undefined;
+
+  res.status(200).json({
+    success: true,
+    query,
+    page,
+    limit,
+    facets,
+    data
+  });
+});
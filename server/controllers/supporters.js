@@ -0,0 +1,185 @@
+// server/controllers/supporters.js
+const Supporter = require('../models/Supporter');
+const Proposal = require('../models/Proposal');
+const lifecycle = require('../services/proposalLifecycle');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+
+// Proposals still collecting signatures; review keeps counting towards the voting minimum
+const SUPPORTABLE_STATUSES = ['submitted', 'under_review'];
+
+// Summarise a proposal's signature count against its category threshold
+const supportSummary = (proposal) => {
+  const threshold = Supporter.thresholdFor(proposal.category);
+
+  return {
+    count: proposal.supporterCount,
+    threshold,
+    progress: Math.min(proposal.supporterCount / threshold, 1),
+    thresholdReached: proposal.supporterCount >= threshold,
+    status: proposal.status
+  };
+};
+
+// @desc    Get support progress for a proposal
+// @route   GET /api/v1/proposals/:proposalId/supporters
+// @access  Public
+exports.getSupport = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: supportSummary(proposal)
+  });
+});
+
+// @desc    Check whether the current user supports a proposal
+// @route   GET /api/v1/proposals/:proposalId/supporters/me
+// @access  Private
+exports.getUserSupport = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  const supporter = await Supporter.findOne({
+    user: req.user.id,
+    proposal: req.params.proposalId
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      supported: Boolean(supporter),
+      supportedAt: supporter ? supporter.createdAt : null
+    }
+  });
+});
+
+// @desc    Support (sign) a proposal
+// @route   POST /api/v1/proposals/:proposalId/supporters
+// @access  Private (verified users)
+exports.addSupport = asyncHandler(async (req, res, next) => {
+  // Signatures are deduplicated per verified person, not per account
+  if (!req.user.verified) {
+    return next(
+      new ErrorResponse(`Only verified users can support proposals`, 403)
+    );
+  }
+
+  let proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal || !proposal.isVisibleTo(req.user)) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  if (!SUPPORTABLE_STATUSES.includes(proposal.status)) {
+    return next(
+      new ErrorResponse(`Proposal is not collecting support`, 400)
+    );
+  }
+
+  // One signature per user: the unique (proposal, user) index turns away a second one,
+  // including one sent at the same time
+  try {
+    await Supporter.create({ proposal: proposal._id, user: req.user.id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(
+        new ErrorResponse(`You have already supported this proposal`, 400)
+      );
+    }
+    throw error;
+  }
+
+  // The count comes back from the same atomic update that increments it, so
+  // every signature sees its own total even when several arrive at once
+  proposal = await Proposal.findOneAndUpdate(
+    { _id: proposal._id },
+    { $inc: { supporterCount: 1 } },
+    { new: true }
+  );
+
+  // Any signature at or past the threshold moves a still-submitted proposal
+  // on, so a crossing is not lost if the threshold changes or a transition fails
+  const threshold = Supporter.thresholdFor(proposal.category);
+
+  if (
+    proposal.status === 'submitted' &&
+    proposal.supporterCount >= threshold
+  ) {
+    // Concurrent signatures past the threshold race to move the proposal;
+    // the version check lets only the first save win
+    proposal.increment();
+
+    try {
+      await lifecycle.transition(proposal, 'under_review', {
+        actor: lifecycle.SYSTEM,
+        reason: `Reached ${threshold} supporters`
+      });
+    } catch (err) {
+      if (err.name !== 'VersionError') {
+        throw err;
+      }
+      proposal = await Proposal.findById(proposal._id);
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    data: supportSummary(proposal)
+  });
+});
+
+// @desc    Withdraw support from a proposal
+// @route   DELETE /api/v1/proposals/:proposalId/supporters
+// @access  Private
+exports.removeSupport = asyncHandler(async (req, res, next) => {
+  let proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  // Once under review the signatures that put it there are locked in
+  if (proposal.status !== 'submitted') {
+    return next(
+      new ErrorResponse(`Support can only be withdrawn while the proposal is collecting signatures`, 400)
+    );
+  }
+
+  const supporter = await Supporter.findOneAndDelete({
+    user: req.user.id,
+    proposal: proposal._id
+  });
+
+  if (!supporter) {
+    return next(
+      new ErrorResponse(`You have not supported this proposal`, 400)
+    );
+  }
+
+  proposal = await Proposal.findByIdAndUpdate(
+    proposal._id,
+    { $inc: { supporterCount: -1 } },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: supportSummary(proposal)
+  });
+});
@@ -0,0 +1,78 @@
+// server/controllers/uploads.js
+const Upload = require('../models/Upload');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const storageService = require('../services/storageService');
+
+// Types safe to show in the browser from the API's origin
+const INLINE_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// @desc    Upload a document
+// @route   POST /api/v1/uploads
+// @access  Private
+exports.createUpload = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a file', 400));
+  }
+
+  const { key, sha256, size } = await storageService.store(req.file.buffer, req.file.originalname);
+
+  const upload = await Upload.create({
+    key,
+    sha256,
+    size,
+    originalName: req.file.originalname,
+    mimeType: req.file.mimetype,
+    uploadedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: upload
+  });
+});
+
+// @desc    Get upload metadata
+// @route   GET /api/v1/uploads/:id
+// @access  Public
+exports.getUpload = asyncHandler(async (req, res, next) => {
+  const upload = await Upload.findById(req.params.id);
+
+  if (!upload) {
+    return next(new ErrorResponse(`No upload with the id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: upload
+  });
+});
+
+// @desc    Download an uploaded file
+// @route   GET /api/v1/uploads/:id/file
+// @access  Public
+exports.downloadUpload = asyncHandler(async (req, res, next) => {
+  const upload = await Upload.findById(req.params.id);
+
+  if (!upload) {
+    return next(new ErrorResponse(`No upload with the id of ${req.params.id}`, 404));
+  }
+
+  // Only images and PDFs open in the browser; everything else is a download
+  const disposition = INLINE_MIME_TYPES.includes(upload.mimeType) ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': upload.mimeType,
+    'Content-Length': upload.size,
+    'Content-Disposition': `${disposition}; filename="${encodeURIComponent(upload.originalName)}"`,
+    // Stop browsers second-guessing the type, e.g. rendering an upload as HTML
+    'X-Content-Type-Options': 'nosniff',
+    // Lets clients verify the download against the recorded hash
+    'Digest': `sha-256=${Buffer.from(upload.sha256, 'hex').toString('base64')}`
+  });
+
+  storageService
+    .createReadStream(upload.key)
+    .on('error', err => next(new ErrorResponse('File could not be read from storage', 500)))
+    .pipe(res);
+});
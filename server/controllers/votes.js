@@ -1,16 +1,99 @@
 // server/controllers/votes.js
+const mongoose = require('mongoose');
 const Vote = require('../models/Vote');
 const Proposal = require('../models/Proposal');
+const VoteOutcome = require('../models/VoteOutcome');
+const Participation = require('../models/Participation');
+const SecretBallot = require('../models/SecretBallot');
+const ballots = require('../services/ballots');
+const receipts = require('../services/receipts');
+const eligibility = require('../services/eligibility');
+const secretBallots = require('../services/secretBallots');
+const voteChanges = require('../services/voteChanges');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 
+// The scheduler may lag behind the window, so votes are checked against it directly
+const checkVotingWindow = (proposal) => {
+  const now = new Date();
+
+  if (proposal.votingStartsAt && now < proposal.votingStartsAt) {
+    return `Voting opens at ${proposal.votingStartsAt.toISOString()}`;
+  }
+
+  if (proposal.votingEndsAt && now >= proposal.votingEndsAt) {
+    return `Voting period has ended for this proposal`;
+  }
+};
+
+// Ballot fields cleared before a changed vote is applied
+const EMPTY_BALLOT = { vote: undefined, selections: [], ranking: [], scores: [] };
+
+// Option ids listed on a ballot must exist on the proposal and appear only once
+const checkOptionIds = (proposal, ids, field) => {
+  const validIds = proposal.ballotOptions.map(option => option._id.toString());
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return `Please provide ${field} for this ballot`;
+  }
+
+  if (ids.some(id => !validIds.includes(String(id)))) {
+    return `${field} contains an option that is not on this ballot`;
+  }
+
+  if (new Set(ids.map(String)).size !== ids.length) {
+    return `${field} lists the same option more than once`;
+  }
+};
+
+/**
+ * Validate a submitted ballot against the proposal's ballot type
+ * @param {Document} proposal - Proposal being voted on
+ * @param {Object} body - Request body
+ * @returns {Object} { ballot } with only the fields for this ballot type, or { error }
+ */
+const parseBallot = (proposal, body) => {
+  // A blank ballot is allowed whatever the ballot type
+  if (body.vote === 'abstain') {
+    return { ballot: { vote: 'abstain' } };
+  }
+
+  let error;
+
+  switch (proposal.ballotType) {
+    case 'approval':
+      error = checkOptionIds(proposal, body.selections, 'selections');
+      return error ? { error } : { ballot: { selections: body.selections } };
+
+    case 'ranked':
+      error = checkOptionIds(proposal, body.ranking, 'ranking');
+      return error ? { error } : { ballot: { ranking: body.ranking } };
+
+    case 'score': {
+      const scores = Array.isArray(body.scores) ? body.scores : [];
+      error = checkOptionIds(proposal, scores.map(entry => entry && entry.option), 'scores');
+
+      if (!error && scores.some(({ score }) => !Number.isInteger(score) || score < 0 || score > proposal.maxScore)) {
+        error = `Scores must be whole numbers from 0 to ${proposal.maxScore}`;
+      }
+
+      return error
+        ? { error }
+        : { ballot: { scores: scores.map(({ option, score }) => ({ option, score })) } };
+    }
+
+    default:
+      if (!['yes', 'no'].includes(body.vote)) {
+        return { error: `Vote must be one of yes, no or abstain` };
+      }
+      return { ballot: { vote: body.vote } };
+  }
+};
+
 // @desc    Submit a vote
 // @route   POST /api/v1/proposals/:proposalId/votes
 // @access  Private
 exports.addVote = asyncHandler(async (req, res, next) => {
-  req.body.proposal = req.params.proposalId;
-  req.body.user = req.user.id;
-
   // Check if proposal exists
   const proposal = await Proposal.findById(req.params.proposalId);
 
@@ -27,6 +110,20 @@ exports.addVote = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const windowError = checkVotingWindow(proposal);
+  if (windowError) {
+    return next(new ErrorResponse(windowError, 400));
+  }
+
+  if (proposal.secretBallot) {
+    return next(new ErrorResponse(`This proposal uses a secret ballot; request a ballot token to vote`, 400));
+  }
+
+  const { eligible, reasons } = await eligibility.check(proposal, req.user);
+  if (!eligible) {
+    return next(new ErrorResponse(reasons.find(reason => !reason.passed).message, 403));
+  }
+
   // Check if vote already exists
   const existingVote = await Vote.findOne({
     user: req.user.id,
@@ -39,12 +136,46 @@ exports.addVote = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Submit the vote
-  const vote = await Vote.create(req.body);
+  const { ballot, error } = parseBallot(proposal, req.body);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  // Record the vote, its receipt and the count together, so a duplicate or failed
+  // vote leaves nothing behind. The unique (proposal, user) index turns away a
+  // second vote from a concurrent request.
+  const session = await mongoose.startSession();
+  let vote;
+
+  try {
+    await session.withTransaction(async () => {
+      [vote] = await Vote.create([{
+        ...ballot,
+        reason: req.body.reason,
+        proposal: proposal._id,
+        user: req.user.id
+      }], { session });
 
-  // Update the proposal vote count
-  proposal.voteCount[req.body.vote] += 1;
-  await proposal.save();
+      // Hash the ballot into the proposal's tree and sign a receipt for the voter
+      await receipts.issue(vote, { session });
+
+      // Multi-option choices are tabulated from the ballots
+      if (ballot.vote) {
+        await Proposal.updateOne(
+          { _id: proposal._id },
+          { $inc: { [`voteCount.${ballot.vote}`]: 1 } },
+          { session }
+        );
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse(`You have already voted on this proposal`, 400));
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
 
   res.status(201).json({
     success: true,
@@ -64,13 +195,71 @@ exports.getVotes = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const outcome = await VoteOutcome.findOne({ proposal: proposal._id });
+
+  const votingWindow = {
+    votingStartsAt: proposal.votingStartsAt,
+    votingEndsAt: proposal.votingEndsAt,
+    votingClosedAt: proposal.votingClosedAt
+  };
+
+  // Secret ballot counts stay sealed until the ballot closes: watching them move
+  // as ballots arrive would show how each one voted
+  if (proposal.secretBallot && !outcome) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        ballotType: proposal.ballotType,
+        secretBallot: true,
+        sealed: true,
+        ...votingWindow,
+        outcome: null
+      }
+    });
+  }
+
+  // Tallied from the ballots so delegated votes are counted
+  const result = await ballots.evaluate(proposal);
+  const { counts, rules, quorum, verdict } = result;
+
+  if (proposal.ballotType !== 'binary') {
+    return res.status(200).json({
+      success: true,
+      data: {
+        ballotType: proposal.ballotType,
+        cast: counts.cast,
+        abstain: counts.abstain,
+        total: counts.total,
+        direct: counts.direct,
+        delegated: counts.delegated,
+        ...votingWindow,
+        rules,
+        quorum,
+        tabulation: result.tabulation,
+        projectedVerdict: verdict,
+        outcome
+      }
+    });
+  }
+
   res.status(200).json({
     success: true,
     data: {
-      yes: proposal.voteCount.yes,
-      no: proposal.voteCount.no,
-      abstain: proposal.voteCount.abstain,
-      total: proposal.voteCount.yes + proposal.voteCount.no + proposal.voteCount.abstain
+      ballotType: proposal.ballotType,
+      yes: counts.yes,
+      no: counts.no,
+      abstain: counts.abstain,
+      total: counts.total,
+      direct: counts.direct,
+      delegated: counts.delegated,
+      ...votingWindow,
+      rules,
+      quorum,
+      approvalRatio: result.approvalRatio,
+      requiredRatio: result.requiredRatio,
+      // What the verdict would be if the ballot closed now
+      projectedVerdict: verdict,
+      outcome
     }
   });
 });
@@ -79,6 +268,21 @@ exports.getVotes = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/proposals/:proposalId/votes/me
 // @access  Private
 exports.getUserVote = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId).select('secretBallot');
+
+  // A secret ballot only knows that the user took part, not how they voted
+  if (proposal && proposal.secretBallot) {
+    const participation = await Participation.findOne({
+      user: req.user.id,
+      proposal: proposal._id
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: participation && { secretBallot: true, participatedOn: participation.participatedOn }
+    });
+  }
+
   const vote = await Vote.findOne({
     user: req.user.id,
     proposal: req.params.proposalId
@@ -97,11 +301,193 @@ exports.getUserVote = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Checks shared by both steps of a secret ballot; returns an error message if voting is closed
+const checkSecretBallotOpen = (proposal) => {
+  if (proposal.status !== 'voting') {
+    return `Proposal is not currently open for voting`;
+  }
+
+  if (!proposal.secretBallot) {
+    return `This proposal does not use a secret ballot`;
+  }
+
+  return checkVotingWindow(proposal);
+};
+
+// @desc    Get the public key that signs ballot tokens for a secret ballot
+// @route   GET /api/v1/proposals/:proposalId/secret-ballot/key
+// @access  Public
+exports.getBallotKey = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  if (!proposal.secretBallot) {
+    return next(new ErrorResponse(`This proposal does not use a secret ballot`, 400));
+  }
+
+  const key = await secretBallots.keyFor(proposal._id);
+
+  res.status(200).json({
+    success: true,
+    data: { n: key.n, e: key.e }
+  });
+});
+
+// @desc    Record the user's participation and blind-sign their ballot token
+// @route   POST /api/v1/proposals/:proposalId/secret-ballot/token
+// @access  Private
+exports.requestBallotToken = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  const closedError = checkSecretBallotOpen(proposal);
+  if (closedError) {
+    return next(new ErrorResponse(closedError, 400));
+  }
+
+  const { eligible, reasons } = await eligibility.check(proposal, req.user);
+  if (!eligible) {
+    return next(new ErrorResponse(reasons.find(reason => !reason.passed).message, 403));
+  }
+
+  const blindSignature = await secretBallots.signToken(proposal._id, req.body.blinded);
+  if (!blindSignature) {
+    return next(new ErrorResponse(`Please provide a valid blinded token`, 400));
+  }
+
+  // One token per user: the unique (proposal, user) index turns away a second request
+  try {
+    await Participation.create({ proposal: proposal._id, user: req.user.id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse(`You have already been issued a ballot for this proposal`, 400));
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { blindSignature }
+  });
+});
+
+// @desc    Cast a secret ballot with an unblinded ballot token
+// @route   POST /api/v1/proposals/:proposalId/secret-ballot
+// @access  Public (the token is the credential; sending a login would link the ballot)
+exports.castSecretBallot = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  const closedError = checkSecretBallotOpen(proposal);
+  if (closedError) {
+    return next(new ErrorResponse(closedError, 400));
+  }
+
+  const tokenHash = await secretBallots.checkToken(proposal._id, req.body.token, req.body.signature);
+  if (!tokenHash) {
+    return next(new ErrorResponse(`Ballot token is not valid for this proposal`, 403));
+  }
+
+  const { ballot, error } = parseBallot(proposal, req.body);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  // The ballot is neither counted nor added to the ballot tree until voting
+  // closes: either would show when it was cast (services/secretBallots.js)
+  const receipt = receipts.issueSealed({ ...ballot, proposal: proposal._id });
+
+  try {
+    await SecretBallot.create({
+      ...ballot,
+      proposal: proposal._id,
+      tokenHash,
+      ballotHash: receipt.ballotHash
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse(`This ballot token has already been used`, 400));
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { ...ballot, proposal: proposal._id, receipt }
+  });
+});
+
+// @desc    Get how votes on a proposal were cast and switched over time
+// @route   GET /api/v1/proposals/:proposalId/vote-switching
+// @access  Public
+exports.getVoteSwitching = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404));
+  }
+
+  if (proposal.secretBallot) {
+    return next(new ErrorResponse(`Secret ballots cannot be changed, so they have no switching history`, 400));
+  }
+
+  const { interval } = req.query;
+  if (interval && !voteChanges.INTERVALS.includes(interval)) {
+    return next(new ErrorResponse(`interval must be one of ${voteChanges.INTERVALS.join(', ')}`, 400));
+  }
+
+  const timeline = await voteChanges.switchingTimeline(proposal, interval);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...timeline,
+      revotePolicy: proposal.revotePolicy,
+      changesCloseAt: voteChanges.cutoffFor(proposal)
+    }
+  });
+});
+
+// @desc    Check whether the current user may vote on a proposal, and why
+// @route   GET /api/v1/proposals/:proposalId/eligibility
+// @access  Private
+exports.getEligibility = asyncHandler(async (req, res, next) => {
+  const proposal = await Proposal.findById(req.params.proposalId);
+
+  if (!proposal) {
+    return next(
+      new ErrorResponse(`No proposal with the id of ${req.params.proposalId}`, 404)
+    );
+  }
+
+  const result = await eligibility.check(proposal, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
 // @desc    Update vote
 // @route   PUT /api/v1/votes/:id
 // @access  Private
 exports.updateVote = asyncHandler(async (req, res, next) => {
-  let vote = await Vote.findById(req.params.id);
+  const vote = await Vote.findById(req.params.id);
 
   if (!vote) {
     return next(
@@ -114,8 +500,12 @@ exports.updateVote = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Not authorized to update this vote`, 401));
   }
 
-  // Get the proposal
-  const proposal = await Proposal.findById(vote.proposal);
+  // Get the proposal (budget cycle allocations are changed through their cycle)
+  const proposal = vote.proposal && await Proposal.findById(vote.proposal);
+
+  if (!proposal) {
+    return next(new ErrorResponse(`This vote is not on a proposal ballot`, 400));
+  }
 
   // Check if proposal is still in voting stage
   if (proposal.status !== 'voting') {
@@ -124,19 +514,66 @@ exports.updateVote = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Update the proposal vote count (decrement old vote type, increment new vote type)
-  proposal.voteCount[vote.vote] -= 1;
-  proposal.voteCount[req.body.vote] += 1;
-  await proposal.save();
+  const windowError = checkVotingWindow(proposal);
+  if (windowError) {
+    return next(new ErrorResponse(windowError, 400));
+  }
 
-  // Update vote
-  vote = await Vote.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  const changeError = voteChanges.checkChange(proposal);
+  if (changeError) {
+    return next(new ErrorResponse(changeError, 400));
+  }
+
+  const { ballot, error } = parseBallot(proposal, req.body);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const session = await mongoose.startSession();
+  let updated;
+
+  try {
+    await session.withTransaction(async () => {
+      // Re-read inside the transaction: if another request changes this vote at the
+      // same time, the transaction retries against its result rather than moving
+      // the count from a stale choice
+      updated = await Vote.findById(vote._id).session(session);
+
+      // Withdrawn by another request since it was first read
+      if (!updated) {
+        throw new ErrorResponse(`No vote with the id of ${req.params.id}`, 404);
+      }
+
+      // Move the count from the old choice to the new one
+      const inc = {};
+      if (updated.vote) inc[`voteCount.${updated.vote}`] = -1;
+      if (ballot.vote) inc[`voteCount.${ballot.vote}`] = (inc[`voteCount.${ballot.vote}`] || 0) + 1;
+      Object.keys(inc).forEach(key => {
+        if (inc[key] === 0) delete inc[key];
+      });
+
+      if (Object.keys(inc).length > 0) {
+        await Proposal.updateOne({ _id: proposal._id }, { $inc: inc }, { session });
+      }
+
+      // Keep the replaced ballot in the vote's history rather than overwriting it
+      const now = new Date();
+      updated.history.push(voteChanges.snapshot(updated, now));
+      updated.set({ ...EMPTY_BALLOT, ...ballot, reason: req.body.reason, updatedAt: now });
+
+      // The old leaf stays in the tree, cancelled by a supersession record, and
+      // the changed ballot gets a new leaf and receipt, saved with the vote
+      if (updated.receipt && updated.receipt.ballotHash) {
+        await receipts.supersede(proposal._id, updated.receipt.ballotHash, { session });
+      }
+      await receipts.issue(updated, { session });
+    });
+  } finally {
+    session.endSession();
+  }
 
   res.status(200).json({
     success: true,
-    data: vote
+    data: updated
   });
 });
\ No newline at end of file
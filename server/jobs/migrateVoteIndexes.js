@@ -0,0 +1,44 @@
+// server/jobs/migrateVoteIndexes.js
+// Budget cycle votes have no proposal, so the old unique proposal_1_user_1 index
+// on votes treats them all as the same proposal and rejects a voter's second
+// cycle. This drops that index and builds the partial ones the Vote model
+// declares. Run once after upgrading, before opening a budget cycle:
+//   node server/jobs/migrateVoteIndexes.js
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+
+const LEGACY_INDEXES = ['proposal_1_user_1', 'budgetCycle_1_user_1'];
+
+/**
+ * Drop the legacy vote indexes and create the current ones
+ * @returns {Promise<Object>} { dropped } names of the indexes removed
+ */
+exports.run = async () => {
+  const indexes = await Vote.collection.indexes();
+  const dropped = [];
+
+  for (const index of indexes) {
+    if (LEGACY_INDEXES.includes(index.name)) {
+      await Vote.collection.dropIndex(index.name);
+      dropped.push(index.name);
+    }
+  }
+
+  await Vote.createIndexes();
+
+  return { dropped };
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => exports.run())
+    .then((result) => {
+      console.log(`Dropped ${result.dropped.length} legacy vote indexes${result.dropped.length ? `: ${result.dropped.join(', ')}` : ''}`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,41 @@
+// server/jobs/migrateVotingDeadline.js
+// Moves the old single votingDeadline field onto the voting window
+// (votingEndsAt), so the voting scheduler closes ballots that were opened with a
+// deadline. A proposal that already has a votingEndsAt keeps it. Run once after
+// upgrading:
+//   node server/jobs/migrateVotingDeadline.js
+const mongoose = require('mongoose');
+const Proposal = require('../models/Proposal');
+
+/**
+ * Rename votingDeadline to votingEndsAt and drop the leftovers
+ * @returns {Promise<Object>} { moved, removed }
+ */
+exports.run = async () => {
+  // votingDeadline is no longer in the schema, so go through the driver
+  const moved = await Proposal.collection.updateMany(
+    { votingDeadline: { $ne: null }, votingEndsAt: null },
+    { $rename: { votingDeadline: 'votingEndsAt' } }
+  );
+
+  const removed = await Proposal.collection.updateMany(
+    { votingDeadline: { $exists: true } },
+    { $unset: { votingDeadline: '' } }
+  );
+
+  return { moved: moved.modifiedCount, removed: removed.modifiedCount };
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => exports.run())
+    .then((result) => {
+      console.log(`Moved ${result.moved} voting deadlines, removed ${result.removed} superseded ones`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,90 @@
+// server/jobs/rebuildCommentThreads.js
+// Recomputes each comment's depth, count of visible replies and controversy,
+// which paging through threads relies on (services/commentThreads.js). Run it
+// once for comments posted before those fields existed, or to repair counts that
+// drifted:
+//   node server/jobs/rebuildCommentThreads.js
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const threads = require('../services/commentThreads');
+
+/**
+ * Rebuild thread fields one proposal at a time
+ * @returns {Promise<Object>} { proposals, comments, updated }
+ */
+exports.run = async () => {
+  const proposalIds = await Comment.distinct('proposal');
+  const result = { proposals: proposalIds.length, comments: 0, updated: 0 };
+
+  for (const proposalId of proposalIds) {
+    const comments = await Comment.find({ proposal: proposalId })
+      .select('parentComment isHidden depth replyCount likes controversy')
+      .lean();
+    const byId = new Map(comments.map(comment => [comment._id.toString(), comment]));
+
+    const replyCounts = new Map();
+    comments.forEach(comment => {
+      if (comment.parentComment && !comment.isHidden) {
+        const parentId = comment.parentComment.toString();
+        replyCounts.set(parentId, (replyCounts.get(parentId) || 0) + 1);
+      }
+    });
+
+    // Walk up to the top-level comment; a reply whose parent was deleted counts from there
+    const depthOf = (comment) => {
+      let depth = 0;
+      let parent = comment.parentComment && byId.get(comment.parentComment.toString());
+      const seen = new Set();
+
+      while (parent && !seen.has(parent)) {
+        seen.add(parent);
+        depth += 1;
+        parent = parent.parentComment && byId.get(parent.parentComment.toString());
+      }
+
+      return depth;
+    };
+
+    const updates = [];
+    comments.forEach(comment => {
+      const depth = depthOf(comment);
+      const replyCount = replyCounts.get(comment._id.toString()) || 0;
+      const likes = comment.likes || 0;
+      const controversy = threads.controversyOf({ replyCount, likes });
+
+      if (
+        comment.depth !== depth ||
+        comment.replyCount !== replyCount ||
+        comment.likes !== likes ||
+        comment.controversy !== controversy
+      ) {
+        updates.push({
+          updateOne: { filter: { _id: comment._id }, update: { depth, replyCount, likes, controversy } }
+        });
+      }
+    });
+
+    if (updates.length > 0) {
+      await Comment.bulkWrite(updates);
+    }
+
+    result.comments += comments.length;
+    result.updated += updates.length;
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => exports.run())
+    .then((result) => {
+      console.log(`Checked ${result.comments} comments on ${result.proposals} proposals, updated ${result.updated}`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,119 @@
+// server/jobs/reconcileVoteCounts.js
+// Recomputes each proposal's voteCount from its Vote and SecretBallot documents and reports any
+// drift, along with users holding more than one vote on a proposal (left by races
+// before the unique index existed; they stop the index from building).
+// Run this file directly, adding --fix to correct the stored counts:
+//   node server/jobs/reconcileVoteCounts.js [--fix]
+const mongoose = require('mongoose');
+const Proposal = require('../models/Proposal');
+const Vote = require('../models/Vote');
+const SecretBallot = require('../models/SecretBallot');
+
+const CHOICES = ['yes', 'no', 'abstain'];
+
+/**
+ * Compare stored vote counts with the vote records
+ * @param {Object} [options] - { fix: true } to overwrite drifted counts
+ * @returns {Promise<Object>} { checked, drifted: [{ proposal, title, stored, actual }], fixed,
+ *   duplicates: [{ proposal, user, votes }] }
+ */
+exports.run = async ({ fix = false } = {}) => {
+  const countChoices = (Model) => Model.aggregate([
+    { $match: { proposal: { $exists: true }, vote: { $in: CHOICES } } },
+    { $group: { _id: { proposal: '$proposal', vote: '$vote' }, count: { $sum: 1 } } }
+  ]);
+
+  // Open ballots are stored as votes and secret ballots as secret ballots; a
+  // proposal uses one or the other
+  const groups = [...await countChoices(Vote), ...await countChoices(SecretBallot)];
+
+  const actualCounts = new Map();
+  groups.forEach(({ _id, count }) => {
+    const key = _id.proposal.toString();
+    if (!actualCounts.has(key)) actualCounts.set(key, { yes: 0, no: 0, abstain: 0 });
+    actualCounts.get(key)[_id.vote] = count;
+  });
+
+  // Proposals with votes, and any with a stored count but no votes left
+  const proposals = await Proposal.find({
+    $or: [
+      { _id: { $in: [...actualCounts.keys()] } },
+      { 'voteCount.yes': { $ne: 0 } },
+      { 'voteCount.no': { $ne: 0 } },
+      { 'voteCount.abstain': { $ne: 0 } }
+    ]
+  }).select('title voteCount secretBallot votingClosedAt');
+
+  const duplicates = await Vote.aggregate([
+    { $match: { proposal: { $exists: true } } },
+    { $group: { _id: { proposal: '$proposal', user: '$user' }, votes: { $sum: 1 } } },
+    { $match: { votes: { $gt: 1 } } }
+  ]);
+
+  const result = {
+    checked: proposals.length,
+    drifted: [],
+    fixed: 0,
+    duplicates: duplicates.map(({ _id, votes }) => ({
+      proposal: _id.proposal.toString(),
+      user: _id.user.toString(),
+      votes
+    }))
+  };
+
+  for (const proposal of proposals) {
+    // Secret ballots are only counted onto the proposal when they close
+    if (proposal.secretBallot && !proposal.votingClosedAt) continue;
+
+    const actual = actualCounts.get(proposal.id) || { yes: 0, no: 0, abstain: 0 };
+    const stored = {
+      yes: proposal.voteCount.yes,
+      no: proposal.voteCount.no,
+      abstain: proposal.voteCount.abstain
+    };
+
+    if (CHOICES.every(choice => stored[choice] === actual[choice])) continue;
+
+    result.drifted.push({ proposal: proposal.id, title: proposal.title, stored, actual });
+
+    if (fix) {
+      await Proposal.updateOne({ _id: proposal._id }, { voteCount: actual });
+      result.fixed += 1;
+    }
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  const fix = process.argv.includes('--fix');
+
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => exports.run({ fix }))
+    .then((result) => {
+      result.drifted.forEach(({ proposal, title, stored, actual }) => {
+        const diff = CHOICES
+          .filter(choice => stored[choice] !== actual[choice])
+          .map(choice => `${choice} ${stored[choice]} -> ${actual[choice]}`)
+          .join(', ');
+        console.log(`${proposal} "${title}": ${diff}`);
+      });
+      result.duplicates.forEach(({ proposal, user, votes }) => {
+        console.log(`${proposal}: user ${user} has ${votes} votes`);
+      });
+      console.log(
+        `Checked ${result.checked} proposals, ${result.drifted.length} drifted` +
+        (fix ? `, fixed ${result.fixed}` : '') +
+        `; ${result.duplicates.length} duplicate votes to resolve by hand`
+      );
+
+      // Exit non-zero on unfixed drift so this can run as a scheduled check
+      if ((!fix && result.drifted.length > 0) || result.duplicates.length > 0) process.exitCode = 2;
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,134 @@
+// server/jobs/votingScheduler.js
+// Opens and closes ballots and budget cycles when their voting window starts and ends.
+// Call start() when the server boots, or run this file directly (e.g. from cron)
+// to process due ballots once.
+const mongoose = require('mongoose');
+const Proposal = require('../models/Proposal');
+const BudgetCycle = require('../models/BudgetCycle');
+const ballots = require('../services/ballots');
+const budgeting = require('../services/budgeting');
+
+// How often to check for ballots that are due, in milliseconds
+const INTERVAL = parseInt(process.env.VOTING_SCHEDULER_INTERVAL, 10) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Open every ballot whose window has started and close every ballot whose window has ended
+ * @returns {Promise<Object>} { opened, closed, failed } proposal and budget cycle ids
+ */
+exports.runOnce = async () => {
+  const now = new Date();
+  const result = { opened: [], closed: [], failed: [] };
+
+  const toOpen = await Proposal.find({
+    status: 'under_review',
+    votingStartsAt: { $lte: now },
+    $or: [{ votingEndsAt: null }, { votingEndsAt: { $gt: now } }]
+  });
+
+  for (const proposal of toOpen) {
+    try {
+      await ballots.openBallot(proposal);
+      result.opened.push(proposal.id);
+    } catch (error) {
+      // e.g. not enough supporters yet; retried on the next run
+      console.warn(`Could not open ballot for proposal ${proposal.id}: ${error.message}`);
+      result.failed.push(proposal.id);
+    }
+  }
+
+  const toClose = await Proposal.find({
+    status: 'voting',
+    votingEndsAt: { $lte: now }
+  });
+
+  for (const proposal of toClose) {
+    try {
+      await ballots.closeBallot(proposal);
+      result.closed.push(proposal.id);
+    } catch (error) {
+      console.error(`Could not close ballot for proposal ${proposal.id}:`, error);
+      result.failed.push(proposal.id);
+    }
+  }
+
+  const cyclesToOpen = await BudgetCycle.find({
+    status: 'upcoming',
+    votingStartsAt: { $lte: now },
+    votingEndsAt: { $gt: now }
+  });
+
+  for (const cycle of cyclesToOpen) {
+    try {
+      await budgeting.openCycle(cycle);
+      result.opened.push(cycle.id);
+    } catch (error) {
+      console.warn(`Could not open budget cycle ${cycle.id}: ${error.message}`);
+      result.failed.push(cycle.id);
+    }
+  }
+
+  const cyclesToClose = await BudgetCycle.find({
+    status: 'voting',
+    votingEndsAt: { $lte: now }
+  });
+
+  for (const cycle of cyclesToClose) {
+    try {
+      await budgeting.closeCycle(cycle);
+      result.closed.push(cycle.id);
+    } catch (error) {
+      console.error(`Could not close budget cycle ${cycle.id}:`, error);
+      result.failed.push(cycle.id);
+    }
+  }
+
+  return result;
+};
+
+// Skip a run if the previous one is still going
+const tick = async () => {
+  if (running) return;
+
+  running = true;
+  try {
+    await exports.runOnce();
+  } catch (error) {
+    console.error('Voting scheduler run failed:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start checking for due ballots on an interval
+ * @param {number} interval - Milliseconds between runs
+ */
+exports.start = (interval = INTERVAL) => {
+  if (timer) return;
+
+  timer = setInterval(tick, interval);
+  tick();
+};
+
+// Stop the interval started by start()
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => exports.runOnce())
+    .then((result) => {
+      console.log(`Opened ${result.opened.length}, closed ${result.closed.length}, failed ${result.failed.length}`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
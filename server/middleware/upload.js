@@ -0,0 +1,70 @@
+// server/middleware/upload.js
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Document and image types accepted for proposals, implementations and responses,
+// each with the leading bytes a real file of that type starts with. The type a
+// client declares is only trusted once the content agrees with it.
+const FILE_SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF-')],
+  // Word 97-2003 files are OLE compound documents
+  'application/msword': [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+  // .docx files are zip archives
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+  'text/plain': [],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'image/webp': [Buffer.from('RIFF')]
+};
+
+const ALLOWED_MIME_TYPES = Object.keys(FILE_SIGNATURES);
+
+// Whether a file's content matches the type it was uploaded as
+const matchesSignature = ({ mimetype, buffer }) => {
+  // Plain text has no signature; binary content is the giveaway
+  if (mimetype === 'text/plain') {
+    return !buffer.includes(0);
+  }
+
+  if (mimetype === 'image/webp' && buffer.slice(8, 12).toString('latin1') !== 'WEBP') {
+    return false;
+  }
+
+  return FILE_SIGNATURES[mimetype].some(signature =>
+    buffer.length >= signature.length && buffer.slice(0, signature.length).equals(signature)
+  );
+};
+
+const MAX_FILE_UPLOAD = parseInt(process.env.MAX_FILE_UPLOAD, 10) || 10 * 1024 * 1024;
+
+const upload = multer({
+  // Keep the file in memory so it can be hashed before it reaches storage
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_UPLOAD, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ErrorResponse(`File type ${file.mimetype} is not allowed`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single file in the "file" field and turn multer errors into ErrorResponses
+exports.singleFile = (req, res, next) => {
+  upload.single('file')(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Please upload a file smaller than ${MAX_FILE_UPLOAD} bytes`
+        : err.message;
+      return next(new ErrorResponse(message, 400));
+    }
+    if (err) {
+      return next(err);
+    }
+    if (req.file && !matchesSignature(req.file)) {
+      return next(new ErrorResponse(`File content does not match its type ${req.file.mimetype}`, 400));
+    }
+    next();
+  });
+};
@@ -0,0 +1,32 @@
+// server/models/BallotKey.js
+const mongoose = require('mongoose');
+
+// RSA key that blind-signs ballot tokens for one secret ballot (hex encoded).
+// A key per proposal stops a token issued for one ballot being spent on another.
+const BallotKeySchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true,
+    unique: true
+  },
+  n: {
+    type: String,
+    required: true
+  },
+  e: {
+    type: String,
+    required: true
+  },
+  d: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('BallotKey', BallotKeySchema);
@@ -0,0 +1,48 @@
+// server/models/BallotLeaf.js
+const mongoose = require('mongoose');
+
+// One leaf of a proposal's append-only ballot tree. Every ballot cast or changed
+// adds a leaf, and so does every supersession record; leaves are never changed.
+const BallotLeafSchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  // Salted hash of the ballot, as given on the voter's receipt
+  ballotHash: {
+    type: String,
+    required: true
+  },
+  leafHash: {
+    type: String,
+    required: true
+  },
+  // Set on supersession records only: the ballot hash this record cancels, and
+  // the server's signature over { proposal, supersedes, leafIndex }
+  supersedes: String,
+  signature: String,
+  // Set for open votes only; secret ballot leaves are added at close with no time
+  createdAt: Date
+});
+
+BallotLeafSchema.index({ proposal: 1, index: 1 }, { unique: true });
+BallotLeafSchema.index({ proposal: 1, ballotHash: 1 });
+BallotLeafSchema.index({ proposal: 1, supersedes: 1 }, { sparse: true });
+
+BallotLeafSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  next(new Error('Ballot tree leaves cannot be modified'));
+});
+
+BallotLeafSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ballot tree leaves cannot be modified'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('BallotLeaf', BallotLeafSchema);
@@ -0,0 +1,26 @@
+// server/models/BallotTree.js
+const mongoose = require('mongoose');
+
+// Size of a proposal's ballot tree (services/receipts.js) and where its root was anchored
+const BallotTreeSchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true,
+    unique: true
+  },
+  // Leaf indexes handed out so far
+  size: {
+    type: Number,
+    default: 0
+  },
+  // Root published on-chain when the ballot closed
+  anchor: {
+    root: String,
+    size: Number,
+    transactionHash: String,
+    anchoredAt: Date
+  }
+});
+
+module.exports = mongoose.model('BallotTree', BallotTreeSchema);
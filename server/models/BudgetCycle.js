@@ -0,0 +1,91 @@
+// server/models/BudgetCycle.js
+const mongoose = require('mongoose');
+
+// A participatory budgeting round: citizens allocate a fixed budget across candidate proposals
+const BudgetCycleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  // Total civic budget to allocate; also the cost cap on each citizen's ballot
+  budget: {
+    type: Number,
+    required: [true, 'Please add a budget'],
+    min: [1, 'Budget must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  location: {
+    city: String,
+    region: String
+  },
+  status: {
+    type: String,
+    enum: ['upcoming', 'voting', 'closed'],
+    default: 'upcoming'
+  },
+  // How the funded set is chosen (services/budgeting.js)
+  method: {
+    type: String,
+    enum: ['greedy', 'equal_shares'],
+    default: 'greedy'
+  },
+  votingStartsAt: Date,
+  votingEndsAt: Date,
+  results: {
+    method: String,
+    ballots: Number,
+    funded: [
+      {
+        _id: false,
+        proposal: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Proposal'
+        },
+        cost: Number,
+        votes: Number
+      }
+    ],
+    spent: Number,
+    remaining: Number,
+    computedAt: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BudgetCycleSchema.pre('validate', function(next) {
+  if (this.votingStartsAt && this.votingEndsAt && this.votingEndsAt <= this.votingStartsAt) {
+    this.invalidate('votingEndsAt', 'Voting must end after it starts');
+  }
+
+  next();
+});
+
+// Candidate proposals in this cycle
+BudgetCycleSchema.virtual('proposals', {
+  ref: 'Proposal',
+  localField: '_id',
+  foreignField: 'budgetCycle',
+  justOne: false
+});
+
+BudgetCycleSchema.set('toJSON', { virtuals: true });
+BudgetCycleSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('BudgetCycle', BudgetCycleSchema);
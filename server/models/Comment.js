@@ -22,10 +22,32 @@ const CommentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // Levels below a top-level comment, which is 0 (services/commentThreads.js)
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Direct replies that are not hidden, so threads can be expanded on demand
+  replyCount: {
+    type: Number,
+    default: 0
+  },
   isEdited: {
     type: Boolean,
     default: false
   },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    moderatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    moderatedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -34,6 +56,11 @@ const CommentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Replies per like, kept in step with both counters for the controversial sort
+  controversy: {
+    type: Number,
+    default: 0
+  },
   likedBy: [
     {
       type: mongoose.Schema.ObjectId,
@@ -42,6 +69,14 @@ const CommentSchema = new mongoose.Schema({
   ]
 });
 
+// Full-text search over comment text
+CommentSchema.index({ text: 'text' }, { name: 'CommentTextIndex' });
+
+// Paging a proposal's comments, or a comment's replies, by each sort order
+CommentSchema.index({ proposal: 1, parentComment: 1, _id: -1 });
+CommentSchema.index({ proposal: 1, parentComment: 1, likes: -1, _id: -1 });
+CommentSchema.index({ proposal: 1, parentComment: 1, controversy: -1, _id: -1 });
+
 // Set up virtual field for replies (child comments)
 CommentSchema.virtual('replies', {
   ref: 'Comment',
@@ -0,0 +1,33 @@
+// server/models/Delegation.js
+const mongoose = require('mongoose');
+const Proposal = require('./Proposal');
+
+const DelegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Please choose who to delegate your vote to']
+  },
+  // Proposal category this delegation covers; null delegates every category.
+  // A category delegation takes precedence over the global one.
+  category: {
+    type: String,
+    enum: [...Proposal.schema.path('category').enumValues, null],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One delegation per user per category, and one global delegation
+DelegationSchema.index({ delegator: 1, category: 1 }, { unique: true });
+DelegationSchema.index({ delegate: 1 });
+
+module.exports = mongoose.model('Delegation', DelegationSchema);
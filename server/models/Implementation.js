@@ -61,6 +61,12 @@ const ImplementationSchema = new mongoose.Schema({
       title: String,
       fileUrl: String,
       fileType: String,
+      size: Number,
+      sha256: String,
+      upload: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Upload'
+      },
       uploadDate: {
         type: Date,
         default: Date.now
@@ -42,7 +42,13 @@ const OfficialResponseSchema = new mongoose.Schema({
     {
       title: String,
       fileUrl: String,
-      fileType: String
+      fileType: String,
+      size: Number,
+      sha256: String,
+      upload: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Upload'
+      }
     }
   ],
   isVerified: {
@@ -65,6 +71,12 @@ const OfficialResponseSchema = new mongoose.Schema({
 // Create one official response per proposal
 OfficialResponseSchema.index({ proposal: 1 }, { unique: true });
 
+// Full-text search over the response and its rationale
+OfficialResponseSchema.index(
+  { response: 'text', rationale: 'text' },
+  { weights: { response: 2, rationale: 1 }, name: 'OfficialResponseTextIndex' }
+);
+
 // Update the updatedAt field on save
 OfficialResponseSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,40 @@
+// server/models/Participation.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Day a participation is recorded on; a precise time could be lined up with the
+// order ballots were cast in
+const today = () => {
+  const day = new Date();
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Records that a user took part in a secret ballot (was issued a ballot token),
+// without anything about how they voted. See services/secretBallots.js. Like the
+// ballots, the id is random rather than an ObjectId with its embedded time.
+const ParticipationSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  participatedOn: {
+    type: Date,
+    default: today
+  }
+});
+
+// One ballot token per user per proposal
+ParticipationSchema.index({ proposal: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Participation', ParticipationSchema);
@@ -1,21 +1,26 @@
 // server/models/Proposal.js
 const mongoose = require('mongoose');
 
+// Drafts may be saved incomplete; everything else needs the required fields
+function isSubmitted() {
+  return this.status !== 'draft';
+}
+
 const ProposalSchema = new mongoose.Schema({
   title: {
     type: String,
-    required: [true, 'Please add a title'],
+    required: [isSubmitted, 'Please add a title'],
     trim: true,
     maxlength: [100, 'Title cannot be more than 100 characters']
   },
   description: {
     type: String,
-    required: [true, 'Please add a description'],
+    required: [isSubmitted, 'Please add a description'],
     maxlength: [5000, 'Description cannot be more than 5000 characters']
   },
   category: {
     type: String,
-    required: [true, 'Please select a category'],
+    required: [isSubmitted, 'Please select a category'],
     enum: [
       'Environment',
       'Infrastructure',
@@ -32,7 +37,18 @@ const ProposalSchema = new mongoose.Schema({
   location: {
     city: String,
     region: String,
-    country: String
+    country: String,
+    // GeoJSON Point or Polygon, coordinates in [longitude, latitude] order
+    geometry: {
+      type: {
+        type: String,
+        enum: ['Point', 'Polygon']
+      },
+      coordinates: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined
+      }
+    }
   },
   author: {
     type: mongoose.Schema.ObjectId,
@@ -41,16 +57,86 @@ const ProposalSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'submitted', 'under_review', 'voting', 'approved', 'rejected', 'implemented'],
+    enum: ['draft', 'submitted', 'under_review', 'voting', 'approved', 'rejected', 'implemented', 'withdrawn', 'merged'],
     default: 'submitted'
   },
+  statusHistory: [
+    {
+      from: String,
+      to: String,
+      actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      actorType: {
+        type: String,
+        enum: ['user', 'system'],
+        default: 'user'
+      },
+      reason: String,
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  // Surviving proposal when this one was merged as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal'
+  },
+  supporterCount: {
+    type: Number,
+    default: 0
+  },
   documents: [
     {
       title: String,
       fileUrl: String,
-      fileType: String
+      fileType: String,
+      size: Number,
+      sha256: String,
+      upload: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Upload'
+      }
+    }
+  ],
+  // Expected cost, used when the proposal competes in a budget cycle
+  estimatedCost: {
+    type: Number,
+    min: [0, 'Estimated cost cannot be negative']
+  },
+  budgetCycle: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BudgetCycle'
+  },
+  // How citizens vote: yes/no, or choosing between ballotOptions (services/tabulation.js)
+  ballotType: {
+    type: String,
+    enum: ['binary', 'approval', 'ranked', 'score'],
+    default: 'binary'
+  },
+  ballotOptions: [
+    {
+      title: {
+        type: String,
+        required: [true, 'Please add a title for each ballot option'],
+        trim: true,
+        maxlength: [100, 'Option title cannot be more than 100 characters']
+      },
+      description: {
+        type: String,
+        maxlength: [1000, 'Option description cannot be more than 1000 characters']
+      }
     }
   ],
+  // Highest score a voter can give an option on a score ballot
+  maxScore: {
+    type: Number,
+    default: 5,
+    min: [1, 'Maximum score must be at least 1']
+  },
   voteCount: {
     yes: {
       type: Number,
@@ -73,14 +159,150 @@ const ProposalSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  votingDeadline: Date,
+  draftSavedAt: Date,
+  // Ballot window; the voting scheduler opens and closes the ballot at these times
+  votingStartsAt: Date,
+  votingEndsAt: Date,
+  votingClosedAt: Date,
+  // Overrides for the category's quorum and majority rules (services/votingRules.js)
+  votingRules: {
+    minTurnout: Number,
+    majority: {
+      type: String,
+      enum: ['simple', 'supermajority']
+    },
+    supermajorityThreshold: Number,
+    abstentionsCountTowardQuorum: Boolean
+  },
+  // Secret ballot: who voted and how they voted are stored apart (services/secretBallots.js)
+  secretBallot: {
+    type: Boolean,
+    default: false
+  },
+  // Whether voters may change their vote after casting it (services/voteChanges.js)
+  revotePolicy: {
+    mode: {
+      type: String,
+      enum: ['none', 'unlimited', 'until_cutoff'],
+      default: 'unlimited'
+    },
+    // until_cutoff: changes close this many hours before votingEndsAt
+    cutoffHours: {
+      type: Number,
+      min: [0, 'Cutoff cannot be negative']
+    }
+  },
+  // Who may vote (services/eligibility.js); with no rules set anyone signed in can
+  eligibility: {
+    sameCity: {
+      type: Boolean,
+      default: false
+    },
+    sameRegion: {
+      type: Boolean,
+      default: false
+    },
+    // Voters' home location must fall inside this GeoJSON Polygon or MultiPolygon
+    district: {
+      type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon']
+      },
+      coordinates: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined
+      }
+    },
+    verifiedOnly: {
+      type: Boolean,
+      default: false
+    },
+    minAccountAgeDays: {
+      type: Number,
+      default: 0
+    }
+  },
   implementationDeadline: Date
 });
 
+// Geospatial queries on the proposal location
+ProposalSchema.index({ 'location.geometry': '2dsphere' });
+
+// Full-text search over title and description, weighting title matches higher
+ProposalSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 5, description: 1 }, name: 'ProposalTextIndex' }
+);
+
+// A voting window must end after it starts, and multi-option ballots need options
+ProposalSchema.pre('validate', function(next) {
+  if (this.votingStartsAt && this.votingEndsAt && this.votingEndsAt <= this.votingStartsAt) {
+    this.invalidate('votingEndsAt', 'Voting must end after it starts');
+  }
+
+  if (this.ballotType !== 'binary' && this.status !== 'draft' && this.ballotOptions.length < 2) {
+    this.invalidate('ballotOptions', 'Multi-option ballots need at least two options');
+  }
+
+  next();
+});
+
+// Drafts are private to their author and admins; everything else is public
+ProposalSchema.methods.isVisibleTo = function(user) {
+  if (this.status !== 'draft') {
+    return true;
+  }
+
+  const authorId = (this.author && this.author._id) || this.author;
+  return Boolean(user) && (user.role === 'admin' || String(authorId) === String(user.id));
+};
+
 // Create slug from the title
 ProposalSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Status may only change through the lifecycle service (services/proposalLifecycle.js)
+ProposalSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('status') && !this.$locals.lifecycleTransition) {
+    return next(new Error('Proposal status can only be changed through a lifecycle transition'));
+  }
+
+  this.$locals.lifecycleTransition = false;
+  next();
+});
+
+ProposalSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+
+  if (update.status !== undefined || (update.$set && update.$set.status !== undefined)) {
+    return next(new Error('Proposal status can only be changed through a lifecycle transition'));
+  }
+
+  next();
+});
+
+// Cascade delete comments, votes, supporters, official response and implementation when a proposal is deleted
+ProposalSchema.pre('remove', async function(next) {
+  const implementations = await this.model('Implementation').find({ proposal: this._id });
+
+  await this.model('Milestone').deleteMany({
+    implementation: { $in: implementations.map(implementation => implementation._id) }
+  });
+  await this.model('Implementation').deleteMany({ proposal: this._id });
+  await this.model('OfficialResponse').deleteMany({ proposal: this._id });
+  await this.model('Vote').deleteMany({ proposal: this._id });
+  await this.model('VoteOutcome').deleteMany({ proposal: this._id });
+  await this.model('Comment').deleteMany({ proposal: this._id });
+  await this.model('ProposalRevision').deleteMany({ proposal: this._id });
+  await this.model('Supporter').deleteMany({ proposal: this._id });
+  await this.model('BallotLeaf').deleteMany({ proposal: this._id });
+  await this.model('BallotTree').deleteMany({ proposal: this._id });
+  await this.model('Participation').deleteMany({ proposal: this._id });
+  await this.model('SecretBallot').deleteMany({ proposal: this._id });
+  await this.model('BallotKey').deleteMany({ proposal: this._id });
+  next();
+});
+
 module.exports = mongoose.model('Proposal', ProposalSchema);
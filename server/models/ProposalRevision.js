@@ -0,0 +1,138 @@
+// server/models/ProposalRevision.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Proposal fields captured in every revision
+const REVISION_FIELDS = ['title', 'description', 'category', 'location', 'documents'];
+
+const ProposalRevisionSchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  description: String,
+  category: String,
+  location: {
+    city: String,
+    region: String,
+    country: String,
+    geometry: {
+      type: {
+        type: String
+      },
+      coordinates: [mongoose.Schema.Types.Mixed]
+    }
+  },
+  documents: [
+    {
+      title: String,
+      fileUrl: String,
+      fileType: String,
+      sha256: String
+    }
+  ],
+  editor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the revision content, optionally anchored on IPFS
+  contentHash: {
+    type: String,
+    required: true
+  },
+  ipfsHash: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProposalRevisionSchema.index({ proposal: 1, version: 1 }, { unique: true });
+
+// Revisions are immutable once written
+ProposalRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Proposal revisions cannot be modified'));
+  }
+  next();
+});
+
+ProposalRevisionSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  next(new Error('Proposal revisions cannot be modified'));
+});
+
+// Pick the revisioned fields from a proposal as plain data
+ProposalRevisionSchema.statics.snapshot = function(proposal) {
+  const data = proposal.toObject ? proposal.toObject() : proposal;
+
+  return {
+    title: data.title,
+    description: data.description,
+    category: data.category,
+    location: {
+      city: data.location && data.location.city,
+      region: data.location && data.location.region,
+      country: data.location && data.location.country,
+      geometry: data.location && data.location.geometry && data.location.geometry.type
+        ? { type: data.location.geometry.type, coordinates: data.location.geometry.coordinates }
+        : undefined
+    },
+    documents: (data.documents || []).map(doc => ({
+      title: doc.title,
+      fileUrl: doc.fileUrl,
+      fileType: doc.fileType,
+      sha256: doc.sha256
+    }))
+  };
+};
+
+// Hash a snapshot so anyone can check a revision has not been altered
+ProposalRevisionSchema.statics.hashSnapshot = function(snapshot) {
+  return crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+};
+
+// Concurrent edits can race for the same version number; the loser retries with the next one
+const RECORD_ATTEMPTS = 5;
+
+// Store the proposal's current content as its next revision, skipping no-op edits.
+// anchor(record) may return an IPFS hash to store alongside the revision.
+ProposalRevisionSchema.statics.record = async function(proposal, editor, anchor) {
+  const snapshot = this.snapshot(proposal);
+  const contentHash = this.hashSnapshot(snapshot);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ proposal: proposal._id }).sort('-version');
+
+    if (latest && latest.contentHash === contentHash) {
+      return null;
+    }
+
+    const revision = {
+      ...snapshot,
+      proposal: proposal._id,
+      version: latest ? latest.version + 1 : 1,
+      editor,
+      contentHash
+    };
+
+    if (anchor) {
+      revision.ipfsHash = await anchor(revision);
+    }
+
+    try {
+      return await this.create(revision);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+ProposalRevisionSchema.statics.FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('ProposalRevision', ProposalRevisionSchema);
@@ -0,0 +1,77 @@
+// server/models/RefreshToken.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // All tokens rotated from the same login share a family (one per device)
+  family: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected']
+  },
+  userAgent: String,
+  ipAddress: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RefreshTokenSchema.index({ user: 1, family: 1 });
+
+// Let Mongo clean up tokens once they can no longer be used
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for lookup; only hashes are ever stored
+RefreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a new raw token, store its hash and return the raw value
+RefreshTokenSchema.statics.issue = async function({ user, family, userAgent, ipAddress }) {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  const refreshToken = await this.create({
+    user,
+    family: family || crypto.randomBytes(16).toString('hex'),
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + process.env.REFRESH_TOKEN_EXPIRE * 24 * 60 * 60 * 1000),
+    userAgent,
+    ipAddress
+  });
+
+  return { token, refreshToken };
+};
+
+// Revoke every token in a family, e.g. on logout or when a replay is detected
+RefreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+RefreshTokenSchema.virtual('isActive').get(function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > Date.now();
+});
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,52 @@
+// server/models/SecretBallot.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Ballot content for a secret ballot. Nothing here leads back to the voter: there is
+// no user, no reason and no timestamp, and the id is random rather than an ObjectId
+// (whose embedded time and counter would line up with the Participation record).
+// Insertion order is shuffled away when the ballot closes (services/secretBallots.js).
+const SecretBallotSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  // SHA-256 of the spent ballot token, so each token casts one ballot
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  vote: {
+    type: String,
+    enum: ['yes', 'no', 'abstain']
+  },
+  selections: [
+    {
+      type: mongoose.Schema.ObjectId
+    }
+  ],
+  ranking: [
+    {
+      type: mongoose.Schema.ObjectId
+    }
+  ],
+  scores: [
+    {
+      _id: false,
+      option: mongoose.Schema.ObjectId,
+      score: Number
+    }
+  ],
+  // Salted hash from the voter's receipt (services/receipts.js). Its leaf is added
+  // to the ballot tree when the ballot closes; only the voter holds the salt.
+  ballotHash: String
+});
+
+SecretBallotSchema.index({ proposal: 1, tokenHash: 1 }, { unique: true });
+
+module.exports = mongoose.model('SecretBallot', SecretBallotSchema);
@@ -0,0 +1,47 @@
+// server/models/Supporter.js
+const mongoose = require('mongoose');
+
+// Signatures needed before a submitted proposal goes to review
+const DEFAULT_SUPPORT_THRESHOLD = parseInt(process.env.SUPPORT_THRESHOLD, 10) || 100;
+
+// Per-category overrides, e.g. SUPPORT_THRESHOLDS='{"Infrastructure":500,"Culture":50}'
+// A malformed value falls back to the default for every category rather than
+// stopping the server from booting
+const parseThresholds = (value) => {
+  try {
+    const thresholds = JSON.parse(value || '{}');
+    return thresholds && typeof thresholds === 'object' ? thresholds : {};
+  } catch (err) {
+    console.error(`Ignoring invalid SUPPORT_THRESHOLDS: ${err.message}`);
+    return {};
+  }
+};
+
+const CATEGORY_SUPPORT_THRESHOLDS = parseThresholds(process.env.SUPPORT_THRESHOLDS);
+
+const SupporterSchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One signature per user per proposal
+SupporterSchema.index({ proposal: 1, user: 1 }, { unique: true });
+
+// Number of signatures a proposal in this category needs to reach review
+SupporterSchema.statics.thresholdFor = function(category) {
+  return CATEGORY_SUPPORT_THRESHOLDS[category] || DEFAULT_SUPPORT_THRESHOLD;
+};
+
+module.exports = mongoose.model('Supporter', SupporterSchema);
@@ -0,0 +1,45 @@
+// server/models/Upload.js
+const mongoose = require('mongoose');
+
+const UploadSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file contents, so anyone can check a download is unaltered
+  sha256: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UploadSchema.virtual('url').get(function() {
+  return `/api/v1/uploads/${this._id}/file`;
+});
+
+UploadSchema.set('toJSON', { virtuals: true });
+UploadSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Upload', UploadSchema);
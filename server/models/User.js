@@ -1,4 +1,5 @@
 // server/models/User.js
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
@@ -23,31 +24,115 @@ const UserSchema = new mongoose.Schema({
   location: {
     city: String,
     region: String,
-    country: String
+    country: String,
+    // Home location as a GeoJSON Point, checked against voting districts. Set by
+    // the user at registration or in their profile and not verified.
+    geometry: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
   },
   verified: {
     type: Boolean,
     default: false
   },
+  role: {
+    type: String,
+    enum: ['citizen', 'official', 'department_admin', 'moderator', 'admin'],
+    default: 'citizen'
+  },
+  wallets: [
+    {
+      address: {
+        type: String,
+        lowercase: true,
+        match: [/^0x[a-f0-9]{40}$/, 'Please provide a valid wallet address']
+      },
+      chainId: Number,
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  department: String,
+  position: String,
   profilePicture: String,
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  verifyEmailToken: {
+    type: String,
+    select: false
+  },
+  verifyEmailExpire: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted TOTP step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Invalid codes since the last accepted one; reaching the limit locks 2FA
+    // logins until lockedUntil and voids pending login tokens issued before it
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lockedUntil: Date,
+    enabledAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// A wallet address can only be linked to one user
+UserSchema.index({ 'wallets.address': 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
+// Sign short-lived access JWT bound to a session (refresh token family) and return
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE
   });
 };
@@ -57,4 +142,86 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Roles that must use two-factor authentication, e.g. "official,department_admin,admin"
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'official,department_admin,admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Check whether the 2FA policy applies to this user's role
+UserSchema.methods.isTwoFactorRequired = function() {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+// Sign a short-lived token for an unfinished login (2FA verification or enrollment)
+UserSchema.methods.getPendingLoginToken = function(purpose) {
+  return jwt.sign({ id: this._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Whether too many invalid codes have locked two-factor logins
+UserSchema.methods.isTwoFactorLocked = function() {
+  return Boolean(this.twoFactor && this.twoFactor.lockedUntil && this.twoFactor.lockedUntil > Date.now());
+};
+
+// Generate recovery codes, store their hashes and return the raw values
+UserSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () =>
+    crypto.randomBytes(5).toString('hex')
+  );
+
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code if it matches one of the stored hashes
+UserSchema.methods.useRecoveryCode = function(code) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Generate a single-use token, store its hash and return the raw value
+const generateToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+  const hash = crypto.createHash('sha256').update(token).digest('hex');
+
+  return { token, hash };
+};
+
+// Generate and hash password reset token
+UserSchema.methods.getResetPasswordToken = function() {
+  const { token, hash } = generateToken();
+
+  this.resetPasswordToken = hash;
+  // Valid for 10 minutes
+  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+
+  return token;
+};
+
+// Generate and hash email verification token
+UserSchema.methods.getEmailVerificationToken = function() {
+  const { token, hash } = generateToken();
+
+  this.verifyEmailToken = hash;
+  // Valid for 24 hours
+  this.verifyEmailExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
 module.exports = mongoose.model('User', UserSchema);
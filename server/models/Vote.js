@@ -2,32 +2,103 @@
 const mongoose = require('mongoose');
 
 const VoteSchema = new mongoose.Schema({
+  // A vote is either on a single proposal or an allocation ballot in a budget cycle
   proposal: {
     type: mongoose.Schema.ObjectId,
     ref: 'Proposal',
-    required: true
+    required: [function() { return !this.budgetCycle; }, 'Please specify a proposal']
+  },
+  budgetCycle: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BudgetCycle'
   },
+  // Allocation ballots: the candidate proposals the voter funds, within the cycle budget
+  allocation: [
+    {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Proposal'
+    }
+  ],
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
     required: true
   },
+  // Binary ballots, and blank ('abstain') ballots of any type
   vote: {
     type: String,
-    enum: ['yes', 'no', 'abstain'],
-    required: true
+    enum: ['yes', 'no', 'abstain']
   },
+  // Approval ballots: every option the voter approves of
+  selections: [
+    {
+      type: mongoose.Schema.ObjectId
+    }
+  ],
+  // Ranked ballots: options in order of preference, most preferred first
+  ranking: [
+    {
+      type: mongoose.Schema.ObjectId
+    }
+  ],
+  // Score ballots: a score for each option the voter rated
+  scores: [
+    {
+      _id: false,
+      option: mongoose.Schema.ObjectId,
+      score: Number
+    }
+  ],
   reason: {
     type: String,
     maxlength: [500, 'Reason cannot be more than 500 characters']
   },
+  // Signed receipt for the ballot as last cast (services/receipts.js)
+  receipt: {
+    ballotHash: String,
+    salt: String,
+    leafIndex: Number,
+    issuedAt: Date,
+    keyId: String,
+    signature: String
+  },
+  // Earlier ballots this vote replaced, oldest first (services/voteChanges.js)
+  history: [
+    {
+      _id: false,
+      vote: String,
+      selections: [mongoose.Schema.ObjectId],
+      ranking: [mongoose.Schema.ObjectId],
+      scores: [
+        {
+          _id: false,
+          option: mongoose.Schema.ObjectId,
+          score: Number
+        }
+      ],
+      reason: String,
+      castAt: Date,
+      replacedAt: Date
+    }
+  ],
   createdAt: {
     type: Date,
     default: Date.now
-  }
+  },
+  // When the vote was last changed
+  updatedAt: Date
 });
 
-// Prevent user from submitting more than one vote per proposal
-VoteSchema.index({ proposal: 1, user: 1 }, { unique: true });
+// Prevent user from submitting more than one vote per proposal or budget cycle.
+// The names differ from the old non-partial proposal_1_user_1 index, which
+// jobs/migrateVoteIndexes.js drops.
+VoteSchema.index(
+  { proposal: 1, user: 1 },
+  { unique: true, partialFilterExpression: { proposal: { $exists: true } }, name: 'proposal_user_unique' }
+);
+VoteSchema.index(
+  { budgetCycle: 1, user: 1 },
+  { unique: true, partialFilterExpression: { budgetCycle: { $exists: true } }, name: 'budgetCycle_user_unique' }
+);
 
 module.exports = mongoose.model('Vote', VoteSchema);
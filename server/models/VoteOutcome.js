@@ -0,0 +1,119 @@
+// server/models/VoteOutcome.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const COUNT_FIELDS = {
+  yes: Number,
+  no: Number,
+  abstain: Number,
+  cast: Number,
+  total: Number
+};
+
+// Certified result of a closed ballot. Written once when the ballot closes.
+const VoteOutcomeSchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+    required: true,
+    unique: true
+  },
+  ballotType: {
+    type: String,
+    default: 'binary'
+  },
+  // Rules as they stood when the ballot closed
+  rules: {
+    minTurnout: Number,
+    majority: String,
+    supermajorityThreshold: Number,
+    abstentionsCountTowardQuorum: Boolean
+  },
+  counts: {
+    yes: Number,
+    no: Number,
+    abstain: Number,
+    cast: Number,
+    total: Number,
+    // The same counts split into ballots cast directly and votes delegated to those voters
+    direct: COUNT_FIELDS,
+    delegated: COUNT_FIELDS
+  },
+  // Multi-option ballots: engine output (per-option results, IRV rounds) and winning option ids
+  tabulation: mongoose.Schema.Types.Mixed,
+  winners: [String],
+  turnout: Number,
+  quorumReached: Boolean,
+  approvalRatio: Number,
+  verdict: {
+    type: String,
+    enum: ['passed', 'failed', 'no_quorum'],
+    required: true
+  },
+  // Root and leaf count of the ballot tree (services/receipts.js) at close, and
+  // the ballots left after its supersession records, which match counts.cast
+  merkleRoot: String,
+  ballotTreeSize: Number,
+  liveBallots: Number,
+  votingStartsAt: Date,
+  votingEndsAt: Date,
+  closedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // SHA-256 over the certified fields, so the record can be checked later
+  certificateHash: String
+});
+
+// Outcomes are a permanent record
+VoteOutcomeSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  next(new Error('Vote outcomes cannot be modified'));
+});
+
+VoteOutcomeSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Vote outcomes cannot be modified'));
+  }
+
+  this.certificateHash = this.model('VoteOutcome').hashOutcome(this);
+  next();
+});
+
+// Hash the certified fields in a fixed order
+VoteOutcomeSchema.statics.hashOutcome = function(outcome) {
+  const { rules, counts } = outcome;
+  const pickCounts = (c) => ({ yes: c.yes, no: c.no, abstain: c.abstain, cast: c.cast, total: c.total });
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      proposal: outcome.proposal.toString(),
+      ballotType: outcome.ballotType,
+      rules: {
+        minTurnout: rules.minTurnout,
+        majority: rules.majority,
+        supermajorityThreshold: rules.supermajorityThreshold,
+        abstentionsCountTowardQuorum: rules.abstentionsCountTowardQuorum
+      },
+      counts: pickCounts(counts),
+      // Outcomes certified before delegation have no split to hash
+      ...(counts.delegated && counts.delegated.total !== undefined && {
+        direct: pickCounts(counts.direct),
+        delegated: pickCounts(counts.delegated)
+      }),
+      tabulation: outcome.tabulation,
+      winners: [...outcome.winners],
+      turnout: outcome.turnout,
+      quorumReached: outcome.quorumReached,
+      approvalRatio: outcome.approvalRatio,
+      verdict: outcome.verdict,
+      // Outcomes certified before vote receipts have no tree
+      ...(outcome.merkleRoot && { merkleRoot: outcome.merkleRoot, ballotTreeSize: outcome.ballotTreeSize }),
+      // Outcomes certified before supersession records have no live count
+      ...(outcome.liveBallots !== undefined && outcome.liveBallots !== null && { liveBallots: outcome.liveBallots }),
+      closedAt: new Date(outcome.closedAt).toISOString()
+    }))
+    .digest('hex');
+};
+
+module.exports = mongoose.model('VoteOutcome', VoteOutcomeSchema);
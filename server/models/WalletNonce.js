@@ -0,0 +1,42 @@
+// server/models/WalletNonce.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const WalletNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Remove nonces once they expire
+WalletNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a new nonce valid for 10 minutes
+WalletNonceSchema.statics.generate = function() {
+  return this.create({
+    nonce: crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+  });
+};
+
+// Atomically mark a nonce as used; resolves to null if unknown, used or expired
+WalletNonceSchema.statics.consume = function(nonce) {
+  return this.findOneAndUpdate(
+    { nonce, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('WalletNonce', WalletNonceSchema);
@@ -0,0 +1,55 @@
+// server/routes/auth.js
+const express = require('express');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getWalletNonce,
+  walletLogin,
+  linkWallet,
+  getWallets,
+  unlinkWallet
+} = require('../controllers/auth');
+
+const { protect, protectPendingLogin } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/register', register);
+router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', protect, logout);
+
+router.post('/forgotpassword', forgotPassword);
+router.put('/resetpassword/:token', resetPassword);
+router.get('/verifyemail/:token', verifyEmail);
+router.post('/resendverification', protect, resendVerification);
+
+router.post('/2fa/setup', protectPendingLogin('2fa_setup'), setupTwoFactor);
+router.post('/2fa/enable', protectPendingLogin('2fa_setup'), enableTwoFactor);
+router.post('/2fa/verify', protectPendingLogin('2fa'), verifyTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+router.get('/wallet/nonce', getWalletNonce);
+router.post('/wallet/login', walletLogin);
+router.post('/wallet/link', protect, linkWallet);
+router.get('/wallets', protect, getWallets);
+router.delete('/wallets/:address', protect, unlinkWallet);
+
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+module.exports = router;
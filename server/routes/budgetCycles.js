@@ -0,0 +1,45 @@
+// server/routes/budgetCycles.js
+const express = require('express');
+const {
+  getBudgetCycles,
+  getBudgetCycle,
+  createBudgetCycle,
+  updateBudgetCycle,
+  addCandidate,
+  removeCandidate,
+  openBudgetCycle,
+  closeBudgetCycle,
+  getBudgetResults,
+  submitAllocation,
+  getMyAllocation
+} = require('../controllers/budgetCycles');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const staff = [protect, authorize('official', 'department_admin', 'admin')];
+
+router
+  .route('/')
+  .get(getBudgetCycles)
+  .post(...staff, createBudgetCycle);
+
+router
+  .route('/:id')
+  .get(getBudgetCycle)
+  .put(...staff, updateBudgetCycle);
+
+router
+  .route('/:id/proposals/:proposalId')
+  .put(...staff, addCandidate)
+  .delete(...staff, removeCandidate);
+
+router.put('/:id/open', ...staff, openBudgetCycle);
+router.put('/:id/close', ...staff, closeBudgetCycle);
+router.get('/:id/results', getBudgetResults);
+
+router.post('/:id/votes', protect, submitAllocation);
+router.get('/:id/votes/me', protect, getMyAllocation);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// server/routes/comments.js
+const express = require('express');
+const {
+  getComments,
+  getReplies,
+  getThread,
+  addComment,
+  updateComment,
+  deleteComment,
+  moderateComment,
+  likeComment
+} = require('../controllers/comments');
+
+const { protect, authorize, identify } = require('../middleware/auth');
+
+// mergeParams lets this router serve /proposals/:proposalId/comments as well
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .get(identify, getComments)
+  .post(protect, addComment);
+
+router
+  .route('/:id')
+  .put(protect, updateComment)
+  .delete(protect, deleteComment);
+
+router.get('/:id/replies', identify, getReplies);
+router.get('/:id/thread', identify, getThread);
+router.put('/:id/moderate', protect, authorize('moderator', 'admin'), moderateComment);
+router.put('/:id/like', protect, likeComment);
+
+module.exports = router;
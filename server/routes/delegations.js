@@ -0,0 +1,20 @@
+// server/routes/delegations.js
+const express = require('express');
+const {
+  getDelegations,
+  setDelegation,
+  removeDelegation
+} = require('../controllers/delegations');
+
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(protect, getDelegations)
+  .post(protect, setDelegation);
+
+router.delete('/:id', protect, removeDelegation);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// server/routes/implementation.js
+const express = require('express');
+const {
+  createImplementation,
+  updateImplementation,
+  addProgressUpdate
+} = require('../controllers/implementation');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// mergeParams lets this router serve /proposals/:proposalId/implementation as well
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+router.use(authorize('official', 'department_admin', 'admin'));
+
+router.route('/').post(createImplementation);
+
+router.route('/:id').put(updateImplementation);
+
+router.route('/:id/progress').post(addProgressUpdate);
+
+module.exports = router;
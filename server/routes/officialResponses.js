@@ -0,0 +1,23 @@
+// server/routes/officialResponses.js
+const express = require('express');
+const {
+  createOfficialResponse,
+  getOfficialResponse,
+  updateOfficialResponse
+} = require('../controllers/officialResponses');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// mergeParams lets this router serve /proposals/:proposalId/official-response as well
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .get(getOfficialResponse)
+  .post(protect, authorize('official', 'department_admin', 'admin'), createOfficialResponse);
+
+router
+  .route('/:id')
+  .put(protect, authorize('official', 'department_admin', 'admin'), updateOfficialResponse);
+
+module.exports = router;
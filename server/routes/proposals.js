@@ -0,0 +1,70 @@
+// server/routes/proposals.js
+const express = require('express');
+const {
+  createProposal,
+  getProposals,
+  getProposal,
+  updateProposal,
+  withdrawProposal,
+  updateProposalStatus,
+  getProposalStatus,
+  getMyDrafts,
+  getSimilarProposals,
+  mergeProposal,
+  saveDraft,
+  setVotingWindow,
+  deleteProposal
+} = require('../controllers/proposals');
+const { getDelegationGraph } = require('../controllers/delegations');
+const { getEligibility, getVoteSwitching } = require('../controllers/votes');
+
+// Include other resource routers
+const commentRouter = require('./comments');
+const officialResponseRouter = require('./officialResponses');
+const implementationRouter = require('./implementation');
+const revisionRouter = require('./revisions');
+const supporterRouter = require('./supporters');
+const receiptRouter = require('./receipts');
+const secretBallotRouter = require('./secretBallots');
+
+const { protect, authorize, identify } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Re-route into other resource routers
+router.use('/:proposalId/comments', commentRouter);
+router.use('/:proposalId/official-response', officialResponseRouter);
+router.use('/:proposalId/implementation', implementationRouter);
+router.use('/:proposalId/revisions', revisionRouter);
+router.use('/:proposalId/supporters', supporterRouter);
+router.use('/:proposalId/receipts', receiptRouter);
+router.use('/:proposalId/secret-ballot', secretBallotRouter);
+
+router
+  .route('/')
+  .get(getProposals)
+  .post(protect, createProposal);
+
+router.get('/drafts', protect, getMyDrafts);
+router.get('/similar', getSimilarProposals);
+
+router
+  .route('/:id')
+  .get(identify, getProposal)
+  .put(protect, updateProposal)
+  .delete(protect, deleteProposal);
+
+router.put('/:id/draft', protect, saveDraft);
+router.put('/:id/withdraw', protect, withdrawProposal);
+router.post('/:id/merge', protect, authorize('moderator', 'admin'), mergeProposal);
+router.get('/:id/delegation-graph', protect, getDelegationGraph);
+router.get('/:proposalId/eligibility', protect, getEligibility);
+router.get('/:proposalId/vote-switching', getVoteSwitching);
+router.put('/:id/voting-window', protect, authorize('official', 'department_admin', 'admin'), setVotingWindow);
+
+router
+  .route('/:id/status')
+  .get(identify, getProposalStatus)
+  .put(protect, updateProposalStatus);
+
+module.exports = router;
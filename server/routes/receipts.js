@@ -0,0 +1,18 @@
+// server/routes/receipts.js
+const express = require('express');
+const {
+  getBallotTree,
+  getLeaves,
+  getInclusionProof,
+  verifyReceipt
+} = require('../controllers/receipts');
+
+// mergeParams lets this router serve /proposals/:proposalId/receipts
+const router = express.Router({ mergeParams: true });
+
+router.get('/', getBallotTree);
+router.get('/leaves', getLeaves);
+router.post('/verify', verifyReceipt);
+router.get('/:ballotHash/proof', getInclusionProof);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// server/routes/revisions.js
+const express = require('express');
+const { getRevisions, getRevisionDiff } = require('../controllers/revisions');
+
+const { identify } = require('../middleware/auth');
+
+// mergeParams lets this router serve /proposals/:proposalId/revisions
+const router = express.Router({ mergeParams: true });
+
+router.route('/').get(identify, getRevisions);
+
+router.route('/:a/diff/:b').get(identify, getRevisionDiff);
+
+module.exports = router;
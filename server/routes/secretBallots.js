@@ -0,0 +1,20 @@
+// server/routes/secretBallots.js
+const express = require('express');
+const {
+  getBallotKey,
+  requestBallotToken,
+  castSecretBallot
+} = require('../controllers/votes');
+
+const { protect } = require('../middleware/auth');
+
+// mergeParams lets this router serve /proposals/:proposalId/secret-ballot
+const router = express.Router({ mergeParams: true });
+
+// Casting is deliberately unauthenticated: the blind-signed token proves the
+// right to vote without saying whose it is
+router.post('/', castSecretBallot);
+router.get('/key', getBallotKey);
+router.post('/token', protect, requestBallotToken);
+
+module.exports = router;
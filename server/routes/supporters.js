@@ -0,0 +1,23 @@
+// server/routes/supporters.js
+const express = require('express');
+const {
+  getSupport,
+  getUserSupport,
+  addSupport,
+  removeSupport
+} = require('../controllers/supporters');
+
+const { protect, identify } = require('../middleware/auth');
+
+// mergeParams lets this router serve /proposals/:proposalId/supporters
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .get(identify, getSupport)
+  .post(protect, addSupport)
+  .delete(protect, removeSupport);
+
+router.get('/me', protect, getUserSupport);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// server/routes/uploads.js
+const express = require('express');
+const { createUpload, getUpload, downloadUpload } = require('../controllers/uploads');
+
+const { protect } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
+
+const router = express.Router();
+
+router.route('/').post(protect, singleFile, createUpload);
+
+router.route('/:id').get(getUpload);
+
+router.route('/:id/file').get(downloadUpload);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+// server/services/ballots.js
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const SecretBallot = require('../models/SecretBallot');
+const VoteOutcome = require('../models/VoteOutcome');
+const lifecycle = require('./proposalLifecycle');
+const votingRules = require('./votingRules');
+const tabulation = require('./tabulation');
+const delegation = require('./delegation');
+const receipts = require('./receipts');
+const secretBallots = require('./secretBallots');
+
+// Add a ballot's weight to a set of counts
+const addCount = (counts, choice, weight) => {
+  if (choice === 'abstain') {
+    counts.abstain += weight;
+  } else {
+    // Multi-option ballots have no yes/no value
+    if (choice) counts[choice] += weight;
+    counts.cast += weight;
+  }
+  counts.total += weight;
+};
+
+const emptyCounts = () => ({ yes: 0, no: 0, abstain: 0, cast: 0, total: 0 });
+
+// Every ballot on a proposal with the number of delegated votes its voter carries
+const weighBallots = async (proposal, session) => {
+  // Secret ballots cannot carry delegated votes: that would need to know whose ballot is whose
+  if (proposal.secretBallot) {
+    const secret = await SecretBallot.find({ proposal: proposal._id }).session(session);
+    return secret.map(vote => ({ vote, delegated: 0 }));
+  }
+
+  const votes = await Vote.find({ proposal: proposal._id }).session(session);
+  const weights = await delegation.delegatedWeights(proposal, votes.map(vote => vote.user));
+
+  return votes.map(vote => ({ vote, delegated: weights.get(vote.user.toString()) || 0 }));
+};
+
+const countBallots = (weighed) => {
+  const direct = emptyCounts();
+  const delegated = emptyCounts();
+
+  weighed.forEach(({ vote, delegated: weight }) => {
+    addCount(direct, vote.vote, 1);
+    addCount(delegated, vote.vote, weight);
+  });
+
+  const counts = {};
+  Object.keys(direct).forEach(key => {
+    counts[key] = direct[key] + delegated[key];
+  });
+
+  return { ...counts, direct, delegated };
+};
+
+/**
+ * Count the votes on a proposal from the vote records, including delegated votes
+ * @param {Document} proposal - Proposal document
+ * @param {Object} [options] - { session } to count inside a transaction
+ * @returns {Promise<Object>} { yes, no, abstain, cast, total, direct, delegated } where
+ *   cast is every ballot that made a choice (yes/no, or options on multi-option ballots),
+ *   and direct and delegated split those counts by where the weight came from
+ */
+exports.tally = async (proposal, { session } = {}) =>
+  countBallots(await weighBallots(proposal, session));
+
+/**
+ * Tally a proposal's ballot and apply its voting rules
+ * @param {Document} proposal - Proposal document
+ * @returns {Promise<Object>} { counts, rules, quorum, verdict } plus approvalRatio and
+ *   requiredRatio for binary ballots, or the tabulation for multi-option ballots
+ */
+exports.evaluate = async (proposal) => {
+  const weighed = await weighBallots(proposal);
+  const counts = countBallots(weighed);
+  const rules = votingRules.rulesFor(proposal);
+
+  if (proposal.ballotType === 'binary') {
+    return { counts, rules, ...votingRules.evaluate(rules, counts) };
+  }
+
+  // A delegate's ballot counts once for them and once for each vote they carry
+  const ballots = weighed
+    .filter(({ vote }) => vote.vote !== 'abstain')
+    .flatMap(({ vote, delegated }) => Array(1 + delegated).fill(vote));
+  const results = tabulation.tabulate(proposal, ballots);
+  const quorum = votingRules.evaluateQuorum(rules, counts.cast, counts.abstain);
+
+  // A multi-option ballot passes when quorum is met and a single option wins
+  let verdict = 'failed';
+  if (!quorum.reached) {
+    verdict = 'no_quorum';
+  } else if (results.winners.length === 1) {
+    verdict = 'passed';
+  }
+
+  return { counts, rules, quorum, verdict, tabulation: results };
+};
+
+/**
+ * Open the ballot on a proposal that is under review
+ * @param {Document} proposal - Proposal document
+ * @returns {Promise<Document>} The proposal, now in voting
+ * @throws {ErrorResponse} If the lifecycle blocks the transition
+ */
+exports.openBallot = (proposal) =>
+  lifecycle.transition(proposal, 'voting', {
+    actor: lifecycle.SYSTEM,
+    reason: 'Voting window opened'
+  });
+
+const VERDICT_REASONS = {
+  passed: 'Ballot passed',
+  failed: 'Ballot did not produce a winner',
+  no_quorum: 'Ballot did not reach quorum'
+};
+
+/**
+ * Close the ballot on a proposal: tally it against its quorum and majority rules,
+ * mix a secret ballot, certify the outcome and approve or reject the proposal,
+ * then anchor the ballot tree root on-chain
+ * @param {Document} proposal - Proposal document in voting
+ * @returns {Promise<Object>} { proposal, outcome }
+ */
+exports.closeBallot = async (proposal) => {
+  const result = await exports.evaluate(proposal);
+  const { counts, rules } = result;
+  const closedAt = new Date();
+
+  let outcome;
+  let tree;
+
+  // The outcome is unique per proposal, so it is written with the status change:
+  // a failed transition leaves nothing behind and the next run can close it again
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Secret ballots join the tree only now, in shuffled order
+      if (proposal.secretBallot) {
+        await secretBallots.mix(proposal, { session });
+      }
+      tree = await receipts.treeRoot(proposal._id, { session });
+
+      [outcome] = await VoteOutcome.create([{
+        proposal: proposal._id,
+        ballotType: proposal.ballotType,
+        rules,
+        counts,
+        turnout: result.quorum.counted,
+        quorumReached: result.quorum.reached,
+        approvalRatio: result.approvalRatio,
+        tabulation: result.tabulation,
+        winners: result.tabulation ? result.tabulation.winners : [],
+        verdict: result.verdict,
+        votingStartsAt: proposal.votingStartsAt,
+        votingEndsAt: proposal.votingEndsAt,
+        merkleRoot: tree.root,
+        ballotTreeSize: tree.size,
+        liveBallots: tree.liveBallots,
+        closedAt
+      }], { session });
+
+      // voteCount counts ballots; delegated weight is recorded on the outcome
+      proposal.voteCount = { yes: counts.direct.yes, no: counts.direct.no, abstain: counts.direct.abstain };
+      proposal.votingClosedAt = closedAt;
+
+      proposal.$session(session);
+      await lifecycle.transition(proposal, result.verdict === 'passed' ? 'approved' : 'rejected', {
+        actor: lifecycle.SYSTEM,
+        reason: proposal.ballotType === 'binary'
+          ? `${VERDICT_REASONS[result.verdict]}: ${counts.yes} yes, ${counts.no} no, ${counts.abstain} abstain`
+          : `${VERDICT_REASONS[result.verdict]}: ${counts.cast} ballots, ${counts.abstain} blank`
+      });
+    });
+  } finally {
+    proposal.$session(null);
+    session.endSession();
+  }
+
+  await receipts.anchor(proposal._id, tree);
+
+  return { proposal, outcome };
+};
@@ -0,0 +1,191 @@
+// server/services/budgeting.js
+// Participatory budgeting: knapsack (allocation) ballots counted with a greedy
+// or Method of Equal Shares rule
+const Proposal = require('../models/Proposal');
+const Vote = require('../models/Vote');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Tolerance for floating point comparisons on money
+const EPSILON = 1e-9;
+
+// Count how many ballots include each candidate
+const countVotes = (candidates, ballots) => {
+  const votes = new Map(candidates.map(candidate => [candidate.id, 0]));
+
+  ballots.forEach(ballot => {
+    ballot.forEach(id => {
+      if (votes.has(id)) votes.set(id, votes.get(id) + 1);
+    });
+  });
+
+  return votes;
+};
+
+/**
+ * Greedy: fund the most-voted projects first, skipping any that no longer fit
+ * @param {Object[]} candidates - [{ id, cost }]
+ * @param {string[][]} ballots - Candidate ids chosen on each ballot
+ * @param {number} budget - Budget to allocate
+ * @returns {string[]} Funded candidate ids, in funding order
+ */
+exports.greedy = (candidates, ballots, budget) => {
+  const votes = countVotes(candidates, ballots);
+  let remaining = budget;
+
+  return [...candidates]
+    .filter(candidate => votes.get(candidate.id) > 0)
+    .sort((a, b) => votes.get(b.id) - votes.get(a.id) || a.cost - b.cost)
+    .filter(candidate => {
+      if (candidate.cost > remaining + EPSILON) return false;
+      remaining -= candidate.cost;
+      return true;
+    })
+    .map(candidate => candidate.id);
+};
+
+// Smallest per-supporter payment that covers a cost when each supporter pays at most
+// their remaining share; Infinity if the supporters cannot afford it together
+const paymentLevel = (cost, shares) => {
+  const sorted = [...shares].sort((a, b) => a - b);
+  let remainingCost = cost;
+
+  for (let i = 0; i < sorted.length; i++) {
+    const payers = sorted.length - i;
+    if (sorted[i] * payers >= remainingCost - EPSILON) {
+      return remainingCost / payers;
+    }
+    remainingCost -= sorted[i];
+  }
+
+  return Infinity;
+};
+
+/**
+ * Method of Equal Shares: every voter gets an equal share of the budget and a
+ * project is funded when its supporters can pay for it from their shares.
+ * Each round funds the project needing the lowest payment per supporter.
+ * Shares alone often leave money unspent, so what is left over is then
+ * filled greedily from the remaining projects.
+ * @param {Object[]} candidates - [{ id, cost }]
+ * @param {string[][]} ballots - Candidate ids chosen on each ballot
+ * @param {number} budget - Budget to allocate
+ * @returns {string[]} Funded candidate ids, in funding order
+ */
+exports.equalShares = (candidates, ballots, budget) => {
+  if (ballots.length === 0) {
+    return [];
+  }
+
+  const votes = countVotes(candidates, ballots);
+  const shares = ballots.map(() => budget / ballots.length);
+  const supporters = new Map(candidates.map(candidate => [
+    candidate.id,
+    ballots.map((ballot, voter) => (ballot.includes(candidate.id) ? voter : -1)).filter(voter => voter >= 0)
+  ]));
+
+  const funded = [];
+  let open = candidates.filter(candidate => votes.get(candidate.id) > 0);
+
+  while (open.length > 0) {
+    let best = null;
+    let bestLevel = Infinity;
+
+    open.forEach(candidate => {
+      const level = paymentLevel(candidate.cost, supporters.get(candidate.id).map(voter => shares[voter]));
+      const better = level < bestLevel - EPSILON ||
+        (best && Math.abs(level - bestLevel) <= EPSILON && votes.get(candidate.id) > votes.get(best.id));
+
+      if (better) {
+        best = candidate;
+        bestLevel = level;
+      }
+    });
+
+    if (!best) break;
+
+    supporters.get(best.id).forEach(voter => {
+      shares[voter] -= Math.min(shares[voter], bestLevel);
+    });
+
+    funded.push(best.id);
+    open = open.filter(candidate => candidate !== best);
+  }
+
+  const spent = candidates
+    .filter(candidate => funded.includes(candidate.id))
+    .reduce((sum, candidate) => sum + candidate.cost, 0);
+  const unfunded = candidates.filter(candidate => !funded.includes(candidate.id));
+
+  return [...funded, ...exports.greedy(unfunded, ballots, budget - spent)];
+};
+
+const METHODS = {
+  greedy: exports.greedy,
+  equal_shares: exports.equalShares
+};
+
+/**
+ * Compute a cycle's funded projects from its allocation ballots
+ * @param {Document} cycle - Budget cycle
+ * @returns {Promise<Object>} Results in the shape of BudgetCycle.results
+ */
+exports.computeResults = async (cycle) => {
+  const proposals = await Proposal.find({ budgetCycle: cycle._id }).select('estimatedCost');
+  const ballots = await Vote.find({ budgetCycle: cycle._id }).select('allocation');
+
+  const candidates = proposals.map(proposal => ({ id: proposal.id, cost: proposal.estimatedCost }));
+  const allocations = ballots.map(ballot => ballot.allocation.map(id => id.toString()));
+  const votes = countVotes(candidates, allocations);
+
+  const fundedIds = METHODS[cycle.method](candidates, allocations, cycle.budget);
+  const funded = fundedIds.map(id => {
+    const candidate = candidates.find(c => c.id === id);
+    return { proposal: id, cost: candidate.cost, votes: votes.get(id) };
+  });
+  const spent = funded.reduce((sum, project) => sum + project.cost, 0);
+
+  return {
+    method: cycle.method,
+    ballots: ballots.length,
+    funded,
+    spent,
+    remaining: cycle.budget - spent,
+    computedAt: new Date()
+  };
+};
+
+/**
+ * Open a cycle for voting
+ * @param {Document} cycle - Upcoming budget cycle
+ * @returns {Promise<Document>} The cycle, now in voting
+ * @throws {ErrorResponse} If the cycle has fewer than two candidates
+ */
+exports.openCycle = async (cycle) => {
+  const candidates = await Proposal.countDocuments({ budgetCycle: cycle._id });
+
+  if (candidates < 2) {
+    throw new ErrorResponse('Budget cycle needs at least two candidate proposals', 400);
+  }
+
+  const now = new Date();
+  cycle.status = 'voting';
+  if (!cycle.votingStartsAt || cycle.votingStartsAt > now) {
+    cycle.votingStartsAt = now;
+  }
+  await cycle.save();
+
+  return cycle;
+};
+
+/**
+ * Close a cycle's voting and store its results
+ * @param {Document} cycle - Budget cycle in voting
+ * @returns {Promise<Document>} The closed cycle
+ */
+exports.closeCycle = async (cycle) => {
+  cycle.results = await exports.computeResults(cycle);
+  cycle.status = 'closed';
+  await cycle.save();
+
+  return cycle;
+};
@@ -0,0 +1,137 @@
+// server/services/commentThreads.js
+// Paging through a discussion one level at a time: a proposal's top-level
+// comments, then each comment's replies when they are opened. Pages continue
+// from a cursor rather than a page number, so comments posted in the meantime
+// do not shift later pages.
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+
+// Replies are shown inline this many levels deep before a thread continues on its own
+const MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 5;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Each sort orders by an optional key, then by _id, which increases with creation time
+const SORTS = {
+  newest: { order: -1 },
+  oldest: { order: 1 },
+  most_liked: { key: 'likes', order: -1 },
+  // Drew many replies but few likes
+  controversial: { key: 'controversy', order: -1 }
+};
+
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ value, id: id.toString() })).toString('base64');
+
+// Comments that come after the cursor in the sort order
+const afterCursor = ({ key, order }, cursor) => {
+  const op = order === 1 ? '$gt' : '$lt';
+  const id = mongoose.Types.ObjectId(cursor.id);
+
+  if (!key) {
+    return { _id: { [op]: id } };
+  }
+
+  return {
+    $or: [
+      { [key]: { [op]: cursor.value } },
+      { [key]: cursor.value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// A comment on the last inline level links to its replies as a thread of their own
+const withThreadLink = (comment) => ({
+  ...comment,
+  continueThread: comment.replyCount > 0 && ((comment.depth || 0) + 1) % MAX_DEPTH === 0
+    ? `/api/v1/comments/${comment._id}/thread`
+    : null
+});
+
+exports.MAX_DEPTH = MAX_DEPTH;
+
+/**
+ * Controversy score stored on each comment for the controversial sort
+ * @param {Object} comment - { replyCount, likes }
+ * @returns {number} Replies per like, with one added to likes so unliked comments rank
+ */
+exports.controversyOf = ({ replyCount, likes }) => (replyCount || 0) / ((likes || 0) + 1);
+
+/**
+ * Store a comment's controversy after its reply count or likes changed. Only
+ * written while the counters still match, so when two changes race the one that
+ * saw the latest counters has the last word.
+ * @param {Object} comment - Comment as returned by the update that changed it
+ * @returns {Promise}
+ */
+exports.refreshControversy = (comment) =>
+  comment && Comment.updateOne(
+    { _id: comment._id, replyCount: comment.replyCount, likes: comment.likes },
+    { controversy: exports.controversyOf(comment) }
+  );
+
+exports.SORTS = Object.keys(SORTS);
+
+/**
+ * Read a cursor returned with an earlier page
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} { value, id }, or null if it is not a valid cursor
+ */
+exports.decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+
+    // The value goes straight into the query, so only what encodeCursor writes is
+    // accepted: a sort key's number, or null when sorting by _id alone
+    if (
+      !decoded ||
+      !mongoose.Types.ObjectId.isValid(decoded.id) ||
+      !(decoded.value === null || Number.isFinite(decoded.value))
+    ) {
+      return null;
+    }
+
+    return { value: decoded.value, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * One page of visible comments at a single level of a discussion
+ * @param {Object} filter - { proposal, parentComment } as ObjectIds; parentComment null for top level
+ * @param {Object} options - { sort, cursor (decoded), limit }
+ * @returns {Promise<Object>} { comments, next: cursor for the following page or null, limit }
+ */
+exports.listComments = async (filter, { sort = 'newest', cursor, limit } = {}) => {
+  const { key, order } = SORTS[sort];
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const pipeline = [{ $match: { ...filter, isHidden: { $ne: true } } }];
+
+  if (cursor) {
+    pipeline.push({ $match: afterCursor(SORTS[sort], cursor) });
+  }
+
+  pipeline.push(
+    { $sort: key ? { [key]: order, _id: order } : { _id: order } },
+    // One extra tells us whether there is another page
+    { $limit: size + 1 },
+    // Every liker's id would make popular threads heavy to load
+    { $project: { likedBy: 0 } }
+  );
+
+  const comments = await Comment.aggregate(pipeline);
+  const page = comments.slice(0, size);
+
+  await Comment.populate(page, { path: 'user', select: 'fullName profilePicture' });
+
+  const last = page[page.length - 1];
+
+  return {
+    comments: page.map(withThreadLink),
+    next: comments.length > size ? encodeCursor(key ? last[key] : null, last._id) : null,
+    limit: size
+  };
+};
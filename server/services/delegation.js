@@ -0,0 +1,174 @@
+// server/services/delegation.js
+// Liquid democracy for the off-chain voting API. A user may delegate their vote
+// globally or per proposal category; delegations are followed transitively until
+// they reach someone who voted, and voting directly overrides a user's delegation.
+const Delegation = require('../models/Delegation');
+const Proposal = require('../models/Proposal');
+const eligibility = require('./eligibility');
+
+const CATEGORIES = Proposal.schema.path('category').enumValues;
+
+/**
+ * Build the delegation edges that apply in one category
+ * @param {Object[]} delegations - Delegations in that category or global
+ * @returns {Map<string, string>} delegator id -> delegate id, where a category
+ *   delegation overrides the delegator's global one
+ */
+const buildEdges = (delegations) => {
+  const edges = new Map();
+
+  delegations.forEach(({ delegator, delegate, category }) => {
+    const from = delegator.toString();
+    if (category || !edges.has(from)) edges.set(from, delegate.toString());
+  });
+
+  return edges;
+};
+
+const inCategory = (category) => ({ category: { $in: [category, null] } });
+
+/**
+ * Follow a user's delegation chain to the first user in it who voted
+ * @param {Map<string, string>} edges - Delegation edges for the category
+ * @param {string} from - Delegator id
+ * @param {Set<string>} voters - Ids of users who voted directly
+ * @returns {string|null} Id of the voter carrying the delegated vote; null if
+ *   nobody down the chain voted or the chain loops
+ */
+const follow = (edges, from, voters) => {
+  const seen = new Set([from]);
+  let current = edges.get(from);
+
+  while (current && !seen.has(current)) {
+    if (voters.has(current)) return current;
+    seen.add(current);
+    current = edges.get(current);
+  }
+
+  return null;
+};
+
+// Path from a user back to themselves along the edges, or null if there is none
+const loopFrom = (edges, start) => {
+  const path = [start];
+  let current = edges.get(start);
+
+  while (current && !path.includes(current)) {
+    path.push(current);
+    current = edges.get(current);
+  }
+
+  return current === start ? [...path, start] : null;
+};
+
+// Delegations along every chain starting at the given users, loaded a hop at a
+// time so only the part of the graph a loop could run through is read
+const reachableDelegations = async (start, filter) => {
+  const seen = new Set(start);
+  const found = [];
+  let frontier = start;
+
+  while (frontier.length > 0) {
+    const hop = await Delegation.find({ ...filter, delegator: { $in: frontier } });
+    found.push(...hop);
+
+    frontier = [...new Set(hop.map(d => d.delegate.toString()))].filter(id => !seen.has(id));
+    frontier.forEach(id => seen.add(id));
+  }
+
+  return found;
+};
+
+/**
+ * Check whether a new delegation would close a loop in any category it applies to
+ * @param {Object} delegation - { delegator, delegate, category } being created or replaced
+ * @returns {Promise<Object|null>} { category, path } of user ids for the first loop found
+ */
+exports.findCycle = async ({ delegator, delegate, category = null }) => {
+  const from = delegator.toString();
+  const existing = await reachableDelegations([from, delegate.toString()], category ? inCategory(category) : {});
+  // The new delegation replaces the delegator's current one for the same category
+  const others = existing.filter(d => !(d.delegator.toString() === from && d.category === category));
+  const proposed = { delegator, delegate, category };
+
+  for (const cat of category ? [category] : CATEGORIES) {
+    const applicable = others.filter(d => d.category === cat || d.category === null);
+    const path = loopFrom(buildEdges([...applicable, proposed]), from);
+    if (path) return { category: cat, path };
+  }
+
+  return null;
+};
+
+/**
+ * Count the delegated votes each direct voter on a proposal carries. Delegators
+ * not eligible to vote on the proposal add nothing.
+ * @param {Document} proposal - Proposal being tallied
+ * @param {Array} voterIds - Users who voted directly on the proposal
+ * @returns {Promise<Map<string, number>>} voter id -> number of delegated votes
+ */
+exports.delegatedWeights = async (proposal, voterIds) => {
+  const voters = new Set(voterIds.map(String));
+  const edges = buildEdges(await Delegation.find(inCategory(proposal.category)));
+  // Delegating cannot give a vote to someone who may not vote on the proposal
+  const eligible = await eligibility.eligibleAmong(proposal, [...edges.keys()]);
+  const weights = new Map();
+
+  edges.forEach((delegate, delegator) => {
+    // Voting directly overrides the voter's own delegation
+    if (voters.has(delegator) || (eligible && !eligible.has(delegator))) return;
+
+    const carrier = follow(edges, delegator, voters);
+    if (carrier) weights.set(carrier, (weights.get(carrier) || 0) + 1);
+  });
+
+  return weights;
+};
+
+/**
+ * Describe how delegations resolve on a proposal, for transparency. Choices are
+ * not included, only who delegated to whom and whose ballot carries each vote.
+ * @param {Document} proposal - Proposal
+ * @param {Array} voterIds - Users who voted directly on the proposal
+ * @returns {Promise<Object>} { nodes: [{ user, votedDirectly, delegatedTo, carriedBy, weight, eligible }],
+ *   edges: [{ from, to }] } where eligible is set for delegators
+ */
+exports.graph = async (proposal, voterIds) => {
+  const voters = new Set(voterIds.map(String));
+  const edges = buildEdges(await Delegation.find(inCategory(proposal.category)));
+  const eligible = await eligibility.eligibleAmong(proposal, [...edges.keys()]);
+  const nodes = new Map();
+
+  const node = (id) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        user: id,
+        votedDirectly: voters.has(id),
+        delegatedTo: null,
+        carriedBy: null,
+        weight: voters.has(id) ? 1 : 0
+      });
+    }
+    return nodes.get(id);
+  };
+
+  edges.forEach((delegate, delegator) => {
+    const entry = node(delegator);
+    entry.delegatedTo = delegate;
+    node(delegate);
+
+    entry.eligible = !eligible || eligible.has(delegator);
+    if (entry.votedDirectly || !entry.eligible) return;
+
+    const carrier = follow(edges, delegator, voters);
+    if (carrier) {
+      entry.carriedBy = carrier;
+      node(carrier).weight += 1;
+    }
+  });
+
+  return {
+    nodes: [...nodes.values()],
+    edges: [...edges].map(([from, to]) => ({ from, to }))
+  };
+};
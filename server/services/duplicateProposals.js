@@ -0,0 +1,219 @@
+// server/services/duplicateProposals.js
+const mongoose = require('mongoose');
+const Proposal = require('../models/Proposal');
+const Vote = require('../models/Vote');
+const Participation = require('../models/Participation');
+const Comment = require('../models/Comment');
+const Supporter = require('../models/Supporter');
+const lifecycle = require('./proposalLifecycle');
+const ballots = require('./ballots');
+const eligibility = require('./eligibility');
+const receipts = require('./receipts');
+const ErrorResponse = require('../utils/errorResponse');
+const { tokenize, tfidfScores } = require('../utils/similarity');
+
+// Proposals scoring at least this much are reported as likely duplicates
+const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.3;
+
+// Upper bound on proposals compared per request
+const MAX_CANDIDATES = 500;
+
+// Statuses a proposal can still be supported or merged into in
+const OPEN_STATUSES = ['submitted', 'under_review', 'voting'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Title terms are counted twice so a matching title outweighs a long description
+const proposalTerms = ({ title, description }) => [
+  ...tokenize(title),
+  ...tokenize(title),
+  ...tokenize(description)
+];
+
+/**
+ * Find open proposals in the same category and city that read like the given one
+ * @param {Object} proposal - { title, description, category, location: { city } }
+ * @param {Object} options - { exclude: proposal id to skip, limit, minScore }
+ * @returns {Promise<Object[]>} [{ proposal, score }] best match first
+ */
+exports.findSimilar = async (proposal, { exclude, limit = 5, minScore = SIMILARITY_THRESHOLD } = {}) => {
+  const queryTerms = proposalTerms(proposal);
+
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const filter = { status: { $in: OPEN_STATUSES } };
+
+  if (exclude) {
+    filter._id = { $ne: exclude };
+  }
+
+  if (proposal.category) {
+    filter.category = proposal.category;
+  }
+
+  const city = proposal.location && proposal.location.city;
+  if (city) {
+    filter['location.city'] = new RegExp(`^${escapeRegExp(city.trim())}$`, 'i');
+  }
+
+  const candidates = await Proposal.find(filter)
+    .select('title description category location status supporterCount createdAt')
+    .sort('-createdAt')
+    .limit(MAX_CANDIDATES);
+
+  const scores = tfidfScores(queryTerms, candidates.map(proposalTerms));
+
+  return candidates
+    .map((candidate, index) => ({ proposal: candidate, score: scores[index] }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Move one-per-user records (votes, supporters) from source to target,
+// dropping the source's record where the user already has one on the target
+const moveUserRecords = async (Model, source, target, session) => {
+  const existing = await Model.find({ proposal: target._id }).session(session).distinct('user');
+
+  const dropped = await Model.deleteMany({ proposal: source._id, user: { $in: existing } }, { session });
+  const moved = await Model.updateMany({ proposal: source._id }, { proposal: target._id }, { session });
+
+  return { moved: moved.nModified, dropped: dropped.deletedCount };
+};
+
+// Delete the source's votes from users the target's eligibility rules would
+// have turned away, so a merge cannot carry votes past them
+const dropIneligibleVotes = async (source, target, session) => {
+  const voters = await Vote.find({ proposal: source._id }).session(session).distinct('user');
+  const eligible = await eligibility.eligibleAmong(target, voters);
+
+  if (!eligible) return 0;
+
+  const ineligible = voters.filter(user => !eligible.has(user.toString()));
+  if (ineligible.length === 0) return 0;
+
+  const { deletedCount } = await Vote.deleteMany(
+    { proposal: source._id, user: { $in: ineligible } },
+    { session }
+  );
+  return deletedCount;
+};
+
+/**
+ * Merge a duplicate proposal into the surviving one: votes, comments and
+ * supporters move over, counts are recalculated and the duplicate is closed,
+ * all in one transaction. Votes from users not eligible on the target are dropped,
+ * the source's ballots are superseded in its ballot tree and moved votes are
+ * re-issued receipts in the target's.
+ * @param {Document} source - Duplicate proposal
+ * @param {Document} target - Surviving proposal
+ * @param {Object} actor - Moderator or admin performing the merge (req.user)
+ * @returns {Promise<Object>} Counts of moved and dropped records (votes also
+ *   count those dropped as ineligible)
+ * @throws {ErrorResponse} If the proposals cannot be merged
+ */
+exports.merge = async (source, target, actor) => {
+  if (source._id.equals(target._id)) {
+    throw new ErrorResponse('A proposal cannot be merged into itself', 400);
+  }
+
+  if (!lifecycle.isTransitionAllowed(source.status, 'merged')) {
+    throw new ErrorResponse(`Cannot merge a proposal that is ${source.status}`, 400);
+  }
+
+  if (!OPEN_STATUSES.includes(target.status)) {
+    throw new ErrorResponse(`Cannot merge into a proposal that is ${target.status}`, 400);
+  }
+
+  // Secret ballots have no voter to deduplicate against the target's votes
+  if (source.secretBallot || target.secretBallot) {
+    const hasBallots = await Participation.exists({ proposal: { $in: [source._id, target._id] } });
+    if (hasBallots) {
+      throw new ErrorResponse('Proposals with secret ballots cast cannot be merged', 400);
+    }
+  }
+
+  // Multi-option ballots refer to their own proposal's options, so they cannot move
+  const hasVotes = await Vote.exists({ proposal: source._id });
+  if (hasVotes && (source.ballotType !== 'binary' || target.ballotType !== 'binary')) {
+    throw new ErrorResponse('Votes can only be merged between yes/no ballots', 400);
+  }
+
+  let votes;
+  let supporters;
+  let comments;
+
+  // Every move, recount and status change lands together or not at all
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // None of the source's ballots count there after the merge, whether they
+      // move or are dropped, so each is superseded in the source's tree
+      const sourceReceipts = await Vote.find({ proposal: source._id, 'receipt.ballotHash': { $ne: null } })
+        .session(session)
+        .select('receipt.ballotHash');
+      for (const { receipt } of sourceReceipts) {
+        await receipts.supersede(source._id, receipt.ballotHash, { session });
+      }
+
+      const ineligible = await dropIneligibleVotes(source, target, session);
+      const sourceVotes = await Vote.find({ proposal: source._id }).session(session).distinct('_id');
+      votes = { ...(await moveUserRecords(Vote, source, target, session)), ineligible };
+
+      // A receipt hashes its proposal and sits in that proposal's ballot tree, so
+      // each moved vote gets a new receipt and leaf on the target
+      const moved = await Vote.find({ _id: { $in: sourceVotes }, proposal: target._id }).session(session);
+      for (const vote of moved) {
+        await receipts.issue(vote, { session });
+      }
+      supporters = await moveUserRecords(Supporter, source, target, session);
+      comments = await Comment.updateMany(
+        { proposal: source._id },
+        { proposal: target._id },
+        { session }
+      );
+
+      // Recount from the records rather than adding counters, since duplicates were dropped
+      const { yes, no, abstain } = (await ballots.tally(target, { session })).direct;
+
+      target = await Proposal.findByIdAndUpdate(
+        target._id,
+        {
+          voteCount: { yes, no, abstain },
+          supporterCount: await Supporter.countDocuments({ proposal: target._id }).session(session)
+        },
+        { new: true, session }
+      );
+
+      source.$session(session);
+      source.mergedInto = target._id;
+      // Its votes now count on the target
+      source.voteCount = { yes: 0, no: 0, abstain: 0 };
+      await lifecycle.transition(source, 'merged', {
+        actor,
+        reason: `Merged into proposal ${target._id}`
+      });
+
+      // The merged signatures may be enough to send the surviving proposal to review
+      const threshold = Supporter.thresholdFor(target.category);
+      if (target.status === 'submitted' && target.supporterCount >= threshold) {
+        await lifecycle.transition(target, 'under_review', {
+          actor: lifecycle.SYSTEM,
+          reason: `Reached ${threshold} supporters`
+        });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return {
+    proposal: target,
+    votes,
+    supporters,
+    comments: { moved: comments.nModified }
+  };
+};
@@ -0,0 +1,209 @@
+// server/services/eligibility.js
+// Per-proposal voter eligibility: same city or region as the proposal, home
+// location inside a GeoJSON district, verified accounts only, or a minimum
+// account age. Rules left unset do not restrict anyone.
+//
+// A user's city, region and home location are whatever they entered at
+// registration or in their profile; nothing here verifies them, so location
+// rules keep honest users to their area but do not stop someone who lies about
+// where they live.
+const User = require('../models/User');
+const geo = require('../utils/geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameText = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const policyOf = (proposal) => proposal.eligibility || {};
+
+const districtOf = (proposal) => {
+  const { district } = policyOf(proposal);
+  return district && district.type ? { type: district.type, coordinates: district.coordinates } : null;
+};
+
+/**
+ * Whether a proposal restricts who may vote at all
+ * @param {Document} proposal - Proposal
+ * @returns {boolean}
+ */
+exports.hasPolicy = (proposal) => {
+  const policy = policyOf(proposal);
+  return Boolean(
+    policy.sameCity || policy.sameRegion || policy.verifiedOnly || policy.minAccountAgeDays > 0 || districtOf(proposal)
+  );
+};
+
+/**
+ * Validate an eligibility policy before it is saved on a proposal
+ * @param {Object} policy - Policy from the request body
+ * @param {Document} proposal - Proposal it will apply to
+ * @returns {Promise<string|undefined>} Error message, if invalid
+ */
+exports.validatePolicy = async (policy, proposal) => {
+  if (typeof policy !== 'object' || policy === null) {
+    return 'eligibility must be an object';
+  }
+
+  const flags = ['sameCity', 'sameRegion', 'verifiedOnly'];
+  const badFlag = flags.find(flag => policy[flag] !== undefined && typeof policy[flag] !== 'boolean');
+  if (badFlag) {
+    return `${badFlag} must be true or false`;
+  }
+
+  if (policy.minAccountAgeDays !== undefined && !(Number.isInteger(policy.minAccountAgeDays) && policy.minAccountAgeDays >= 0)) {
+    return 'minAccountAgeDays must be a non-negative whole number';
+  }
+
+  const location = proposal.location || {};
+  if (policy.sameCity && !location.city) {
+    return 'The proposal needs a city before voting can be limited to it';
+  }
+  if (policy.sameRegion && !location.region) {
+    return 'The proposal needs a region before voting can be limited to it';
+  }
+
+  if (policy.district) {
+    const { type, coordinates } = policy.district;
+    const polygons = type === 'MultiPolygon' && Array.isArray(coordinates) ? coordinates : [coordinates];
+
+    if (
+      !['Polygon', 'MultiPolygon'].includes(type) ||
+      polygons.length === 0 ||
+      polygons.some(polygon => geo.validateGeometry({ type: 'Polygon', coordinates: polygon }))
+    ) {
+      return 'district must be a GeoJSON Polygon or MultiPolygon of closed rings of [longitude, latitude] positions';
+    }
+
+    // Let MongoDB parse the district the way eligibility checks will, so shapes it
+    // rejects (e.g. self-intersecting rings) fail now rather than on every vote
+    try {
+      await User.exists({ 'location.geometry': { $geoWithin: { $geometry: { type, coordinates } } } });
+    } catch (error) {
+      return `district is not a usable GeoJSON shape: ${error.message}`;
+    }
+  }
+};
+
+/**
+ * Check whether a user may vote on a proposal, rule by rule
+ * @param {Document} proposal - Proposal
+ * @param {Document} user - Voter
+ * @returns {Promise<Object>} { eligible, reasons: [{ rule, passed, message }] } with a
+ *   reason for every rule the proposal sets
+ */
+exports.check = async (proposal, user) => {
+  const policy = policyOf(proposal);
+  const place = proposal.location || {};
+  const home = user.location || {};
+  const reasons = [];
+
+  if (policy.verifiedOnly) {
+    reasons.push({
+      rule: 'verifiedOnly',
+      passed: Boolean(user.verified),
+      message: user.verified
+        ? 'Your account is verified'
+        : 'Only verified users can vote on this proposal'
+    });
+  }
+
+  if (policy.minAccountAgeDays > 0) {
+    const ageDays = Math.floor((Date.now() - new Date(user.createdAt)) / DAY_MS);
+    const passed = ageDays >= policy.minAccountAgeDays;
+    reasons.push({
+      rule: 'minAccountAgeDays',
+      passed,
+      message: passed
+        ? `Your account is at least ${policy.minAccountAgeDays} days old`
+        : `Accounts must be at least ${policy.minAccountAgeDays} days old to vote on this proposal; yours is ${ageDays}`
+    });
+  }
+
+  if (policy.sameCity) {
+    const passed = sameText(home.city, place.city);
+    reasons.push({
+      rule: 'sameCity',
+      passed,
+      message: passed
+        ? `You live in ${place.city}`
+        : home.city
+          ? `Only residents of ${place.city} can vote on this proposal`
+          : `Only residents of ${place.city} can vote; add your city to your profile`
+    });
+  }
+
+  if (policy.sameRegion) {
+    const passed = sameText(home.region, place.region);
+    reasons.push({
+      rule: 'sameRegion',
+      passed,
+      message: passed
+        ? `You live in ${place.region}`
+        : home.region
+          ? `Only residents of ${place.region} can vote on this proposal`
+          : `Only residents of ${place.region} can vote; add your region to your profile`
+    });
+  }
+
+  const district = districtOf(proposal);
+  if (district) {
+    const hasHome = Boolean(home.geometry && home.geometry.coordinates && home.geometry.coordinates.length);
+    const passed = hasHome && Boolean(await User.exists({
+      _id: user._id,
+      'location.geometry': { $geoWithin: { $geometry: district } }
+    }));
+
+    reasons.push({
+      rule: 'district',
+      passed,
+      message: passed
+        ? 'Your home is inside the voting district'
+        : hasHome
+          ? 'Only people living inside the voting district can vote on this proposal'
+          : 'Only people living inside the voting district can vote; add your home location to your profile'
+    });
+  }
+
+  return { eligible: reasons.every(reason => reason.passed), reasons };
+};
+
+/**
+ * Narrow a set of users to those eligible to vote on a proposal
+ * @param {Document} proposal - Proposal
+ * @param {Array} userIds - Candidate user ids
+ * @returns {Promise<Set<string>|null>} Ids of eligible users, or null if the proposal
+ *   has no rules and everyone is eligible
+ */
+exports.eligibleAmong = async (proposal, userIds) => {
+  if (!exports.hasPolicy(proposal)) return null;
+
+  const policy = policyOf(proposal);
+  const place = proposal.location || {};
+  const filter = { _id: { $in: userIds } };
+
+  if (policy.verifiedOnly) {
+    filter.verified = true;
+  }
+  if (policy.minAccountAgeDays > 0) {
+    filter.createdAt = { $lte: new Date(Date.now() - policy.minAccountAgeDays * DAY_MS) };
+  }
+  // Without the proposal's city or region nobody matches, as in check()
+  if ((policy.sameCity && !place.city) || (policy.sameRegion && !place.region)) {
+    return new Set();
+  }
+  if (policy.sameCity) {
+    filter['location.city'] = new RegExp(`^\\s*${escapeRegExp(place.city.trim())}\\s*$`, 'i');
+  }
+  if (policy.sameRegion) {
+    filter['location.region'] = new RegExp(`^\\s*${escapeRegExp(place.region.trim())}\\s*$`, 'i');
+  }
+  const district = districtOf(proposal);
+  if (district) {
+    filter['location.geometry'] = { $geoWithin: { $geometry: district } };
+  }
+
+  const ids = await User.find(filter).distinct('_id');
+  return new Set(ids.map(String));
+};
@@ -0,0 +1,97 @@
+// server/services/mailService.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Transport that appends every message to an in-memory outbox (used in tests)
+ */
+class MemoryTransport {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(message) {
+    this.outbox.push(message);
+    return { id: `memory-${this.outbox.length}` };
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+/**
+ * Transport that writes every message as a JSON file to a local directory
+ */
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(this.directory, `${id}.json`);
+
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { id, filePath };
+  }
+}
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'TransparenCity <no-reply@transparencity.app>';
+    this.transport = MailService.createTransport(process.env.MAIL_TRANSPORT);
+  }
+
+  /**
+   * Create a built-in transport by name
+   * @param {string} name - 'memory' or 'file' (default)
+   * @returns {Object} Transport with an async send(message) method
+   */
+  static createTransport(name) {
+    if (name === 'memory') {
+      return new MemoryTransport();
+    }
+
+    return new FileTransport(process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail'));
+  }
+
+  /**
+   * Replace the active transport (e.g. an SMTP or provider API adapter)
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email through the active transport
+   * @param {Object} options - { to, subject, text, html }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendEmail({ to, subject, text, html }) {
+    const message = {
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+      sentAt: new Date().toISOString()
+    };
+
+    return this.transport.send(message);
+  }
+}
+
+// Create and export singleton
+const mailService = new MailService();
+
+module.exports = mailService;
+module.exports.MemoryTransport = MemoryTransport;
+module.exports.FileTransport = FileTransport;
@@ -0,0 +1,173 @@
+// server/services/proposalLifecycle.js
+const OfficialResponse = require('../models/OfficialResponse');
+const Implementation = require('../models/Implementation');
+const VoteOutcome = require('../models/VoteOutcome');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Minimum number of supporters before a proposal can be put to a vote
+const MIN_SUPPORTERS_FOR_VOTING = parseInt(process.env.MIN_SUPPORTERS_FOR_VOTING, 10) || 0;
+
+const STAFF_ROLES = ['official', 'department_admin', 'admin'];
+
+// Duplicates are closed by merging them into another proposal
+const MERGE = { actors: ['moderator', 'admin'], requiresReason: true };
+
+// Actor that changes status on behalf of the platform (e.g. scheduled jobs)
+const SYSTEM = 'system';
+
+/**
+ * Allowed transitions: from -> to -> rule
+ * Each rule lists who may perform it ('author', a role, or SYSTEM) and an
+ * optional guard(proposal, actor) that resolves to an error message when the
+ * transition is blocked.
+ */
+const TRANSITIONS = {
+  draft: {
+    submitted: { actors: ['author'] },
+    withdrawn: { actors: ['author', 'admin'] }
+  },
+  submitted: {
+    under_review: { actors: [...STAFF_ROLES, 'moderator', SYSTEM] },
+    withdrawn: { actors: ['author', 'admin'] },
+    merged: MERGE
+  },
+  under_review: {
+    voting: {
+      actors: [...STAFF_ROLES, SYSTEM],
+      guard: async (proposal) => {
+        if ((proposal.supporterCount || 0) < MIN_SUPPORTERS_FOR_VOTING) {
+          return `Proposal needs at least ${MIN_SUPPORTERS_FOR_VOTING} supporters before voting`;
+        }
+      }
+    },
+    rejected: { actors: STAFF_ROLES, requiresReason: true },
+    merged: MERGE
+  },
+  voting: {
+    approved: {
+      actors: [...STAFF_ROLES, SYSTEM],
+      guard: async (proposal, actor) => {
+        // The one exception to the official response: the system approving a
+        // proposal whose ballot passed, as certified by its outcome (services/ballots.js)
+        if (actor === SYSTEM) {
+          const outcome = await VoteOutcome.findOne({ proposal: proposal._id, verdict: 'passed' })
+            .session(proposal.$session());
+
+          if (!outcome) {
+            return 'Proposal can only be approved automatically when its ballot passed';
+          }
+          return;
+        }
+
+        const response = await OfficialResponse.findOne({
+          proposal: proposal._id,
+          status: { $in: ['approved', 'partially_approved'] }
+        });
+
+        if (!response) {
+          return 'Proposal needs an approving official response before it can be approved';
+        }
+      }
+    },
+    rejected: { actors: [...STAFF_ROLES, SYSTEM], requiresReason: true },
+    merged: MERGE
+  },
+  approved: {
+    implemented: {
+      actors: STAFF_ROLES,
+      guard: async (proposal) => {
+        const implementation = await Implementation.findOne({
+          proposal: proposal._id,
+          status: 'completed'
+        });
+
+        if (!implementation) {
+          return 'Proposal needs a completed implementation before it can be marked implemented';
+        }
+      }
+    }
+  },
+  rejected: {},
+  implemented: {},
+  withdrawn: {},
+  merged: {}
+};
+
+/**
+ * Get the statuses a proposal can move to next
+ * @param {string} status - Current status
+ * @returns {string[]} Reachable statuses
+ */
+exports.getNextStatuses = (status) => Object.keys(TRANSITIONS[status] || {});
+
+/**
+ * Check whether a transition exists in the table (ignoring actors and guards)
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+exports.isTransitionAllowed = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+
+// Work out which of the rule's actors the user (or system) acts as
+const resolveActor = (proposal, actor, rule) => {
+  if (actor === SYSTEM) {
+    return rule.actors.includes(SYSTEM);
+  }
+
+  if (rule.actors.includes('author') && proposal.author.toString() === actor.id) {
+    return true;
+  }
+
+  return rule.actors.includes(actor.role);
+};
+
+/**
+ * Move a proposal to a new status, enforcing the transition table and guards,
+ * and record the change in the proposal's status history
+ * @param {Document} proposal - Proposal document
+ * @param {string} to - Target status
+ * @param {Object} options - { actor: req.user or SYSTEM, reason }
+ * @returns {Promise<Document>} The saved proposal
+ * @throws {ErrorResponse} If the transition is illegal, unauthorized or blocked
+ */
+exports.transition = async (proposal, to, { actor, reason } = {}) => {
+  const from = proposal.status;
+  const rule = TRANSITIONS[from] && TRANSITIONS[from][to];
+
+  if (!rule) {
+    throw new ErrorResponse(`Cannot move proposal from ${from} to ${to}`, 400);
+  }
+
+  if (!actor || !resolveActor(proposal, actor, rule)) {
+    throw new ErrorResponse(`Not authorized to move proposal from ${from} to ${to}`, 403);
+  }
+
+  if (rule.requiresReason && !reason) {
+    throw new ErrorResponse(`Please provide a reason for moving proposal to ${to}`, 400);
+  }
+
+  if (rule.guard) {
+    const blocked = await rule.guard(proposal, actor);
+    if (blocked) {
+      throw new ErrorResponse(blocked, 400);
+    }
+  }
+
+  proposal.status = to;
+  proposal.statusHistory.push({
+    from,
+    to,
+    actor: actor === SYSTEM ? null : actor.id,
+    actorType: actor === SYSTEM ? SYSTEM : 'user',
+    reason,
+    timestamp: new Date()
+  });
+
+  // Tells the pre-save hook this status change went through the state machine
+  proposal.$locals.lifecycleTransition = true;
+  await proposal.save();
+
+  return proposal;
+};
+
+exports.SYSTEM = SYSTEM;
@@ -0,0 +1,320 @@
+// server/services/receipts.js
+// Vote receipts: every ballot cast is hashed with a random salt, appended to the
+// proposal's Merkle tree and returned to the voter with a server signature. The
+// voter can later fetch an inclusion proof for their ballot hash, and the tree
+// root is anchored on-chain when the ballot closes. Secret ballots join the tree
+// only at close, shuffled, so their leaves carry no order.
+//
+// Leaves are never removed, so a ballot that stops counting (a changed vote, or
+// one moved away by a merge) is cancelled by a signed supersession record later
+// in the same tree. An auditor drops every ballot a record names and is left with
+// exactly the ballots the tally counted (liveBallots).
+const crypto = require('crypto');
+const BallotLeaf = require('../models/BallotLeaf');
+const BallotTree = require('../models/BallotTree');
+const blockchainService = require('./blockchainService');
+const merkle = require('../utils/merkle');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Ed25519 key in PEM form; newlines may be escaped as \n in the environment
+const loadSigningKey = () => {
+  if (process.env.RECEIPT_SIGNING_KEY) {
+    return crypto.createPrivateKey(process.env.RECEIPT_SIGNING_KEY.replace(/\\n/g, '\n'));
+  }
+
+  console.warn('RECEIPT_SIGNING_KEY is not set; vote receipts are signed with a temporary key');
+  return crypto.generateKeyPairSync('ed25519').privateKey;
+};
+
+const SIGNING_KEY = loadSigningKey();
+const PUBLIC_KEY = crypto.createPublicKey(SIGNING_KEY).export({ type: 'spki', format: 'pem' });
+const KEY_ID = sha256(PUBLIC_KEY).slice(0, 16);
+
+/**
+ * Public half of the receipt signing key
+ * @returns {Object} { keyId, publicKey } with the key as SPKI PEM
+ */
+exports.signingKey = () => ({ keyId: KEY_ID, publicKey: PUBLIC_KEY });
+
+/**
+ * Hash a ballot with its salt. Clients recompute this from their ballot and receipt,
+ * so the field order here must not change.
+ * @param {Object} vote - Vote with proposal and ballot fields
+ * @param {string} salt - Hex salt from the receipt
+ * @returns {string} Hex SHA-256
+ */
+exports.hashBallot = (vote, salt) =>
+  sha256(JSON.stringify({
+    proposal: vote.proposal.toString(),
+    vote: vote.vote || null,
+    selections: (vote.selections || []).map(String),
+    ranking: (vote.ranking || []).map(String),
+    scores: (vote.scores || []).map(({ option, score }) => ({ option: option.toString(), score })),
+    salt
+  }));
+
+// The signed part of a receipt; the salt stays out so the signature reveals nothing.
+// Secret ballot receipts have no leaf index or issue time (see issueSealed).
+const signedPayload = (proposalId, receipt) =>
+  JSON.stringify({
+    proposal: proposalId.toString(),
+    ballotHash: receipt.ballotHash,
+    leafIndex: receipt.leafIndex === undefined ? null : receipt.leafIndex,
+    issuedAt: receipt.issuedAt ? new Date(receipt.issuedAt).toISOString() : null
+  });
+
+const sign = (proposalId, receipt) =>
+  crypto.sign(null, Buffer.from(signedPayload(proposalId, receipt)), SIGNING_KEY).toString('base64');
+
+/**
+ * Append a ballot to its proposal's tree and sign a receipt for it. Changing a vote
+ * issues a new receipt; supersede the earlier one first.
+ * @param {Document} vote - Vote just cast or changed
+ * @param {Object} [options] - { session } to issue the receipt inside a transaction;
+ *   { save: false } to hand the receipt back without storing it on the vote
+ * @returns {Promise<Object>} The receipt
+ */
+exports.issue = async (vote, { session, save = true } = {}) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const ballotHash = exports.hashBallot(vote, salt);
+
+  const tree = await BallotTree.findOneAndUpdate(
+    { proposal: vote.proposal },
+    { $inc: { size: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  const leafIndex = tree.size - 1;
+  const issuedAt = new Date();
+  await BallotLeaf.create([{
+    proposal: vote.proposal,
+    index: leafIndex,
+    ballotHash,
+    leafHash: merkle.hashLeaf(ballotHash),
+    createdAt: issuedAt
+  }], { session });
+
+  const receipt = { ballotHash, salt, leafIndex, issuedAt, keyId: KEY_ID };
+  receipt.signature = sign(vote.proposal, receipt);
+
+  if (!save) return receipt;
+
+  vote.receipt = receipt;
+  // A vote read or created in a transaction saves within it
+  await vote.save();
+
+  return vote.receipt;
+};
+
+/**
+ * Sign a receipt for a secret ballot without giving it a place in the tree. A
+ * leaf index or issue time would put the ballot in order next to the voter's
+ * participation record, so the leaf is only added when the ballot closes, in
+ * shuffled order with the others (appendLeaves, services/secretBallots.js).
+ * @param {Object} ballot - Secret ballot with proposal and ballot fields
+ * @returns {Object} The receipt, with leafIndex and issuedAt null
+ */
+exports.issueSealed = (ballot) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const receipt = {
+    ballotHash: exports.hashBallot(ballot, salt),
+    salt,
+    leafIndex: null,
+    issuedAt: null,
+    keyId: KEY_ID
+  };
+  receipt.signature = sign(ballot.proposal, receipt);
+
+  return receipt;
+};
+
+/**
+ * Append ballot hashes to a proposal's tree in the order given, without timestamps
+ * @param {string} proposalId - Proposal id
+ * @param {string[]} ballotHashes - Hashes from sealed receipts
+ * @param {Object} [options] - { session } to append inside a transaction
+ * @returns {Promise<number>} Number of leaves added
+ */
+exports.appendLeaves = async (proposalId, ballotHashes, { session } = {}) => {
+  if (ballotHashes.length === 0) return 0;
+
+  const tree = await BallotTree.findOneAndUpdate(
+    { proposal: proposalId },
+    { $inc: { size: ballotHashes.length } },
+    { new: true, upsert: true, session }
+  );
+
+  const start = tree.size - ballotHashes.length;
+  await BallotLeaf.insertMany(ballotHashes.map((ballotHash, offset) => ({
+    proposal: proposalId,
+    index: start + offset,
+    ballotHash,
+    leafHash: merkle.hashLeaf(ballotHash)
+  })), { session });
+
+  return ballotHashes.length;
+};
+
+// Leaf hash input for a supersession record, so the tree commits to the ballot it cancels
+const supersessionHash = (proposalId, supersedes) =>
+  sha256(JSON.stringify({ proposal: proposalId.toString(), supersedes }));
+
+const signedSupersession = (proposalId, record) =>
+  JSON.stringify({
+    proposal: proposalId.toString(),
+    supersedes: record.supersedes,
+    leafIndex: record.index
+  });
+
+/**
+ * Append a signed record to a proposal's tree saying a ballot no longer counts
+ * @param {string} proposalId - Proposal whose tree holds the ballot
+ * @param {string} ballotHash - Ballot hash from the superseded receipt
+ * @param {Object} [options] - { session } to append inside a transaction
+ * @returns {Promise<Object>} The record: { index, ballotHash, leafHash, supersedes, signature }
+ */
+exports.supersede = async (proposalId, ballotHash, { session } = {}) => {
+  const tree = await BallotTree.findOneAndUpdate(
+    { proposal: proposalId },
+    { $inc: { size: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  const recordHash = supersessionHash(proposalId, ballotHash);
+  const record = {
+    proposal: proposalId,
+    index: tree.size - 1,
+    ballotHash: recordHash,
+    leafHash: merkle.hashLeaf(recordHash),
+    supersedes: ballotHash,
+    createdAt: new Date()
+  };
+  record.signature = crypto
+    .sign(null, Buffer.from(signedSupersession(proposalId, record)), SIGNING_KEY)
+    .toString('base64');
+
+  await BallotLeaf.create([record], { session });
+
+  return record;
+};
+
+/**
+ * Check a receipt's signature against this server's key
+ * @param {string} proposalId - Proposal the receipt is for
+ * @param {Object} receipt - { ballotHash, leafIndex, issuedAt, signature }
+ * @returns {boolean}
+ */
+exports.verifySignature = (proposalId, receipt) => {
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(signedPayload(proposalId, receipt)),
+      crypto.createPublicKey(PUBLIC_KEY),
+      Buffer.from(receipt.signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+const loadLeaves = (proposalId, session) =>
+  BallotLeaf.find({ proposal: proposalId }).sort('index').select('index ballotHash leafHash supersedes').session(session);
+
+// Ballots left once every supersession record and the ballot it names are taken out
+const countLive = (leaves) => {
+  const superseded = leaves.filter(leaf => leaf.supersedes).length;
+  return leaves.length - 2 * superseded;
+};
+
+/**
+ * Current root of a proposal's ballot tree
+ * @param {string} proposalId - Proposal id
+ * @param {Object} [options] - { session } to read inside a transaction
+ * @returns {Promise<Object>} { root, size, liveBallots, anchor }
+ */
+exports.treeRoot = async (proposalId, { session } = {}) => {
+  const leaves = await loadLeaves(proposalId, session);
+  const tree = await BallotTree.findOne({ proposal: proposalId }).session(session);
+
+  return {
+    root: merkle.root(leaves.map(leaf => leaf.leafHash)),
+    size: leaves.length,
+    liveBallots: countLive(leaves),
+    anchor: tree && tree.anchor && tree.anchor.root ? tree.anchor : null
+  };
+};
+
+/**
+ * A page of a proposal's leaves in tree order, for auditors rebuilding the root
+ * and applying supersession records
+ * @param {string} proposalId - Proposal id
+ * @param {Object} [options] - { from: first leaf index, limit }
+ * @returns {Promise<Array>} Leaves: { index, ballotHash, leafHash, supersedes, signature }
+ */
+exports.listLeaves = (proposalId, { from = 0, limit = 1000 } = {}) =>
+  BallotLeaf.find({ proposal: proposalId, index: { $gte: from } })
+    .sort('index')
+    .limit(limit)
+    .select('-_id index ballotHash leafHash supersedes signature');
+
+/**
+ * Inclusion proof for a ballot hash
+ * @param {string} proposalId - Proposal id
+ * @param {string} ballotHash - Ballot hash from a receipt
+ * @returns {Promise<Object|null>} { leafIndex, leafHash, supersededAt, proof, root, size }, or null
+ *   if the hash is not in the tree
+ */
+exports.inclusionProof = async (proposalId, ballotHash) => {
+  const leaves = await loadLeaves(proposalId);
+  const position = leaves.findIndex(leaf => leaf.ballotHash === ballotHash);
+
+  if (position === -1) return null;
+
+  const hashes = leaves.map(leaf => leaf.leafHash);
+
+  const supersession = leaves.find(leaf => leaf.supersedes === ballotHash);
+
+  return {
+    leafIndex: leaves[position].index,
+    leafHash: hashes[position],
+    // Index of the record that cancelled this ballot, if it no longer counts
+    supersededAt: supersession ? supersession.index : null,
+    proof: merkle.proof(hashes, position),
+    root: merkle.root(hashes),
+    size: hashes.length
+  };
+};
+
+/**
+ * Publish a proposal's tree root on-chain through the same verification proofs
+ * official responses use. A failed anchor is logged and left unset rather than
+ * blocking the ballot from closing.
+ * @param {string} proposalId - Proposal id
+ * @param {Object} tree - { root, size, liveBallots } from treeRoot
+ * @returns {Promise<Object|null>} The stored anchor, or null if it failed
+ */
+exports.anchor = async (proposalId, { root, size, liveBallots }) => {
+  if (!root) return null;
+
+  try {
+    const proof = await blockchainService.createVerificationProof({
+      proposalId: proposalId.toString(),
+      merkleRoot: root,
+      ballotTreeSize: size,
+      liveBallots,
+      timestamp: Date.now()
+    });
+
+    const tree = await BallotTree.findOneAndUpdate(
+      { proposal: proposalId },
+      { anchor: { root, size, transactionHash: proof.transactionHash, anchoredAt: new Date() } },
+      { new: true, upsert: true }
+    );
+
+    return tree.anchor;
+  } catch (error) {
+    console.error(`Could not anchor ballot tree for proposal ${proposalId}:`, error);
+    return null;
+  }
+};
@@ -0,0 +1,102 @@
+// server/services/secretBallots.js
+// Secret ballots with blind-signed tokens. A signed-in voter asks for a ballot
+// token: their participation is recorded and the server blind-signs a token it
+// never sees. The voter then casts their ballot in a separate request with no
+// credentials, presenting the unblinded token. The server can check the token is
+// genuine and unspent but cannot tell whose it is, so Participation (who voted)
+// and SecretBallot (what was voted) share nothing that links them.
+//
+// The order things happen in could still link them, so nothing about a ballot is
+// counted or published while voting is open: the client casts at a random time
+// after getting its token, counts stay sealed, and at close the ballots are
+// rewritten and added to the ballot tree in shuffled order (mix).
+const crypto = require('crypto');
+const BallotKey = require('../models/BallotKey');
+const SecretBallot = require('../models/SecretBallot');
+const receipts = require('./receipts');
+const blindSignature = require('../utils/blindSignature');
+
+// Fisher-Yates with a cryptographic source, so the order cannot be reproduced
+const shuffle = (items) => {
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+/**
+ * Get the proposal's token signing key, creating it on first use
+ * @param {string} proposalId - Proposal id
+ * @param {Object} [options] - { withPrivate: true } to include the private exponent
+ * @returns {Promise<Document>} BallotKey with n and e (and d if requested)
+ */
+exports.keyFor = async (proposalId, { withPrivate = false } = {}) => {
+  const select = withPrivate ? '+d' : '';
+  let key = await BallotKey.findOne({ proposal: proposalId }).select(select);
+
+  if (!key) {
+    // Concurrent first requests may each generate a key; only the first is kept
+    const generated = await blindSignature.generateKey();
+    await BallotKey.updateOne(
+      { proposal: proposalId },
+      { $setOnInsert: { proposal: proposalId, ...generated } },
+      { upsert: true }
+    );
+    key = await BallotKey.findOne({ proposal: proposalId }).select(select);
+  }
+
+  return key;
+};
+
+/**
+ * Blind-sign a voter's token
+ * @param {string} proposalId - Proposal id
+ * @param {string} blinded - Blinded token hash, hex
+ * @returns {Promise<string|null>} Blind signature, or null if the value is invalid
+ */
+exports.signToken = async (proposalId, blinded) => {
+  const key = await exports.keyFor(proposalId, { withPrivate: true });
+  return blindSignature.signBlinded(String(blinded || ''), key);
+};
+
+/**
+ * Check a presented ballot token
+ * @param {string} proposalId - Proposal id
+ * @param {string} token - Voter's token
+ * @param {string} signature - Unblinded signature, hex
+ * @returns {Promise<string|null>} Hash of the token to record as spent, or null if invalid
+ */
+exports.checkToken = async (proposalId, token, signature) => {
+  const key = await BallotKey.findOne({ proposal: proposalId });
+
+  if (!key || !blindSignature.verify(token, signature, key)) {
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Mixing step run when a secret ballot closes: rewrite the proposal's ballots in
+ * random order, so their storage order no longer follows the order they were cast
+ * in, and add their receipts' hashes to the ballot tree in that same order
+ * @param {Document} proposal - Proposal being closed
+ * @param {Object} options - { session } of the transaction closing the ballot
+ * @returns {Promise<number>} Number of ballots mixed
+ */
+exports.mix = async (proposal, { session }) => {
+  const ballots = shuffle(await SecretBallot.find({ proposal: proposal._id }).session(session).lean());
+
+  await SecretBallot.deleteMany({ proposal: proposal._id }, { session });
+  await SecretBallot.insertMany(ballots, { session });
+
+  // Ballots cast before receipts were sealed already have their leaves
+  const hashes = ballots.filter(ballot => ballot.ballotHash).map(ballot => ballot.ballotHash);
+  await receipts.appendLeaves(proposal._id, hashes, { session });
+
+  return ballots.length;
+};
@@ -0,0 +1,88 @@
+// server/services/storageService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Backend that keeps files on the local disk
+ */
+class LocalDiskBackend {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  resolve(key) {
+    // Keys are generated by us, but never let one escape the upload directory
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.unlink(this.resolve(key));
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.backend = new LocalDiskBackend(
+      process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads')
+    );
+  }
+
+  /**
+   * Replace the active backend (e.g. an S3 or IPFS adapter)
+   * @param {Object} backend - Object with save(key, buffer), createReadStream(key) and remove(key)
+   */
+  setBackend(backend) {
+    ['save', 'createReadStream', 'remove'].forEach(method => {
+      if (!backend || typeof backend[method] !== 'function') {
+        throw new Error(`Storage backend must implement ${method}()`);
+      }
+    });
+
+    this.backend = backend;
+  }
+
+  /**
+   * Store a file and return its key and SHA-256 content hash
+   * @param {Buffer} buffer - File contents
+   * @param {string} originalName - Name of the uploaded file
+   * @returns {Promise<Object>} { key, sha256, size }
+   */
+  async store(buffer, originalName) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const extension = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const key = `${new Date().toISOString().slice(0, 7)}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+
+    await this.backend.save(key, buffer);
+
+    return { key, sha256, size: buffer.length };
+  }
+
+  createReadStream(key) {
+    return this.backend.createReadStream(key);
+  }
+
+  remove(key) {
+    return this.backend.remove(key);
+  }
+}
+
+// Create and export singleton
+const storageService = new StorageService();
+
+module.exports = storageService;
+module.exports.LocalDiskBackend = LocalDiskBackend;
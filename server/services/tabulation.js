@@ -0,0 +1,165 @@
+// server/services/tabulation.js
+// Tabulation engines for multi-option ballots. Each engine takes the proposal's
+// options and its non-blank ballots and returns per-option results and the winners.
+
+const BALLOT_TYPES = ['binary', 'approval', 'ranked', 'score'];
+
+const optionId = (option) => option._id.toString();
+
+// Options that tie for the highest value of a result field
+const leaders = (results, field) => {
+  const best = Math.max(...results.map(result => result[field]));
+  return best > 0 ? results.filter(result => result[field] === best).map(result => result.option) : [];
+};
+
+/**
+ * Approval voting: each ballot approves any number of options; most approvals wins
+ * @param {Object[]} options - Proposal ballot options
+ * @param {Object[]} ballots - Votes with `selections`
+ * @returns {Object} { results: [{ option, title, approvals }], winners }
+ */
+const approval = (options, ballots) => {
+  const approvals = new Map(options.map(option => [optionId(option), 0]));
+
+  ballots.forEach(ballot => {
+    ballot.selections.forEach(selection => {
+      const id = selection.toString();
+      if (approvals.has(id)) approvals.set(id, approvals.get(id) + 1);
+    });
+  });
+
+  const results = options.map(option => ({
+    option: optionId(option),
+    title: option.title,
+    approvals: approvals.get(optionId(option))
+  }));
+
+  return { results, winners: leaders(results, 'approvals') };
+};
+
+/**
+ * Score voting: each ballot scores every option it rates; highest total wins
+ * @param {Object[]} options - Proposal ballot options
+ * @param {Object[]} ballots - Votes with `scores` [{ option, score }]
+ * @returns {Object} { results: [{ option, title, total, ratings, average }], winners }
+ */
+const score = (options, ballots) => {
+  const totals = new Map(options.map(option => [optionId(option), { total: 0, ratings: 0 }]));
+
+  ballots.forEach(ballot => {
+    ballot.scores.forEach(({ option, score: value }) => {
+      const entry = totals.get(option.toString());
+      if (entry) {
+        entry.total += value;
+        entry.ratings += 1;
+      }
+    });
+  });
+
+  const results = options.map(option => {
+    const { total, ratings } = totals.get(optionId(option));
+    return {
+      option: optionId(option),
+      title: option.title,
+      total,
+      ratings,
+      average: ratings > 0 ? total / ratings : 0
+    };
+  });
+
+  return { results, winners: leaders(results, 'total') };
+};
+
+/**
+ * Instant-runoff voting: count each ballot for its highest-ranked remaining option,
+ * eliminating the weakest option each round until one holds a majority of the
+ * ballots still in play. Ties for last place are broken by the earlier rounds,
+ * then by ballot option order (the later option goes first).
+ * @param {Object[]} options - Proposal ballot options
+ * @param {Object[]} ballots - Votes with `ranking` (option ids, most preferred first)
+ * @returns {Object} { rounds: [{ round, counts, active, exhausted, eliminated }], winners }
+ */
+const ranked = (options, ballots) => {
+  const order = options.map(optionId);
+  const remaining = new Set(order);
+  const rankings = ballots.map(ballot => ballot.ranking.map(id => id.toString()));
+  const rounds = [];
+
+  while (remaining.size > 0) {
+    const counts = new Map([...remaining].map(id => [id, 0]));
+    let exhausted = 0;
+
+    rankings.forEach(ranking => {
+      const choice = ranking.find(id => remaining.has(id));
+      if (choice) {
+        counts.set(choice, counts.get(choice) + 1);
+      } else {
+        exhausted += 1;
+      }
+    });
+
+    const active = rankings.length - exhausted;
+    const round = {
+      round: rounds.length + 1,
+      counts: [...counts].map(([option, votes]) => ({ option, votes })),
+      active,
+      exhausted,
+      eliminated: []
+    };
+    rounds.push(round);
+
+    const top = Math.max(...counts.values());
+
+    if (active === 0) {
+      return { rounds, winners: [] };
+    }
+
+    if (top * 2 > active) {
+      return { rounds, winners: [...counts].filter(([, votes]) => votes === top).map(([id]) => id) };
+    }
+
+    // Everyone left is level: the ballot is tied between them
+    const bottom = Math.min(...counts.values());
+    if (bottom === top) {
+      return { rounds, winners: [...remaining] };
+    }
+
+    // Break ties for last place using earlier rounds, most recent first
+    let tied = [...counts].filter(([, votes]) => votes === bottom).map(([id]) => id);
+    for (let i = rounds.length - 2; i >= 0 && tied.length > 1; i--) {
+      const earlier = new Map(rounds[i].counts.map(({ option, votes }) => [option, votes]));
+      const fewest = Math.min(...tied.map(id => earlier.get(id)));
+      tied = tied.filter(id => earlier.get(id) === fewest);
+    }
+
+    const eliminated = tied.sort((a, b) => order.indexOf(b) - order.indexOf(a))[0];
+    round.eliminated.push(eliminated);
+    remaining.delete(eliminated);
+  }
+
+  return { rounds, winners: [] };
+};
+
+const ENGINES = { approval, score, ranked };
+
+/**
+ * Tabulate the ballots of a multi-option proposal
+ * @param {Document} proposal - Proposal with ballotType and ballotOptions
+ * @param {Object[]} ballots - Its non-blank votes
+ * @returns {Object} Engine output plus { type, ballots }
+ */
+exports.tabulate = (proposal, ballots) => {
+  const engine = ENGINES[proposal.ballotType];
+
+  if (!engine) {
+    throw new Error(`No tabulation engine for ${proposal.ballotType} ballots`);
+  }
+
+  return {
+    type: proposal.ballotType,
+    ballots: ballots.length,
+    ...engine(proposal.ballotOptions, ballots)
+  };
+};
+
+exports.BALLOT_TYPES = BALLOT_TYPES;
@@ -0,0 +1,171 @@
+// server/services/voteChanges.js
+// Changing a cast vote: whether the proposal's re-vote policy still allows it,
+// the history entry kept for each change, and how votes switched over time
+const Vote = require('../models/Vote');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const MODES = ['none', 'unlimited', 'until_cutoff'];
+
+const INTERVAL_MS = {
+  hour: HOUR_MS,
+  day: 24 * HOUR_MS
+};
+
+// Charts switch from hourly to daily buckets once voting has run this long
+const DAILY_AFTER_MS = 7 * 24 * HOUR_MS;
+
+// Proposals scheduled before re-vote policies existed allow unlimited changes
+const policyOf = (proposal) =>
+  (proposal.revotePolicy && proposal.revotePolicy.mode ? proposal.revotePolicy : { mode: 'unlimited' });
+
+// Binary ballots are charted by choice; other ballot types only as cast or blank
+const choiceOf = (ballot, binary) => (binary || ballot.vote === 'abstain' ? ballot.vote : 'options');
+
+exports.INTERVALS = Object.keys(INTERVAL_MS);
+
+/**
+ * Validate a re-vote policy before it is saved on a proposal
+ * @param {Object} policy - Policy from the request body: { mode, cutoffHours }
+ * @param {Object} window - Voting window it will apply to: { startsAt, endsAt }
+ * @returns {string|undefined} Error message, if invalid
+ */
+exports.validatePolicy = (policy, { startsAt, endsAt }) => {
+  if (typeof policy !== 'object' || policy === null) {
+    return 'revotePolicy must be an object';
+  }
+
+  if (!MODES.includes(policy.mode)) {
+    return `revotePolicy mode must be one of ${MODES.join(', ')}`;
+  }
+
+  if (policy.mode === 'until_cutoff') {
+    if (!(typeof policy.cutoffHours === 'number' && policy.cutoffHours > 0)) {
+      return 'cutoffHours must be a positive number of hours before voting closes';
+    }
+
+    if (endsAt.getTime() - policy.cutoffHours * HOUR_MS <= startsAt.getTime()) {
+      return 'The cutoff for changing votes must fall after voting opens';
+    }
+  }
+};
+
+/**
+ * When vote changes close on a proposal
+ * @param {Document} proposal - Proposal
+ * @returns {Date|null} Cutoff, or null if changes follow the voting window
+ */
+exports.cutoffFor = (proposal) => {
+  const policy = policyOf(proposal);
+
+  if (policy.mode !== 'until_cutoff' || !proposal.votingEndsAt) {
+    return null;
+  }
+
+  return new Date(proposal.votingEndsAt.getTime() - policy.cutoffHours * HOUR_MS);
+};
+
+/**
+ * Check whether votes on a proposal can still be changed
+ * @param {Document} proposal - Proposal in voting
+ * @param {Date} now - Time of the change
+ * @returns {string|undefined} Why the vote cannot be changed, if it cannot
+ */
+exports.checkChange = (proposal, now = new Date()) => {
+  // Secret ballots are not linked to their voter, so there is nothing to change
+  if (proposal.secretBallot || policyOf(proposal).mode === 'none') {
+    return 'Votes on this proposal cannot be changed once cast';
+  }
+
+  const cutoff = exports.cutoffFor(proposal);
+  if (cutoff && now >= cutoff) {
+    return `Votes on this proposal could only be changed until ${cutoff.toISOString()}`;
+  }
+};
+
+/**
+ * History entry for a ballot that is about to be replaced
+ * @param {Document} vote - Vote as currently cast
+ * @param {Date} replacedAt - Time of the change
+ * @returns {Object} Entry for vote.history
+ */
+exports.snapshot = (vote, replacedAt) => {
+  const { vote: choice, selections, ranking, scores, reason } = vote.toObject();
+
+  return {
+    vote: choice,
+    selections,
+    ranking,
+    scores,
+    reason,
+    castAt: vote.updatedAt || vote.createdAt,
+    replacedAt
+  };
+};
+
+/**
+ * Ballots cast and changed on a proposal per time bucket, with the choices
+ * voters switched between
+ * @param {Document} proposal - Proposal
+ * @param {string} interval - 'hour' or 'day'; picked from the voting window when omitted
+ * @returns {Promise<Object>} { interval, buckets: [{ start, cast, changes, transitions }], totals }
+ */
+exports.switchingTimeline = async (proposal, interval) => {
+  const votes = await Vote.find({ proposal: proposal._id }).select('vote createdAt history').lean();
+
+  if (!interval) {
+    const firstVote = votes.reduce((first, vote) => Math.min(first, vote.createdAt.getTime()), Date.now());
+    const startsAt = proposal.votingStartsAt ? proposal.votingStartsAt.getTime() : firstVote;
+    const endsAt = Math.min(Date.now(), proposal.votingEndsAt ? proposal.votingEndsAt.getTime() : Infinity);
+    interval = endsAt - startsAt > DAILY_AFTER_MS ? 'day' : 'hour';
+  }
+
+  const size = INTERVAL_MS[interval];
+  const binary = proposal.ballotType === 'binary';
+  const buckets = new Map();
+
+  const bucketAt = (date) => {
+    const start = Math.floor(date.getTime() / size) * size;
+
+    if (!buckets.has(start)) {
+      buckets.set(start, { start: new Date(start), cast: 0, changes: 0, transitions: {} });
+    }
+
+    return buckets.get(start);
+  };
+
+  const totals = { cast: votes.length, changes: 0, voters: 0 };
+
+  votes.forEach(vote => {
+    bucketAt(vote.createdAt).cast += 1;
+
+    const history = vote.history || [];
+    if (history.length > 0) totals.voters += 1;
+
+    // Each entry was replaced by the next one, and the last by the current ballot
+    history.forEach((entry, i) => {
+      const next = history[i + 1] || vote;
+      const transition = `${choiceOf(entry, binary)}->${choiceOf(next, binary)}`;
+      const bucket = bucketAt(entry.replacedAt);
+
+      bucket.changes += 1;
+      bucket.transitions[transition] = (bucket.transitions[transition] || 0) + 1;
+      totals.changes += 1;
+    });
+  });
+
+  // Fill the quiet buckets in between so the chart has an even time axis
+  const starts = [...buckets.keys()];
+  if (starts.length > 0) {
+    const last = Math.max(...starts);
+    for (let start = Math.min(...starts); start < last; start += size) {
+      bucketAt(new Date(start));
+    }
+  }
+
+  return {
+    interval,
+    buckets: [...buckets.values()].sort((a, b) => a.start - b.start),
+    totals
+  };
+};
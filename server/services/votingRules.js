@@ -0,0 +1,122 @@
+// server/services/votingRules.js
+// Quorum and approval-threshold rules that decide whether a ballot passed
+
+const DEFAULT_RULES = {
+  // Ballots needed for the result to count
+  minTurnout: parseInt(process.env.VOTING_MIN_TURNOUT, 10) || 0,
+  // 'simple': more yes than no; 'supermajority': yes share of yes+no must reach supermajorityThreshold
+  majority: 'simple',
+  supermajorityThreshold: 2 / 3,
+  abstentionsCountTowardQuorum: true
+};
+
+// Per-category overrides, e.g. VOTING_RULES='{"Economy":{"majority":"supermajority","minTurnout":200}}'
+const CATEGORY_RULES = JSON.parse(process.env.VOTING_RULES || '{}');
+
+const RULE_FIELDS = Object.keys(DEFAULT_RULES);
+
+// Keep only rule fields that were actually set
+const pickRules = (rules) => {
+  const picked = {};
+
+  RULE_FIELDS.forEach(field => {
+    if (rules && rules[field] !== undefined && rules[field] !== null) {
+      picked[field] = rules[field];
+    }
+  });
+
+  return picked;
+};
+
+/**
+ * Resolve the rules for a proposal: defaults, then its category, then its own overrides
+ * @param {Document} proposal - Proposal document
+ * @returns {Object} Complete rule set
+ */
+exports.rulesFor = (proposal) => ({
+  ...DEFAULT_RULES,
+  ...pickRules(CATEGORY_RULES[proposal.category]),
+  ...pickRules(proposal.votingRules)
+});
+
+/**
+ * Check turnout against the quorum
+ * @param {Object} rules - Rules from rulesFor()
+ * @param {number} cast - Ballots that expressed a choice
+ * @param {number} abstain - Blank ballots
+ * @returns {Object} { required, counted, progress, reached }
+ */
+exports.evaluateQuorum = (rules, cast, abstain) => {
+  const turnout = rules.abstentionsCountTowardQuorum ? cast + abstain : cast;
+
+  return {
+    required: rules.minTurnout,
+    counted: turnout,
+    progress: rules.minTurnout > 0 ? Math.min(turnout / rules.minTurnout, 1) : 1,
+    reached: turnout >= rules.minTurnout
+  };
+};
+
+/**
+ * Apply a rule set to yes/no vote counts
+ * @param {Object} rules - Rules from rulesFor()
+ * @param {Object} counts - { yes, no, abstain }
+ * @returns {Object} Quorum progress, approval ratio and the verdict
+ *   ('passed', 'failed' or 'no_quorum')
+ */
+exports.evaluate = (rules, { yes, no, abstain }) => {
+  const decisive = yes + no;
+  const quorum = exports.evaluateQuorum(rules, decisive, abstain);
+
+  const requiredRatio = rules.majority === 'supermajority' ? rules.supermajorityThreshold : 0.5;
+  const approvalRatio = decisive > 0 ? yes / decisive : 0;
+
+  // A simple majority needs strictly more than half; a supermajority needs at least its threshold
+  const majorityReached = rules.majority === 'supermajority'
+    ? approvalRatio >= requiredRatio
+    : approvalRatio > requiredRatio;
+
+  let verdict = 'failed';
+  if (!quorum.reached) {
+    verdict = 'no_quorum';
+  } else if (decisive > 0 && majorityReached) {
+    verdict = 'passed';
+  }
+
+  return {
+    quorum,
+    approvalRatio,
+    requiredRatio,
+    verdict
+  };
+};
+
+/**
+ * Validate per-proposal rule overrides sent by staff
+ * @param {Object} rules - Submitted rules
+ * @returns {string|undefined} Error message if invalid
+ */
+exports.validateRules = (rules) => {
+  if (typeof rules !== 'object' || rules === null) {
+    return 'votingRules must be an object';
+  }
+
+  if (rules.minTurnout !== undefined && !(Number.isInteger(rules.minTurnout) && rules.minTurnout >= 0)) {
+    return 'minTurnout must be a non-negative whole number';
+  }
+
+  if (rules.majority !== undefined && !['simple', 'supermajority'].includes(rules.majority)) {
+    return "majority must be 'simple' or 'supermajority'";
+  }
+
+  if (
+    rules.supermajorityThreshold !== undefined &&
+    !(rules.supermajorityThreshold > 0.5 && rules.supermajorityThreshold <= 1)
+  ) {
+    return 'supermajorityThreshold must be above 0.5 and at most 1';
+  }
+
+  if (rules.abstentionsCountTowardQuorum !== undefined && typeof rules.abstentionsCountTowardQuorum !== 'boolean') {
+    return 'abstentionsCountTowardQuorum must be true or false';
+  }
+};
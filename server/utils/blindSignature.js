@@ -0,0 +1,106 @@
+// server/utils/blindSignature.js
+// RSA blind signatures (Chaum) over hex-encoded integers, in the full-domain hash
+// form (RSA-FDH). The voter blinds the hash of a random token, the server signs
+// it without seeing the token, and the voter unblinds the result into an
+// ordinary signature on the token.
+//
+// The token is hashed to the full width of the modulus with MGF1 (RFC 8017).
+// Signing a plain SHA-256 digest leaves most of the range unused, and signatures
+// on such small values can be multiplied together into signatures on tokens the
+// server never signed. client/services/blindSignature.js must hash the same way.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const toBigInt = (hex) => BigInt(`0x${hex}`);
+const fromBase64Url = (value) => Buffer.from(value, 'base64url').toString('hex');
+
+const HASH_BYTES = 32;
+// Hash this many bytes past the modulus width, so reducing mod n adds no usable bias
+const EXTRA_BYTES = 16;
+
+// MGF1 with SHA-256: expand a seed to any length
+const mgf1 = (seed, length) => {
+  const blocks = [];
+
+  for (let counter = 0; blocks.length * HASH_BYTES < length; counter++) {
+    const suffix = Buffer.alloc(4);
+    suffix.writeUInt32BE(counter);
+    blocks.push(crypto.createHash('sha256').update(seed).update(suffix).digest());
+  }
+
+  return Buffer.concat(blocks).subarray(0, length);
+};
+
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+
+  return result;
+};
+
+/**
+ * Generate a signing key
+ * @returns {Promise<Object>} { n, e, d } as hex strings
+ */
+exports.generateKey = async () => {
+  const { privateKey } = await generateKeyPair('rsa', { modulusLength: 2048 });
+  const jwk = privateKey.export({ format: 'jwk' });
+
+  return { n: fromBase64Url(jwk.n), e: fromBase64Url(jwk.e), d: fromBase64Url(jwk.d) };
+};
+
+/**
+ * Map a token to the integer that gets signed: MGF1-SHA-256 of the token, as
+ * wide as the modulus plus EXTRA_BYTES, reduced mod n
+ * @param {string} token - Voter's random token
+ * @param {string} n - Key modulus, hex
+ * @returns {bigint}
+ */
+exports.hashToken = (token, n) => {
+  const modulus = toBigInt(n);
+  const width = Math.ceil(modulus.toString(16).length / 2) + EXTRA_BYTES;
+
+  return toBigInt(mgf1(Buffer.from(token, 'utf8'), width).toString('hex')) % modulus;
+};
+
+/**
+ * Sign a blinded value
+ * @param {string} blinded - Blinded token hash, hex
+ * @param {Object} key - { n, d } hex
+ * @returns {string|null} Blind signature, hex; null if the value is out of range
+ */
+exports.signBlinded = (blinded, { n, d }) => {
+  if (!/^[0-9a-f]+$/i.test(blinded)) return null;
+
+  const value = toBigInt(blinded);
+  const modulus = toBigInt(n);
+  if (value <= 1n || value >= modulus) return null;
+
+  return modPow(value, toBigInt(d), modulus).toString(16);
+};
+
+/**
+ * Check an unblinded signature on a token
+ * @param {string} token - Voter's random token
+ * @param {string} signature - Unblinded signature, hex
+ * @param {Object} key - { n, e } hex
+ * @returns {boolean}
+ */
+exports.verify = (token, signature, { n, e }) => {
+  if (typeof token !== 'string' || !/^[0-9a-f]+$/i.test(String(signature))) return false;
+
+  const modulus = toBigInt(n);
+  const value = toBigInt(signature);
+  if (value <= 1n || value >= modulus) return false;
+
+  return modPow(value, toBigInt(e), modulus) === exports.hashToken(token, n);
+};
@@ -0,0 +1,92 @@
+// server/utils/diff.js
+// Word-level diff based on the longest common subsequence of tokens
+
+// Split text into words and the whitespace between them so output can be rejoined losslessly
+const tokenize = (text) => (text ? String(text).match(/\s+|[^\s]+/g) : []) || [];
+
+// Largest LCS table built for one diff, about 16 MB of Uint32 cells
+const MAX_TABLE_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Compute a word-level diff between two strings
+ * @param {string} before - Original text
+ * @param {string} after - New text
+ * @returns {Object[]} Parts of { type: 'equal' | 'added' | 'removed', value }
+ */
+exports.diffWords = (before, after) => {
+  const allA = tokenize(before);
+  const allB = tokenize(after);
+
+  // Shared leading and trailing tokens need no table; edits are usually local
+  let start = 0;
+  while (start < allA.length && start < allB.length && allA[start] === allB[start]) start++;
+
+  let end = 0;
+  while (
+    end < allA.length - start &&
+    end < allB.length - start &&
+    allA[allA.length - 1 - end] === allB[allB.length - 1 - end]
+  ) end++;
+
+  const a = allA.slice(start, allA.length - end);
+  const b = allB.slice(start, allB.length - end);
+  const prefix = allA.slice(0, start).join('');
+  const suffix = allA.slice(allA.length - end).join('');
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (!value) return;
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ type, value });
+    }
+  };
+
+  push('equal', prefix);
+
+  // The LCS table takes a.length * b.length cells; past the cap the changed middle
+  // is shown as one block replaced rather than letting a request exhaust memory
+  if (a.length * b.length > MAX_TABLE_CELLS) {
+    push('removed', a.join(''));
+    push('added', b.join(''));
+    push('equal', suffix);
+    return parts;
+  }
+
+  // lcs[i][j] = length of LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i]);
+      i++;
+    } else {
+      push('added', b[j]);
+      j++;
+    }
+  }
+
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  push('equal', suffix);
+
+  return parts;
+};
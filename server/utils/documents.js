@@ -0,0 +1,52 @@
+// server/utils/documents.js
+const Upload = require('../models/Upload');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Resolve client-submitted documents against stored uploads so the URL and
+ * hash always come from the server rather than the client
+ * @param {Object[]} documents - Documents from the request body, each with an upload id
+ * @param {string} userId - Uploads must belong to this user
+ * @param {Object[]} existing - Documents already attached, which may be kept as they are
+ * @returns {Promise<Object[]>} Documents with fileUrl, fileType, size and sha256 filled in
+ * @throws {ErrorResponse} If a document was not uploaded or belongs to someone else
+ */
+exports.resolveDocuments = async (documents, userId, existing = []) => {
+  if (!Array.isArray(documents)) {
+    return documents;
+  }
+
+  const ids = documents.map(doc => doc.upload).filter(Boolean);
+  const uploads = await Upload.find({ _id: { $in: ids } });
+
+  return documents.map(doc => {
+    if (!doc.upload) {
+      const kept = existing.find(item => item.fileUrl === doc.fileUrl);
+
+      if (!kept) {
+        throw new ErrorResponse(`Document "${doc.title || doc.fileUrl}" must be uploaded before it can be attached`, 400);
+      }
+
+      return kept.toObject ? kept.toObject() : kept;
+    }
+
+    const upload = uploads.find(item => item.id === String(doc.upload));
+
+    if (!upload) {
+      throw new ErrorResponse(`No upload with the id of ${doc.upload}`, 400);
+    }
+
+    if (upload.uploadedBy.toString() !== userId) {
+      throw new ErrorResponse(`Upload ${upload.id} belongs to another user`, 403);
+    }
+
+    return {
+      title: doc.title || upload.originalName,
+      fileUrl: upload.url,
+      fileType: upload.mimeType,
+      size: upload.size,
+      sha256: upload.sha256,
+      upload: upload._id
+    };
+  });
+};
@@ -0,0 +1,140 @@
+// server/utils/geo.js
+// Parsing of geospatial query parameters and GeoJSON helpers
+
+const EARTH_RADIUS_METERS = 6378100;
+
+const isLngLat = ([lng, lat]) =>
+  Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+
+// A closed linear ring of at least four positions
+const isRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(point => Array.isArray(point) && point.length === 2 && isLngLat(point))) {
+    return false;
+  }
+
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+/**
+ * Validate a proposal's GeoJSON geometry before it reaches the 2dsphere index
+ * @param {Object} geometry - GeoJSON Point or Polygon
+ * @returns {string|undefined} Error message, if invalid
+ */
+exports.validateGeometry = (geometry) => {
+  if (typeof geometry !== 'object' || geometry === null) {
+    return 'location.geometry must be a GeoJSON Point or Polygon';
+  }
+
+  const { type, coordinates } = geometry;
+
+  if (type === 'Point') {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2 || !isLngLat(coordinates)) {
+      return 'A Point needs [longitude, latitude] coordinates, longitude within ±180 and latitude within ±90';
+    }
+    return undefined;
+  }
+
+  if (type === 'Polygon') {
+    if (!Array.isArray(coordinates) || coordinates.length === 0 || !coordinates.every(isRing)) {
+      return 'A Polygon needs closed rings of at least four [longitude, latitude] positions';
+    }
+    return undefined;
+  }
+
+  return 'location.geometry must be a GeoJSON Point or Polygon';
+};
+
+/**
+ * Parse a "lng,lat" string
+ * @param {string} value - Comma separated longitude and latitude
+ * @returns {number[]|null} [lng, lat] or null if invalid
+ */
+exports.parsePoint = (value) => {
+  const point = String(value).split(',').map(Number);
+  return point.length === 2 && isLngLat(point) ? point : null;
+};
+
+/**
+ * Parse a bounding box ("minLng,minLat,maxLng,maxLat") or a JSON polygon
+ * ([[lng, lat], ...]) into a closed GeoJSON Polygon
+ * @param {string} value - Query parameter value
+ * @returns {Object|null} GeoJSON Polygon or null if invalid
+ */
+exports.parseWithin = (value) => {
+  let ring;
+
+  if (String(value).trim().startsWith('[')) {
+    try {
+      ring = JSON.parse(value);
+    } catch (err) {
+      return null;
+    }
+
+    if (!Array.isArray(ring) || ring.length < 3 || !ring.every(point => Array.isArray(point) && isLngLat(point))) {
+      return null;
+    }
+
+    // GeoJSON rings must end where they start
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      ring = [...ring, first];
+    }
+  } else {
+    const box = String(value).split(',').map(Number);
+
+    if (box.length !== 4 || !isLngLat(box.slice(0, 2)) || !isLngLat(box.slice(2))) {
+      return null;
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = box;
+    ring = [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]];
+  }
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Build a $near filter: within a radius of a point, nearest first
+ * @param {number[]} point - [lng, lat]
+ * @param {number} radius - Radius in meters
+ * @returns {Object} Mongo filter
+ */
+exports.nearest = (point, radius) => ({
+  $near: { $geometry: { type: 'Point', coordinates: point }, $maxDistance: radius }
+});
+
+/**
+ * Build a $geoWithin filter for a circle around a point
+ * @param {number[]} point - [lng, lat]
+ * @param {number} radius - Radius in meters
+ * @returns {Object} Mongo filter
+ */
+exports.withinRadius = (point, radius) => ({
+  $geoWithin: { $centerSphere: [point, radius / EARTH_RADIUS_METERS] }
+});
+
+/**
+ * Convert proposals with a geometry into a GeoJSON FeatureCollection
+ * @param {Object[]} proposals - Proposal documents
+ * @returns {Object} FeatureCollection
+ */
+exports.toFeatureCollection = (proposals) => ({
+  type: 'FeatureCollection',
+  features: proposals
+    .filter(proposal => proposal.location && proposal.location.geometry && proposal.location.geometry.type)
+    .map(proposal => {
+      const { location, ...properties } = proposal.toObject ? proposal.toObject() : proposal;
+      const { geometry, ...place } = location;
+
+      return {
+        type: 'Feature',
+        id: proposal._id,
+        geometry: {
+          type: geometry.type,
+          coordinates: geometry.coordinates
+        },
+        properties: { ...properties, location: place }
+      };
+    })
+});
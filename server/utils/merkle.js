@@ -0,0 +1,83 @@
+// server/utils/merkle.js
+// Binary Merkle tree over hex SHA-256 hashes. Leaves and interior nodes are hashed
+// with different prefixes, and an odd node at the end of a level is carried up
+// unchanged. Everything is hashed as hex text so a client can check a proof with
+// a plain string digest.
+const crypto = require('crypto');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Hash a leaf's data (here, a ballot hash) into the tree
+ * @param {string} data - Hex string
+ * @returns {string} Leaf hash
+ */
+exports.hashLeaf = (data) => sha256(`0${data}`);
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Left child hash
+ * @param {string} right - Right child hash
+ * @returns {string} Parent hash
+ */
+exports.hashNode = (left, right) => sha256(`1${left}${right}`);
+
+const nextLevel = (level) => {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(i + 1 < level.length ? exports.hashNode(level[i], level[i + 1]) : level[i]);
+  }
+  return next;
+};
+
+/**
+ * Compute the root of a tree
+ * @param {string[]} leaves - Leaf hashes in order
+ * @returns {string|null} Root hash, or null for an empty tree
+ */
+exports.root = (leaves) => {
+  if (leaves.length === 0) return null;
+
+  let level = leaves;
+  while (level.length > 1) {
+    level = nextLevel(level);
+  }
+  return level[0];
+};
+
+/**
+ * Build the inclusion proof for one leaf
+ * @param {string[]} leaves - Leaf hashes in order
+ * @param {number} index - Position of the leaf
+ * @returns {Object[]} Sibling hashes from the leaf up: [{ hash, position: 'left'|'right' }]
+ */
+exports.proof = (leaves, index) => {
+  const path = [];
+  let level = leaves;
+  let i = index;
+
+  while (level.length > 1) {
+    const sibling = i % 2 === 0 ? i + 1 : i - 1;
+    // A carried-up node has no sibling at this level
+    if (sibling < level.length) {
+      path.push({ hash: level[sibling], position: i % 2 === 0 ? 'right' : 'left' });
+    }
+    level = nextLevel(level);
+    i = Math.floor(i / 2);
+  }
+
+  return path;
+};
+
+/**
+ * Check an inclusion proof
+ * @param {string} leaf - Leaf hash
+ * @param {Object[]} path - Proof from exports.proof
+ * @param {string} root - Expected root
+ * @returns {boolean} Whether the leaf is in the tree with that root
+ */
+exports.verify = (leaf, path, root) =>
+  path.reduce(
+    (hash, step) => (step.position === 'left' ? exports.hashNode(step.hash, hash) : exports.hashNode(hash, step.hash)),
+    leaf
+  ) === root;
@@ -0,0 +1,88 @@
+// server/utils/search.js
+// Helpers for full-text search: term parsing, typo-tolerant patterns and highlighting
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - Raw search query
+ * @returns {string[]} Unique terms
+ */
+exports.parseTerms = (query) => [
+  ...new Set(
+    String(query || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length > 1)
+  )
+];
+
+/**
+ * Build a case-insensitive pattern matching a term within one edit
+ * (substitution, insertion or deletion). Short terms must match exactly.
+ * @param {string} term - Lowercase search term
+ * @returns {RegExp}
+ */
+exports.buildFuzzyRegex = (term) => {
+  if (term.length < 4) {
+    return new RegExp(escapeRegExp(term), 'i');
+  }
+
+  const variants = new Set([escapeRegExp(term)]);
+
+  for (let i = 0; i < term.length; i++) {
+    const before = escapeRegExp(term.slice(0, i));
+    const after = escapeRegExp(term.slice(i + 1));
+    const rest = escapeRegExp(term.slice(i));
+
+    variants.add(`${before}.${after}`); // substitution
+    variants.add(`${before}${after}`); // deletion
+    variants.add(`${before}.${rest}`); // insertion
+  }
+
+  return new RegExp(`(${[...variants].join('|')})`, 'i');
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Build a short snippet around the first matching term with matches wrapped in <mark>.
+ * The text itself is HTML-escaped, so the snippet is safe to render as HTML.
+ * @param {string} text - Field text
+ * @param {string[]} terms - Search terms
+ * @param {boolean} fuzzy - Also highlight words within one edit of a term
+ * @param {number} radius - Characters of context either side of the match
+ * @returns {string|null} Highlighted snippet, or null if nothing matched
+ */
+exports.highlight = (text, terms, fuzzy = false, radius = 60) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const sources = fuzzy
+    ? terms.map(term => exports.buildFuzzyRegex(term).source)
+    : terms.map(escapeRegExp);
+  const pattern = new RegExp(`(${sources.join('|')})\\w*`, 'gi');
+  const match = pattern.exec(text);
+
+  if (!match) {
+    return null;
+  }
+
+  const start = Math.max(0, match.index - radius);
+  const end = Math.min(text.length, match.index + match[0].length + radius);
+  const raw = text.slice(start, end);
+
+  let snippet = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (const found of raw.matchAll(pattern)) {
+    snippet += `${escapeHtml(raw.slice(last, found.index))}<mark>${escapeHtml(found[0])}</mark>`;
+    last = found.index + found[0].length;
+  }
+  snippet += escapeHtml(raw.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
@@ -0,0 +1,76 @@
+// server/utils/similarity.js
+// TF-IDF cosine similarity for comparing short texts such as proposals
+
+// Common words that say nothing about what a proposal is about
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this',
+  'to', 'was', 'we', 'were', 'will', 'with', 'would', 'should', 'can', 'more', 'new'
+]);
+
+/**
+ * Split text into lowercase terms, dropping stop words and single characters
+ * @param {string} text - Input text
+ * @returns {string[]} Terms in order, with repeats
+ */
+exports.tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+// Count how often each term occurs
+const termFrequencies = (terms) => {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+};
+
+/**
+ * Score a query document against a set of candidate documents.
+ * IDF is computed over the candidates plus the query, so terms shared by
+ * every proposal (e.g. the city name) count for little.
+ * @param {string[]} queryTerms - Terms of the document being compared
+ * @param {string[][]} candidateTerms - Terms of each candidate
+ * @returns {number[]} Cosine similarity (0..1) for each candidate, in order
+ */
+exports.tfidfScores = (queryTerms, candidateTerms) => {
+  const documents = [queryTerms, ...candidateTerms].map(termFrequencies);
+  const documentFrequency = new Map();
+
+  documents.forEach(counts => {
+    counts.forEach((count, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const idf = (term) => Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+
+  const vectors = documents.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+
+    counts.forEach((count, term) => {
+      const weight = count * idf(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+
+    return { vector, norm: Math.sqrt(norm) };
+  });
+
+  const [query, ...candidates] = vectors;
+
+  return candidates.map(candidate => {
+    if (query.norm === 0 || candidate.norm === 0) {
+      return 0;
+    }
+
+    let dot = 0;
+    query.vector.forEach((weight, term) => {
+      dot += weight * (candidate.vector.get(term) || 0);
+    });
+
+    return dot / (query.norm * candidate.norm);
+  });
+};
@@ -0,0 +1,108 @@
+// server/utils/siwe.js
+// Parsing and verification of Sign-In with Ethereum (EIP-4361) messages
+const Web3 = require('web3');
+
+const web3 = new Web3();
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_NAMES = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * Parse an EIP-4361 message into its fields
+ * @param {string} message - The plain-text message the wallet signed
+ * @returns {Object} Parsed fields, or null if the message is malformed
+ */
+exports.parseMessage = (message) => {
+  if (typeof message !== 'string') {
+    return null;
+  }
+
+  const lines = message.split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX) || !/^0x[a-fA-F0-9]{40}$/.test(lines[1])) {
+    return null;
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1]
+  };
+
+  // Optional statement sits between two blank lines before the URI field
+  let index = 2;
+  if (lines[index] === '' && lines[index + 1] && !lines[index + 1].startsWith('URI: ')) {
+    fields.statement = lines[index + 1];
+    index += 2;
+  }
+
+  for (const line of lines.slice(index)) {
+    const separator = line.indexOf(': ');
+    if (separator === -1) continue;
+
+    const key = FIELD_NAMES[line.slice(0, separator)];
+    if (key) {
+      fields[key] = line.slice(separator + 2);
+    }
+  }
+
+  if (!fields.uri || fields.version !== '1' || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+    return null;
+  }
+
+  fields.chainId = parseInt(fields.chainId, 10);
+
+  return fields;
+};
+
+/**
+ * Verify a signed EIP-4361 message
+ * @param {string} message - The signed message
+ * @param {string} signature - The wallet signature (hex)
+ * @param {Object} expected - { domain } the message must be bound to
+ * @returns {Object} { fields, address } with a lowercase address
+ * @throws {Error} If the message is malformed, expired or not signed by its address
+ */
+exports.verifyMessage = (message, signature, { domain }) => {
+  const fields = exports.parseMessage(message);
+
+  if (!fields) {
+    throw new Error('Malformed sign-in message');
+  }
+
+  if (domain && fields.domain !== domain) {
+    throw new Error('Sign-in message was issued for a different domain');
+  }
+
+  const now = Date.now();
+
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw new Error('Sign-in message has expired');
+  }
+
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+    throw new Error('Sign-in message is not yet valid');
+  }
+
+  let recovered;
+  try {
+    recovered = web3.eth.accounts.recover(message, signature);
+  } catch (err) {
+    throw new Error('Invalid signature');
+  }
+
+  if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+    throw new Error('Signature does not match the message address');
+  }
+
+  return { fields, address: recovered.toLowerCase() };
+};